@@ -0,0 +1,74 @@
+const express = require("express");
+const { runBacktest, resolveBacktestConfig, validateCases, backtestToCsv } = require("../utils/backtest");
+const { loadJson } = require("../utils/load-crops");
+const { createLogger } = require("../utils/logger");
+
+const router = express.Router();
+const logger = createLogger("backtest");
+
+// sample request:
+// http://url/backtest
+
+// {
+// "cases": [
+// 	{ "name": "kitale-2019", "coordinates": [1.0157, 35.0062], "year": 2019 },
+// 	{ "name": "station-2021", "weather": [ { "date": "2021-01-01", ... }, ... ], "units": "us-imperial", "latitude": -0.5 },
+// 	{ "name": "nakuru-2020", "coordinates": [-0.3031, 36.08], "year": 2020, "crops": ["Maize", "Beans"], "planting_months": { "Maize": 3 } }
+// ],
+// "config": {
+// 	"TOP_K": 3,
+// 	"MONTH_TOLERANCE": 0,
+// 	"MATCHING_CONFIG": { "STEP_SIZE": 7 },
+// 	"K_VALUE_SETS": {
+// 		"catalogue": "catalogue",
+// 		"heuristic": "heuristic",
+// 		"flat_rain": { "*": { "precipitation_sum": 1.0 }, "Maize": { "temperature_2m_max": 6.0 } }
+// 	}
+// },
+// "format": "json" // or "csv" for the per-crop metrics as a CSV download
+// }
+// Known planting months default to the month of each crop's calibrated start_date
+
+/**
+ * POST /backtest
+ * Replays held-out years and locations through crop matching and reports per-crop hit rates
+ */
+router.post("/", async (req, res) => {
+	try {
+		const { cases, config = {}, format = "json" } = req.body;
+
+		// Validate cases, config (including MATCHING_CONFIG) and format before fetching any weather
+		try {
+			validateCases(cases, resolveBacktestConfig(config));
+			if (format !== "json" && format !== "csv") throw new Error("Invalid format: expected json or csv");
+		} catch (error) {
+			return res.status(400).json({
+				success: false,
+				error: error.message,
+			});
+		}
+
+		const cropsData = loadJson("crops_k_calibrated");
+		// Reports are returned, not written to disk; the backtest command writes report files
+		const report = await runBacktest(cropsData, cases, { ...config, WRITE_FILES: false });
+
+		if (format === "csv") {
+			res.type("text/csv");
+			return res.send(backtestToCsv(report.sets));
+		}
+
+		res.json({
+			success: true,
+			report,
+		});
+	} catch (error) {
+		logger.error("Error in backtest endpoint", { error });
+		res.status(500).json({
+			success: false,
+			error: error.message,
+			stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
+		});
+	}
+});
+
+module.exports = router;
@@ -0,0 +1,110 @@
+const express = require("express");
+const {
+	listCatalogueVersions,
+	loadCatalogueVersion,
+	activateCatalogueVersion,
+	rollbackCatalogue,
+} = require("../utils/crop-catalogue");
+const { createLogger } = require("../utils/logger");
+
+const router = express.Router();
+const logger = createLogger("catalogue");
+
+// Calibrated catalogues are kept as immutable versions; the active one is what /run-engine,
+// /plan-season, /backtest and /sensitivity load by default
+
+// GET  http://url/catalogue                 // versions, newest first, with metadata and diff summaries
+// GET  http://url/catalogue/v3              // one version, with its crops
+// POST http://url/catalogue/v3/activate     // make v3 the active catalogue
+// POST http://url/catalogue/rollback        // reactivate the version active before the current one
+
+/**
+ * Send a catalogue error: 400 for an unknown version or nothing to roll back to, 409 while another
+ * writer holds the catalogue lock, 500 otherwise
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the catalogue
+ * @param {string} message - Log message for unexpected errors
+ */
+function sendCatalogueError(res, error, message) {
+	if (/^Catalogue is locked/.test(error.message)) {
+		return res.status(409).json({
+			success: false,
+			error: error.message,
+		});
+	}
+	if (/^Unknown catalogue version|^No earlier catalogue version/.test(error.message)) {
+		return res.status(400).json({
+			success: false,
+			error: error.message,
+		});
+	}
+
+	logger.error(message, { error });
+	res.status(500).json({
+		success: false,
+		error: error.message,
+		stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
+	});
+}
+
+/**
+ * GET /catalogue
+ * Lists catalogue versions and the active one
+ */
+router.get("/", (req, res) => {
+	try {
+		res.json({
+			success: true,
+			...listCatalogueVersions(),
+		});
+	} catch (error) {
+		sendCatalogueError(res, error, "Error listing catalogue versions");
+	}
+});
+
+/**
+ * POST /catalogue/rollback
+ * Reactivates the previously active version
+ */
+router.post("/rollback", async (req, res) => {
+	try {
+		res.json({
+			success: true,
+			active: await rollbackCatalogue(),
+		});
+	} catch (error) {
+		sendCatalogueError(res, error, "Error rolling back catalogue");
+	}
+});
+
+/**
+ * GET /catalogue/:version
+ * Returns one version with its crops
+ */
+router.get("/:version", (req, res) => {
+	try {
+		res.json({
+			success: true,
+			...loadCatalogueVersion(req.params.version),
+		});
+	} catch (error) {
+		sendCatalogueError(res, error, "Error loading catalogue version");
+	}
+});
+
+/**
+ * POST /catalogue/:version/activate
+ * Makes a version the active catalogue
+ */
+router.post("/:version/activate", async (req, res) => {
+	try {
+		res.json({
+			success: true,
+			active: await activateCatalogueVersion(req.params.version),
+		});
+	} catch (error) {
+		sendCatalogueError(res, error, "Error activating catalogue version");
+	}
+});
+
+module.exports = router;
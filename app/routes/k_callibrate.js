@@ -1,14 +1,71 @@
 /**
  * API endpoint for crop calibration
- * Handles the generation of the crops_k_calibrated.json file
+ * Handles the generation of the crops_k_calibrated.json file, saved as a new catalogue version
+ * Calibration runs as a background job; clients poll its status, progress and result
  */
 const express = require("express");
-const { calibrateCrops } = require("../utils/crop-calibration-handler");
+const { resolveCalibrationYears, calibrationInput } = require("../utils/crop-calibration-handler");
+const { startCalibrationJob, getJob, jobStatus, jobProgress, cancelJob, FINISHED_STATUSES } = require("../utils/calibration-jobs");
+const { validateCropSeasons } = require("../utils/crop-seasons");
+const { loadActiveCatalogue } = require("../utils/crop-catalogue");
+const { createLogger } = require("../utils/logger");
 const router = express.Router();
+const logger = createLogger("calibrate");
+
+/**
+ * Validate the calibration years and seasons before any weather is fetched, then start the job
+ * @param {Object} res - Express response, sent 400 for invalid input or 202 with the job
+ * @param {Object} crops - Crops to calibrate
+ * @param {Object} config - Optional configuration overrides
+ * @param {Object} options - Job options (see startCalibrationJob)
+ */
+function startJob(res, crops, config, options = {}) {
+	try {
+		resolveCalibrationYears(config);
+		validateCropSeasons(crops);
+	} catch (error) {
+		return res.status(400).json({
+			success: false,
+			error: error.message,
+		});
+	}
+
+	// Run calibration in the background
+	res.status(202).json({
+		success: true,
+		...startCalibrationJob(crops, config, options),
+	});
+}
+
+/**
+ * Check a request names a non-empty crop catalogue object, responding 400 if not
+ * @param {Object} res - Express response
+ * @param {*} crops - Crops from the request body
+ * @returns {boolean} - Whether the crops are usable
+ */
+function hasCrops(res, crops) {
+	if (!crops || typeof crops !== "object" || Array.isArray(crops) || Object.keys(crops).length === 0) {
+		res.status(400).json({
+			success: false,
+			error: "No crop data provided",
+		});
+		return false;
+	}
+	return true;
+}
 
 /**
  * POST /api/calibrate-crops
- * Generates calibrated crop data from client-provided crop information
+ * Starts calibrating client-provided crop information and responds 202 with a job id:
+ *
+ *   GET  /configure/jobs/:id          // status, current stage and how many crops have finished it
+ *   GET  /configure/jobs/:id/progress // stages each crop has finished
+ *   GET  /configure/jobs/:id/result   // calibrated crops and logs, once the job has finished
+ *   POST /configure/jobs/:id/cancel   // stop at the next crop or stage; nothing is saved. 409 once saving has started
+ *
+ * A job fails, saving nothing, if any crop's weather profile or k values could not be built; the job
+ * status and result list each such crop's errors in crop_errors. Incremental jobs (below) instead
+ * save the crops that calibrated and finish as "completed_with_errors".
  *
  * Expected request body:
  * {
@@ -18,7 +75,32 @@ const router = express.Router();
  *       "region": "Region",
  *       "coordinates": [lat, lng],
  *       "planting_season_month": 4,
- *       "duration_days": 90
+ *       "duration_days": 90,
+ *       // Optional: named seasons instead of planting_season_month, each calibrated to its own profile
+ *       // and k values; ends before the start fall in the next year. Matched windows report their season
+ *       "seasons": {
+ *         "long_rains": { "start_month": 3, "end_month": 6 },
+ *         "short_rains": { "start_date": "10-15", "duration_days": 120, "planting_months": [10, 11] }
+ *       },
+ *       // Optional: months (1-12) planting may start in; matching drops windows starting in other months
+ *       "planting_months": [3, 4, 5],
+ *       // Optional: past seasons with outcomes, used when config.K_FITTING is "supervised"
+ *       // (a "season" field ties a labelled season to one of the crop's named seasons). Fitting uses one
+ *       // label type: yields when there are at least MIN_LABELLED_SEASONS of them, otherwise successes
+ *       "labelled_seasons": [
+ *         { "daily_weather": [ { "date": "2015-03-01", "temperature_2m_max": 24.1, ... }, ... ], "yield": 3.2 },
+ *         { "daily_weather": [ ... ], "success": false }
+ *       ]
+ *       // Optional: day ranges (0-based, inclusive) scored separately during matching
+ *       "growth_stages": [
+ *         { "name": "germination", "start_day": 0, "end_day": 14 },
+ *         { "name": "flowering", "start_day": 50, "end_day": 69, "weight": 40, "k_values": { "precipitation_sum": 6.0 } }
+ *       ],
+ *       // Optional: hard rules that drop or cap windows during matching (see utils/crop-constraints.js)
+ *       "constraints": [
+ *         { "type": "min", "variable": "temperature_2m_min", "value": 2 },
+ *         { "type": "max_dry_spell", "days": 14, "threshold": 1 }
+ *       ]
  *     },
  *     ...
  *   },
@@ -28,6 +110,11 @@ const router = express.Router();
  *       "temperature_2m_max": 5.0,
  *       ...
  *     },
+ *     "PROFILE_YEARS": 10, // average 2008-2017 and store a per-day envelope
+ *     "REFERENCE_PERIOD": [1991, 2020], // or "CALIBRATION_YEARS": [2012, 2015, 2019]; k values then follow inter-year variability
+ *     "K_FITTING": "supervised", // fit k values to labelled_seasons, heuristic fallback below MIN_LABELLED_SEASONS
+ *     "DERIVED_VARIABLES": ["growing_degree_days", "water_balance"], // default: all derived variables
+ *     "ACTIVATE_CATALOGUE": false, // keep the new catalogue version for review; activate it via /catalogue
  *     ...
  *   }
  * }
@@ -37,20 +124,129 @@ router.post("/calibrate-crops", async (req, res) => {
 		const { crops, config } = req.body;
 
 		// Validate request
-		if (!crops || Object.keys(crops).length === 0) {
+		if (!hasCrops(res, crops)) return;
+
+		startJob(res, crops, config);
+	} catch (error) {
+		logger.error("Error in crop calibration endpoint", { error });
+		res.status(500).json({
+			success: false,
+			error: error.message,
+			stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
+		});
+	}
+});
+
+// Incremental calibration: calibrate only the crops named in the request and merge them into the
+// active catalogue as a new version. Other crops keep their daily_weather and k_values, and only the
+// calibrated crops whose data changed are re-rendered. Each endpoint responds 202 with a job id.
+//
+// POST /configure/crops              { "crops": { "Maize_02": { ... } }, "config": { ... } }  // add new crops
+// PUT  /configure/crops              { "crops": { "Maize": { "duration_days": 100 } } }        // update crops
+// POST /configure/crops/recalibrate  { "crops": ["Maize", "Beans"], "config": { ... } }       // recalibrate as stored
+//
+// Updates are merged over each crop's stored definition, so only changed fields need sending; a
+// "seasons" object replaces the stored seasons whole. Crops that fail to calibrate keep their stored
+// entries and are listed in the job's crop_errors. Labelled seasons are not stored, so supervised
+// fitting needs them sent with an update.
+
+/**
+ * Respond 404 naming crops missing from the active catalogue
+ * @param {Object} res - Express response
+ * @param {Array} names - Requested crop names
+ * @param {Object} catalogue - Active catalogue
+ * @returns {boolean} - Whether every crop is in the catalogue
+ */
+function inCatalogue(res, names, catalogue) {
+	const missing = names.filter((name) => !(name in catalogue));
+	if (missing.length > 0) {
+		res.status(404).json({
+			success: false,
+			error: `Not in the catalogue: ${missing.join(", ")}`,
+		});
+		return false;
+	}
+	return true;
+}
+
+/**
+ * POST /configure/crops
+ * Calibrates new crops and adds them to the active catalogue; 409 if any is already there
+ */
+router.post("/crops", (req, res) => {
+	try {
+		const { crops, config } = req.body;
+		if (!hasCrops(res, crops)) return;
+
+		const catalogue = loadActiveCatalogue();
+		const existing = Object.keys(crops).filter((name) => name in catalogue);
+		if (existing.length > 0) {
+			return res.status(409).json({
+				success: false,
+				error: `Already in the catalogue, update them instead: ${existing.join(", ")}`,
+			});
+		}
+
+		startJob(res, crops, config, { merge: true });
+	} catch (error) {
+		logger.error("Error adding crops", { error });
+		res.status(500).json({
+			success: false,
+			error: error.message,
+			stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
+		});
+	}
+});
+
+/**
+ * PUT /configure/crops
+ * Recalibrates catalogue crops with changed definitions and merges them into the active catalogue
+ */
+router.put("/crops", (req, res) => {
+	try {
+		const { crops, config } = req.body;
+		if (!hasCrops(res, crops)) return;
+
+		const catalogue = loadActiveCatalogue();
+		if (!inCatalogue(res, Object.keys(crops), catalogue)) return;
+
+		const updated = {};
+		for (const name in crops) {
+			updated[name] = { ...calibrationInput(catalogue[name]), ...crops[name] };
+		}
+
+		startJob(res, updated, config, { merge: true });
+	} catch (error) {
+		logger.error("Error updating crops", { error });
+		res.status(500).json({
+			success: false,
+			error: error.message,
+			stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
+		});
+	}
+});
+
+/**
+ * POST /configure/crops/recalibrate
+ * Recalibrates catalogue crops from their stored definitions, e.g. with a new config
+ */
+router.post("/crops/recalibrate", (req, res) => {
+	try {
+		const { crops: names, config } = req.body;
+		if (!Array.isArray(names) || names.length === 0 || !names.every((name) => typeof name === "string")) {
 			return res.status(400).json({
 				success: false,
-				error: "No crop data provided",
+				error: "crops must be a list of crop names",
 			});
 		}
 
-		// Run calibration process
-		const result = await calibrateCrops(crops, config);
+		const catalogue = loadActiveCatalogue();
+		if (!inCatalogue(res, names, catalogue)) return;
 
-		// Return results
-		res.json(result);
+		const crops = Object.fromEntries(names.map((name) => [name, calibrationInput(catalogue[name])]));
+		startJob(res, crops, config, { merge: true });
 	} catch (error) {
-		console.error("Error in crop calibration endpoint:", error);
+		logger.error("Error recalibrating crops", { error });
 		res.status(500).json({
 			success: false,
 			error: error.message,
@@ -59,4 +255,97 @@ router.post("/calibrate-crops", async (req, res) => {
 	}
 });
 
+/**
+ * Look up the job named in the route, responding 404 if it is unknown
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object|null} - Job, or null once the 404 is sent
+ */
+function findJob(req, res) {
+	const job = getJob(req.params.id);
+	if (!job) {
+		res.status(404).json({
+			success: false,
+			error: `Unknown calibration job '${req.params.id}'`,
+		});
+	}
+	return job;
+}
+
+/**
+ * GET /configure/jobs/:id
+ * Status of a calibration job
+ */
+router.get("/jobs/:id", (req, res) => {
+	const job = findJob(req, res);
+	if (!job) return;
+
+	res.json({
+		success: true,
+		...jobStatus(job),
+	});
+});
+
+/**
+ * GET /configure/jobs/:id/progress
+ * Per-crop progress of a calibration job
+ */
+router.get("/jobs/:id/progress", (req, res) => {
+	const job = findJob(req, res);
+	if (!job) return;
+
+	res.json({
+		success: true,
+		...jobProgress(job),
+	});
+});
+
+/**
+ * GET /configure/jobs/:id/result
+ * Result of a finished calibration job, as the calibration itself returns it; 409 while it runs
+ */
+router.get("/jobs/:id/result", (req, res) => {
+	const job = findJob(req, res);
+	if (!job) return;
+
+	if (!FINISHED_STATUSES.includes(job.status)) {
+		return res.status(409).json({
+			success: false,
+			...jobStatus(job),
+			error: `Calibration job is ${job.status}`,
+		});
+	}
+
+	res.json({
+		job_id: job.id,
+		status: job.status,
+		...job.result,
+	});
+});
+
+/**
+ * POST /configure/jobs/:id/cancel
+ * Cancels a running calibration job; 409 if it has already finished or is saving its catalogue version
+ */
+router.post("/jobs/:id/cancel", (req, res) => {
+	const job = findJob(req, res);
+	if (!job) return;
+
+	if (!cancelJob(job)) {
+		const error = FINISHED_STATUSES.includes(job.status)
+			? `Calibration job has already ${job.status === "cancelled" ? "been cancelled" : job.status.replace(/_/g, " ")}`
+			: "Calibration job is saving its catalogue version and can no longer be cancelled";
+		return res.status(409).json({
+			success: false,
+			...jobStatus(job),
+			error,
+		});
+	}
+
+	res.json({
+		success: true,
+		...jobStatus(job),
+	});
+});
+
 module.exports = router;
@@ -3,9 +3,15 @@ const express = require("express");
 // const path = require("path");
 // const fs = require("fs");
 const { runCropMatching } = require("../utils/crop-matching");
+const { runEnsembleMatching } = require("../utils/ensemble-matching");
 const { loadJson } = require("../utils/load-crops");
+const { activeCatalogueVersion } = require("../utils/crop-catalogue");
+const { resolveMatchRequest } = require("../utils/match-request");
+const { resolveQuery, filterCatalogue, queryConfig, applyQuery } = require("../utils/result-query");
+const { createLogger } = require("../utils/logger");
 
 const router = express.Router();
+const logger = createLogger("run-engine");
 
 // sample request:
 // http://url/run-matching
@@ -35,6 +41,12 @@ const router = express.Router();
 // 	"STEP_SIZE": 30,
 // 	"MAX_NAN_RATIO": 0.15,
 // 	"DEFAULT_K": 2.0,
+// 	"WORKERS": "auto",
+// 	"LOG_DETAIL": "summary", // what the response logs hold: none, summary, crop (default), window or debug
+// 	"IMPUTE_GAPS": true,
+// 	"IMPUTE_MAX_INTERPOLATION_DAYS": 3,
+// 	"IMPUTE_MAX_GAP_DAYS": 10,
+// 	"FORECAST_LATITUDE": -0.97, // needed when deriving et0_hargreaves or water_balance
 // 	"REQUIRED_FIELDS": [
 // 		"soil_moisture_0_to_10cm_mean",
 // 		"temperature_2m_max",
@@ -42,32 +54,137 @@ const router = express.Router();
 // 		"wind_speed_10m_mean",
 // 		"relative_humidity_2m_mean",
 // 		"precipitation_sum"
+// 		// derived: "growing_degree_days", "et0_hargreaves", "vapour_pressure_deficit", "water_balance"
+// 	],
+// 	"SCORING_FUNCTIONS": {
+// 		"default": { "type": "logistic" },
+// 		"temperature_2m_max": { "type": "gaussian", "sigma": 0.2 },
+// 		"precipitation_sum": { "type": "asymmetric", "low_penalty": 2.0, "high_penalty": 0.5, "tolerance": 0.1 },
+// 		"wind_speed_10m_mean": { "type": "linear", "max_delta": 1.5 }
+// 	},
+// 	"DELTA_MODES": { "default": "range", "temperature_2m_min": "absolute" },
+// 	"DELTA_TOLERANCES": { "default": 0.5, "temperature_2m_min": 2.0 },
+// 	"ALIGNMENT": "dtw", // warp forecast days onto profile days; results report the average shift
+// 	"DTW_BAND_DAYS": 7,
+// 	"SEASONAL_MODE": "penalty", // or "mask"; scales down windows far from each crop's calibrated start
+// 	"SEASONAL_TOLERANCE_DAYS": 30,
+// 	"AGGREGATE_WEIGHT": 0.3, // mix in sub-period aggregates so small timing shifts cost less
+// 	"AGGREGATE_METRICS": [
+// 		{ "name": "weekly_rainfall", "variable": "precipitation_sum", "type": "sum", "period_days": 7 },
+// 		{ "name": "hot_days", "variable": "temperature_2m_max", "type": "count_above", "threshold": 30, "period_days": 14 }
 // 	]
 // }
 // }
 
+// Forecasts in other units declare them with "units", either a preset name
+// ("open-meteo", "us-imperial", "wmo-si") or per-variable units with an optional preset base:
+// "units": { "preset": "us-imperial", "soil_moisture_0_to_10cm_mean": "m³/m³" }
+
+// Ensemble forecasts replace "forecast" with named members, and may set ensemble options in config.
+// Windows report score statistics across members, plus the variable_details and explanation of the
+// member closest to the median score ("median_member"):
+// {
+// "ensemble": {
+// 	"member_01": [ { "date": "2020-01-01T00:00:00.000Z", ... }, ... ],
+// 	"member_02": [ ... ]
+// },
+// "config": {
+// 	"ENSEMBLE_THRESHOLD": 0.6,
+// 	"RISK_AVERSION": 1.0,
+// 	"RANK_BY": "risk_adjusted"
+// }
+// }
+
+// "catalogue_version": "v3" pins the run to a saved catalogue version instead of the active one;
+// the response reports the catalogue_version it ran against (see /catalogue)
+
+// Crops calibrated with named seasons are matched once per season; each window reports the
+// "season" it scored best in and that season's "duration_days"
+
+// An optional "query" narrows the run and trims the response. Crop, variety, region and start date
+// filters apply before scoring; the rest apply to the scored results:
+// "query": {
+// 	"crops": ["Maize", "Beans"],
+// 	"regions": ["Trans-Nzoia, Kenya"],
+// 	"start_from": "2020-02-01",
+// 	"start_to": "2020-04-30",
+// 	"min_score": 0.6,
+// 	"top_windows": 3,
+// 	"top_crops": 5,
+// 	"sort_by": "best", // or "average"
+// 	"page": 1,
+// 	"page_size": 10,
+// 	"include_logs": false
+// }
+
 /**
  * POST /api/crop-matching
  * Runs the crop matching algorithm with provided data and config
  */
 router.post("/", async (req, res) => {
 	try {
-		const { forecast, config = {} } = req.body;
+		const { query: rawQuery } = req.body;
+
+		// Validate query options
+		let query = null;
+		if (rawQuery !== undefined) {
+			try {
+				query = resolveQuery(rawQuery);
+			} catch (error) {
+				return res.status(400).json({
+					success: false,
+					error: error.message,
+				});
+			}
+		}
+
+		// Validate the forecast, ensemble, config and pinned catalogue version, and convert declared units
+		let request;
+		try {
+			request = resolveMatchRequest(req.body);
+		} catch (error) {
+			return res.status(400).json({
+				success: false,
+				error: error.message,
+			});
+		}
+		const { forecast, ensemble, config } = request;
+
+		// Load crops data from the pinned or active catalogue, narrowed to the crops the query asks for
+		let cropsData = request.crops || loadJson("crops_k_calibrated");
+		const catalogueVersion = request.crops ? request.catalogueVersion : activeCatalogueVersion();
+		let runConfig = config;
+		if (query) {
+			cropsData = filterCatalogue(cropsData, query);
+			runConfig = { ...config, ...queryConfig(query) };
+		}
 
-		// Load crops data
-		const cropsData = loadJson("crops_k_calibrated")
+		// Run crop matching algorithm, once per member for ensembles
+		const result = ensemble
+			? await runEnsembleMatching(cropsData, ensemble, runConfig)
+			: await runCropMatching(cropsData, forecast, runConfig);
 
-		// Run crop matching algorithm
-		const result = await runCropMatching(cropsData, forecast, config);
+		if (!query) {
+			// Return results and logs
+			return res.json({
+				success: true,
+				catalogue_version: catalogueVersion,
+				results: result.results,
+				logs: result.logs,
+			});
+		}
 
-		// Return results and logs
+		// Return the requested page of ranked results
+		const { results, pagination } = applyQuery(result.results, query);
 		res.json({
 			success: true,
-			results: result.results,
-			logs: result.logs,
+			catalogue_version: catalogueVersion,
+			results,
+			pagination,
+			logs: query.include_logs ? result.logs : undefined,
 		});
 	} catch (error) {
-		console.error("Error in crop matching endpoint:", error);
+		logger.error("Error in crop matching endpoint", { error });
 		res.status(500).json({
 			success: false,
 			error: error.message,
@@ -0,0 +1,76 @@
+const express = require("express");
+const { runCropMatching } = require("../utils/crop-matching");
+const { runEnsembleMatching } = require("../utils/ensemble-matching");
+const { planSeason, resolvePlanOptions } = require("../utils/season-planner");
+const { loadJson } = require("../utils/load-crops");
+const { activeCatalogueVersion } = require("../utils/crop-catalogue");
+const { resolveMatchRequest } = require("../utils/match-request");
+const { createLogger } = require("../utils/logger");
+
+const router = express.Router();
+const logger = createLogger("plan-season");
+
+// sample request:
+// http://url/plan-season
+
+// {
+// "forecast": [ { "date": "2020-01-01T00:00:00.000Z", ... }, ... ],
+// "config": { "STEP_SIZE": 7 },
+// "plan": {
+// 	"fallow_days": 14,
+// 	"min_score": 0.6,
+// 	"forbidden_successions": { "Maize": ["Sorghum", "Millet"] },
+// 	"allow_repeat": false
+// }
+// }
+// "ensemble" may be sent instead of "forecast", "units" declared and "catalogue_version" pinned, as
+// for /run-engine; config is validated the same way
+
+/**
+ * POST /plan-season
+ * Runs crop matching and plans a non-overlapping sequence of crops for one plot
+ */
+router.post("/", async (req, res) => {
+	try {
+		const { plan = {} } = req.body;
+
+		// Validate plan options and the matching request, and convert declared units
+		let request;
+		try {
+			resolvePlanOptions(plan);
+			request = resolveMatchRequest(req.body);
+		} catch (error) {
+			return res.status(400).json({
+				success: false,
+				error: error.message,
+			});
+		}
+		const { forecast, ensemble, config } = request;
+
+		// Load crops data from the pinned or active catalogue
+		const cropsData = request.crops || loadJson("crops_k_calibrated");
+		const catalogueVersion = request.crops ? request.catalogueVersion : activeCatalogueVersion();
+
+		// Run crop matching algorithm, then plan on top of its results
+		const result = ensemble
+			? await runEnsembleMatching(cropsData, ensemble, config)
+			: await runCropMatching(cropsData, forecast, config);
+
+		const seasonPlan = planSeason(result.results, plan);
+
+		res.json({
+			success: true,
+			catalogue_version: catalogueVersion,
+			...seasonPlan,
+		});
+	} catch (error) {
+		logger.error("Error in season planning endpoint", { error });
+		res.status(500).json({
+			success: false,
+			error: error.message,
+			stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
+		});
+	}
+});
+
+module.exports = router;
@@ -0,0 +1,164 @@
+const express = require("express");
+const { resolveSensitivityConfig } = require("../utils/k-sensitivity");
+const { startSensitivityJob, getJob, jobStatus, cancelJob } = require("../utils/sensitivity-jobs");
+const { loadJson } = require("../utils/load-crops");
+const { convertForecastUnits } = require("../utils/unit-conversion");
+const { resolveConfig } = require("../utils/crop-matching");
+const { createLogger } = require("../utils/logger");
+
+const router = express.Router();
+const logger = createLogger("sensitivity");
+
+// sample request:
+// http://url/sensitivity
+
+// {
+// "forecast": [ { "date": "2020-01-01T00:00:00.000Z", ... }, ... ], // reference forecast, with optional "units"
+// "config": { "STEP_SIZE": 14 }, // matching config, as for /run-engine
+// "sensitivity": {
+// 	"METHOD": "oat", // or "sobol"
+// 	"PERTURB": ["k_values", "importance"],
+// 	"K_PERTURBATION": 0.2,
+// 	"IMPORTANCE_PERTURBATION": { "default": 0.2, "precipitation_sum": 0.4 },
+// 	"SAMPLES": 64, // sobol only
+// 	"SOBOL_BINS": 8,
+// 	"SEED": 1,
+// 	"TOP_WINDOWS": 5
+// },
+// "crops": { ... } // optional candidate catalogue; defaults to crops_k_calibrated.json
+// }
+
+// The analysis rematches the catalogue many times, so it runs in a worker thread as a background job.
+// POST responds 202 with a job id:
+//
+// GET  http://url/sensitivity/jobs/:id          // status
+// GET  http://url/sensitivity/jobs/:id/result   // the analysis, once the job has finished
+// POST http://url/sensitivity/jobs/:id/cancel   // stop the worker
+
+/**
+ * POST /sensitivity
+ * Starts perturbing k values and base importance, rematching a reference forecast and reporting rank changes
+ */
+router.post("/", async (req, res) => {
+	try {
+		let { forecast } = req.body;
+		const { units, config = {}, sensitivity = {}, crops } = req.body;
+
+		if (!Array.isArray(forecast) || forecast.length === 0) {
+			return res.status(400).json({
+				success: false,
+				error: "No reference forecast provided",
+			});
+		}
+
+		if (crops !== undefined && (!crops || typeof crops !== "object" || Array.isArray(crops))) {
+			return res.status(400).json({
+				success: false,
+				error: "crops must be a catalogue object keyed by crop name",
+			});
+		}
+
+		// Validate options and convert units before any matching runs
+		try {
+			resolveConfig(config);
+			resolveSensitivityConfig(sensitivity);
+			forecast = convertForecastUnits(forecast, units);
+		} catch (error) {
+			return res.status(400).json({
+				success: false,
+				error: error.message,
+			});
+		}
+
+		const cropsData = crops || loadJson("crops_k_calibrated");
+		res.status(202).json({
+			success: true,
+			...startSensitivityJob(cropsData, forecast, config, sensitivity),
+		});
+	} catch (error) {
+		logger.error("Error in sensitivity endpoint", { error });
+		res.status(500).json({
+			success: false,
+			error: error.message,
+			stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
+		});
+	}
+});
+
+/**
+ * Look up the job named in the route, responding 404 if it is unknown
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object|null} - Job, or null once the 404 is sent
+ */
+function findJob(req, res) {
+	const job = getJob(req.params.id);
+	if (!job) {
+		res.status(404).json({
+			success: false,
+			error: `Unknown sensitivity job '${req.params.id}'`,
+		});
+	}
+	return job;
+}
+
+/**
+ * GET /sensitivity/jobs/:id
+ * Status of a sensitivity job
+ */
+router.get("/jobs/:id", (req, res) => {
+	const job = findJob(req, res);
+	if (!job) return;
+
+	res.json({
+		success: true,
+		...jobStatus(job),
+	});
+});
+
+/**
+ * GET /sensitivity/jobs/:id/result
+ * Analysis of a completed job; 409 while it runs or if it failed or was cancelled
+ */
+router.get("/jobs/:id/result", (req, res) => {
+	const job = findJob(req, res);
+	if (!job) return;
+
+	if (job.status !== "completed") {
+		return res.status(409).json({
+			success: false,
+			...jobStatus(job),
+			error: job.error || `Sensitivity job is ${job.status}`,
+		});
+	}
+
+	res.json({
+		success: true,
+		job_id: job.id,
+		analysis: job.result,
+	});
+});
+
+/**
+ * POST /sensitivity/jobs/:id/cancel
+ * Cancels a running sensitivity job; 409 if it has already finished
+ */
+router.post("/jobs/:id/cancel", (req, res) => {
+	const job = findJob(req, res);
+	if (!job) return;
+
+	if (!cancelJob(job)) {
+		return res.status(409).json({
+			success: false,
+			...jobStatus(job),
+			error: `Sensitivity job has already ${job.status === "cancelled" ? "been cancelled" : job.status}`,
+		});
+	}
+
+	res.json({
+		success: true,
+		...jobStatus(job),
+	});
+});
+
+module.exports = router;
@@ -1,8 +1,10 @@
 const express = require("express");
 const path = require("path");
 const fs = require("fs");
+const { createLogger } = require("../utils/logger");
 
 const router = express.Router();
+const logger = createLogger("visualizations");
 
 const BASE_VISUALIZATION_PATH = path.join(__dirname, "../analytics/visualizations");
 
@@ -72,7 +74,7 @@ router.get("/", async (req, res) => {
 			visualizations: visualizationLinks,
 		});
 	} catch (error) {
-		console.error("Error fetching visualizations:", error);
+		logger.error("Error fetching visualizations", { error });
 		return res.status(500).json({ success: false, message: "Server error." });
 	}
 });
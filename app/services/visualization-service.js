@@ -23,6 +23,10 @@ const VARIABLE_COLORS = {
 	precipitation_sum: "rgba(153, 102, 255, 0.7)",
 	relative_humidity_2m_mean: "rgba(255, 159, 64, 0.7)",
 	wind_speed_10m_mean: "rgba(255, 205, 86, 0.7)",
+	growing_degree_days: "rgba(201, 203, 207, 0.7)",
+	et0_hargreaves: "rgba(46, 139, 87, 0.7)",
+	vapour_pressure_deficit: "rgba(139, 69, 19, 0.7)",
+	water_balance: "rgba(0, 128, 128, 0.7)",
 };
 
 /**
@@ -159,9 +163,10 @@ function getChartConfig(type, cropName, cropData) {
  * @param {string} outputDir - Directory to save visualizations
  * @param {string} type - Type of visualization (crop-conditions or k-values)
  * @param {Object} logs - Logs object for tracking
+ * @param {Object} options - signal: stops rendering when aborted; onCrop(cropName): called as each crop finishes
  * @returns {Array} - Array of visualization file paths
  */
-async function generateVisualization(crops, outputDir, type, logs) {
+async function generateVisualization(crops, outputDir, type, logs, options = {}) {
 	const visualizations = [];
 
 	try {
@@ -173,6 +178,8 @@ async function generateVisualization(crops, outputDir, type, logs) {
 
 		// Generate visualization for each crop
 		for (const cropName in crops) {
+			if (options.signal && options.signal.aborted) break;
+
 			const cropData = crops[cropName];
 
 			// Skip if no daily weather or k_values for respective visualization types
@@ -184,6 +191,7 @@ async function generateVisualization(crops, outputDir, type, logs) {
 					crop: cropName,
 					message: `Missing data for ${type} visualization`,
 				});
+				if (options.onCrop) options.onCrop(cropName);
 				continue;
 			}
 
@@ -211,6 +219,7 @@ async function generateVisualization(crops, outputDir, type, logs) {
 					message: `Error generating visualization: ${error.message}`,
 				});
 			}
+			if (options.onCrop) options.onCrop(cropName);
 		}
 	} catch (error) {
 		logs.errors.push({
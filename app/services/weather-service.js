@@ -10,6 +10,14 @@ const axiosInstance = setupCache(axios.create(), {
 	ttl: 60 * 60 * 1000, // 1 hour cache
 });
 
+// Default Open-Meteo climate API parameters: the variables crop profiles and forecasts are built from
+const DEFAULT_WEATHER_PARAMS = {
+	models: "MRI_AGCM3_2_S",
+	daily: ["soil_moisture_0_to_10cm_mean", "temperature_2m_max", "temperature_2m_min", "wind_speed_10m_mean", "relative_humidity_2m_mean"],
+	daily_2: "precipitation_sum",
+	timezone: "auto",
+};
+
 /**
  * Format Open-Meteo params for axios request
  * @param {Object} params - The parameters to format
@@ -21,7 +29,8 @@ function formatOpenMeteoParams(params) {
 	// Handle arrays properly for axios
 	if (params.daily && Array.isArray(params.daily)) {
 		delete formattedParams.daily;
-		formattedParams["daily[]"] = params.daily;
+		// Copy, so adding daily_2 below never changes the caller's list (or DEFAULT_WEATHER_PARAMS)
+		formattedParams["daily[]"] = [...params.daily];
 	}
 
 	// Handle daily_2 parameter
@@ -40,71 +49,97 @@ function formatOpenMeteoParams(params) {
 	return formattedParams;
 }
 
+/**
+ * Request daily weather for one location and date range
+ * @param {Array} coordinates - [latitude, longitude]
+ * @param {string} start - Start date (YYYY-MM-DD)
+ * @param {string} end - End date (YYYY-MM-DD)
+ * @param {Object} weatherParams - Weather API parameters
+ * @param {AbortSignal} signal - Optional signal that aborts the request
+ * @returns {Array} - Daily weather entries
+ */
+async function requestDailyWeather(coordinates, start, end, weatherParams, signal) {
+	const [latitude, longitude] = coordinates;
+
+	const url = "https://climate-api.open-meteo.com/v1/climate";
+	const params = {
+		latitude,
+		longitude,
+		start_date: start,
+		end_date: end,
+		...weatherParams,
+	};
+
+	// Format parameters for axios
+	const formattedParams = formatOpenMeteoParams(params);
+
+	// Send request
+	const response = await axiosInstance.get(url, { params: formattedParams, signal });
+
+	if (response.status !== 200) {
+		throw new Error(`Failed to fetch weather data: ${response.status} ${response.statusText}`);
+	}
+
+	const daily = response.data.daily;
+
+	// Create daily weather array
+	return daily.time.map((date, i) => {
+		const entry = { date };
+
+		// Add each weather variable
+		if (Array.isArray(weatherParams.daily)) {
+			weatherParams.daily.forEach((param) => {
+				entry[param] = daily[param][i];
+			});
+		}
+
+		// Add daily_2 if present
+		if (weatherParams.daily_2) {
+			entry[weatherParams.daily_2] = daily[weatherParams.daily_2][i];
+		}
+
+		return entry;
+	});
+}
+
+/**
+ * Shift a YYYY-MM-DD date by a number of years
+ * @param {string} dateStr - Date string
+ * @param {number} years - Years to add (may be negative)
+ * @returns {string} - Shifted date string
+ */
+function shiftYears(dateStr, years) {
+	const date = new Date(`${dateStr}T00:00:00Z`);
+	date.setUTCFullYear(date.getUTCFullYear() + years);
+	return date.toISOString().split("T")[0];
+}
+
 /**
  * Fetch weather data for crops
  * @param {Object} crops - The crops data object
  * @param {Object} weatherParams - Weather API parameters
  * @param {Object} logs - Logs object for tracking
+ * @param {Object} options - signal: stops fetching when aborted; onCrop(cropName): called as each crop finishes
  * @returns {Object} - Updated crops with weather data
  */
-async function fetchCropWeatherData(crops, weatherParams, logs) {
+async function fetchCropWeatherData(crops, weatherParams, logs, options = {}) {
 	const updatedCrops = { ...crops };
 
 	for (const cropName in updatedCrops) {
+		if (options.signal && options.signal.aborted) break;
+
 		try {
 			const data = updatedCrops[cropName];
-			const [latitude, longitude] = data.coordinates;
-			const start = data.start_date;
-			const end = data.end_date;
-
-			const url = "https://climate-api.open-meteo.com/v1/climate";
-			const params = {
-				latitude,
-				longitude,
-				start_date: start,
-				end_date: end,
-				...weatherParams,
-			};
-
-			// Format parameters for axios
-			const formattedParams = formatOpenMeteoParams(params);
-
-			// Send request
-			const response = await axiosInstance.get(url, { params: formattedParams });
-
-			if (response.status === 200) {
-				const json = response.data;
-				const daily = json.daily;
-
-				// Create daily weather array for this crop
-				const dailyWeather = daily.time.map((date, i) => {
-					const entry = { date };
-
-					// Add each weather variable
-					if (Array.isArray(weatherParams.daily)) {
-						weatherParams.daily.forEach((param, j) => {
-							entry[param] = daily[param][i];
-						});
-					}
-
-					// Add daily_2 if present
-					if (weatherParams.daily_2) {
-						entry[weatherParams.daily_2] = daily[weatherParams.daily_2][i];
-					}
-
-					return entry;
-				});
 
-				// Update crop with weather data
-				updatedCrops[cropName].daily_weather = dailyWeather;
-				logs.crops_processed.push(cropName);
-			} else {
-				updatedCrops[cropName].daily_weather = null;
-				logs.errors.push({
-					crop: cropName,
-					message: `Failed to fetch weather data: ${response.status} ${response.statusText}`,
-				});
-			}
+			// Update crop with weather data
+			updatedCrops[cropName].daily_weather = await requestDailyWeather(
+				data.coordinates,
+				data.start_date,
+				data.end_date,
+				weatherParams,
+				options.signal
+			);
+			logs.crops_processed.push(cropName);
 		} catch (error) {
 			updatedCrops[cropName].daily_weather = null;
 			logs.errors.push({
@@ -112,9 +147,87 @@ async function fetchCropWeatherData(crops, weatherParams, logs) {
 				message: `Error fetching weather data: ${error.message}`,
 			});
 		}
+		if (options.onCrop) options.onCrop(cropName);
+	}
+
+	return updatedCrops;
+}
+
+/**
+ * Group years into runs of consecutive years
+ * @param {Array} years - Years, in any order
+ * @returns {Array} - Runs of consecutive years, each sorted ascending
+ */
+function consecutiveRuns(years) {
+	const sorted = [...new Set(years)].sort((a, b) => a - b);
+	const runs = [];
+
+	for (const year of sorted) {
+		const run = runs[runs.length - 1];
+		if (run && year === run[run.length - 1] + 1) run.push(year);
+		else runs.push([year]);
+	}
+
+	return runs;
+}
+
+/**
+ * Fetch the same seasonal window for several years for each crop
+ * The crop's start_date and end_date are taken to be in referenceYear and shifted to each year.
+ * Consecutive years are fetched in one request and split into seasons by date.
+ * @param {Object} crops - The crops data object
+ * @param {Object} weatherParams - Weather API parameters
+ * @param {Array} years - Years to fetch
+ * @param {number} referenceYear - Year the crop dates are expressed in
+ * @param {Object} logs - Logs object for tracking
+ * @param {Object} options - signal: stops fetching when aborted; onCrop(cropName): called as each crop finishes
+ * @returns {Object} - Updated crops with weather_history keyed by year
+ */
+async function fetchCropWeatherHistory(crops, weatherParams, years, referenceYear, logs, options = {}) {
+	const updatedCrops = { ...crops };
+
+	for (const cropName in updatedCrops) {
+		if (options.signal && options.signal.aborted) break;
+
+		const data = updatedCrops[cropName];
+		const history = {};
+
+		for (const run of consecutiveRuns(years)) {
+			const first = run[0];
+			const last = run[run.length - 1];
+			try {
+				const days = await requestDailyWeather(
+					data.coordinates,
+					shiftYears(data.start_date, first - referenceYear),
+					shiftYears(data.end_date, last - referenceYear),
+					weatherParams,
+					options.signal
+				);
+
+				for (const year of run) {
+					const start = shiftYears(data.start_date, year - referenceYear);
+					const end = shiftYears(data.end_date, year - referenceYear);
+					history[year] = days.filter((day) => day.date >= start && day.date <= end);
+				}
+			} catch (error) {
+				run.forEach((year) => {
+					logs.errors.push({
+						crop: cropName,
+						year,
+						message: `Error fetching weather data: ${error.message}`,
+					});
+				});
+			}
+		}
+
+		updatedCrops[cropName].weather_history = history;
+		if (Object.keys(history).length > 0) {
+			logs.crops_processed.push(cropName);
+		}
+		if (options.onCrop) options.onCrop(cropName);
 	}
 
 	return updatedCrops;
 }
 
-module.exports = { fetchCropWeatherData };
+module.exports = { requestDailyWeather, fetchCropWeatherData, fetchCropWeatherHistory, DEFAULT_WEATHER_PARAMS };
@@ -0,0 +1,111 @@
+/**
+ * Aggregate metrics module
+ * Compares forecast and profile over sliding sub-periods instead of day by day, so a rain
+ * event that arrives a couple of days late still lands in mostly the same sub-periods
+ *
+ *   sum         - total over each sub-period (e.g. weekly rainfall)
+ *   mean        - average over each sub-period
+ *   cumulative  - running total from the window start, sampled at the end of each sub-period
+ *   count_above - days above the metric's threshold in each sub-period (e.g. hot days)
+ *   count_below - days below the metric's threshold in each sub-period (e.g. dry days)
+ */
+
+// Aggregate types accepted in AGGREGATE_METRICS
+const AGGREGATE_TYPES = ["sum", "mean", "cumulative", "count_above", "count_below"];
+
+/**
+ * Validate aggregate metric definitions and fill in defaults
+ * @param {Array} metrics - Metric definitions from the config
+ * @returns {Array} - Metrics with name, step_days and weight set
+ */
+function resolveAggregateMetrics(metrics) {
+	if (!Array.isArray(metrics)) {
+		throw new Error("Invalid AGGREGATE_METRICS: expected an array of metric definitions");
+	}
+
+	return metrics.map((metric, index) => {
+		const name = metric.name || `${metric.type}_${metric.variable || index + 1}`;
+
+		if (!AGGREGATE_TYPES.includes(metric.type)) {
+			throw new Error(`Invalid aggregate metric '${name}': expected type to be one of ${AGGREGATE_TYPES.join(", ")}`);
+		}
+		if (!metric.variable) {
+			throw new Error(`Invalid aggregate metric '${name}': variable is required`);
+		}
+		if (!(metric.period_days >= 1)) {
+			throw new Error(`Invalid aggregate metric '${name}': period_days must be a number of days >= 1`);
+		}
+		if ((metric.type === "count_above" || metric.type === "count_below") && typeof metric.threshold !== "number") {
+			throw new Error(`Invalid aggregate metric '${name}': ${metric.type} needs a numeric threshold`);
+		}
+
+		return {
+			...metric,
+			name,
+			period_days: Math.floor(metric.period_days),
+			step_days: Math.max(1, Math.floor(metric.step_days || 1)),
+			weight: metric.weight ?? 1,
+		};
+	});
+}
+
+/**
+ * Value a day contributes to a metric's running totals
+ * @param {Object} metric - Resolved metric
+ * @param {number} value - Day value
+ * @returns {number} - Contribution
+ */
+function contribution(metric, value) {
+	if (metric.type === "count_above") return value > metric.threshold ? 1 : 0;
+	if (metric.type === "count_below") return value < metric.threshold ? 1 : 0;
+	return value;
+}
+
+/**
+ * Aggregate forecast and profile values over the sliding sub-periods of a window
+ * Only days where both values are present count, so gaps do not read as dry or cold spells;
+ * sub-periods with fewer than half their days present are skipped
+ * @param {Float64Array} forecastVals - Forecast values for the window, NaN where missing
+ * @param {Float64Array} profileVals - Profile values for the window, NaN where missing
+ * @param {number} length - Number of days in the window
+ * @param {Object} metric - Resolved metric
+ * @returns {Object} - Forecast and profile aggregates, one entry per scored sub-period
+ */
+function aggregateSubPeriods(forecastVals, profileVals, length, metric) {
+	// Running totals over days where both values are present
+	const forecastSum = new Float64Array(length + 1);
+	const profileSum = new Float64Array(length + 1);
+	const pairCount = new Int32Array(length + 1);
+
+	for (let day = 0; day < length; day++) {
+		const both = !isNaN(forecastVals[day]) && !isNaN(profileVals[day]);
+		forecastSum[day + 1] = forecastSum[day] + (both ? contribution(metric, forecastVals[day]) : 0);
+		profileSum[day + 1] = profileSum[day] + (both ? contribution(metric, profileVals[day]) : 0);
+		pairCount[day + 1] = pairCount[day] + (both ? 1 : 0);
+	}
+
+	const forecast = [];
+	const profile = [];
+	const period = Math.min(metric.period_days, length);
+
+	for (let start = 0; start + period <= length; start += metric.step_days) {
+		const end = start + period;
+		const count = pairCount[end] - pairCount[start];
+		if (count < period / 2) continue;
+
+		if (metric.type === "cumulative") {
+			forecast.push(forecastSum[end]);
+			profile.push(profileSum[end]);
+		} else if (metric.type === "mean") {
+			forecast.push((forecastSum[end] - forecastSum[start]) / count);
+			profile.push((profileSum[end] - profileSum[start]) / count);
+		} else {
+			forecast.push(forecastSum[end] - forecastSum[start]);
+			profile.push(profileSum[end] - profileSum[start]);
+		}
+	}
+
+	return { forecast, profile };
+}
+
+module.exports = { resolveAggregateMetrics, aggregateSubPeriods, AGGREGATE_TYPES };
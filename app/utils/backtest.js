@@ -0,0 +1,446 @@
+/**
+ * Backtesting module
+ * Replays held-out weather through the matching engine as if it were the forecast, and measures
+ * how often each crop's known planting month lands among its top windows
+ *
+ * A case is one held-out year at one location: either supplied weather ({ name, weather }) or
+ * a location and year fetched from the climate API ({ name, coordinates, year }). Each case is
+ * matched once per k-value set, so the heuristic, the catalogue and custom k values can be
+ * compared on the same weather. Crop rankings are compared across cases for stability. A case whose
+ * weather cannot be loaded is reported under failed_cases and the rest still run.
+ */
+const fs = require("fs");
+const path = require("path");
+const { runCropMatching, resolveConfig } = require("./crop-matching");
+const { computeCropKValues, DEFAULT_BASE_IMPORTANCE } = require("./k-calibration");
+const { convertForecastUnits } = require("./unit-conversion");
+const { mapCropProfiles } = require("./crop-seasons");
+const { mean, std, spearman } = require("./stats");
+const { requestDailyWeather, DEFAULT_WEATHER_PARAMS } = require("../services/weather-service");
+const { createLogger } = require("./logger");
+
+const logger = createLogger("backtest");
+
+// Default configuration
+const DEFAULT_BACKTEST_CONFIG = {
+	// A hit is a known planting month among a crop's TOP_K best windows
+	TOP_K: 3,
+	// Months either side of the known planting month that still count as a hit
+	MONTH_TOLERANCE: 0,
+	// Matching config every case is scored with
+	MATCHING_CONFIG: {},
+	// Named k-value sets to score: "catalogue" (stored k values), "heuristic" (recomputed from
+	// BASE_IMPORTANCE), or per-crop k values over the catalogue ones, with "*" applying to every crop
+	K_VALUE_SETS: { catalogue: "catalogue" },
+	BASE_IMPORTANCE: DEFAULT_BASE_IMPORTANCE,
+	WEATHER_PARAMS: DEFAULT_WEATHER_PARAMS,
+	// Write backtest.json and backtest.csv to a timestamped folder here; the backtest command turns this on
+	WRITE_FILES: false,
+	OUTPUT_PATH: path.join(__dirname, "../analytics/backtests"),
+};
+
+// Per-crop metrics written to the CSV report, in column order
+const CSV_COLUMNS = ["cases", "hits", "hit_rate", "mrr", "mean_best_score", "rank_mean", "rank_std"];
+
+/**
+ * Merge backtest config with defaults and validate it
+ * @param {Object} config - Configuration overrides
+ * @returns {Object} - Merged configuration
+ */
+function resolveBacktestConfig(config = {}) {
+	const merged = {
+		...DEFAULT_BACKTEST_CONFIG,
+		...config,
+		BASE_IMPORTANCE: {
+			...DEFAULT_BACKTEST_CONFIG.BASE_IMPORTANCE,
+			...(config.BASE_IMPORTANCE || {}),
+		},
+		WEATHER_PARAMS: {
+			...DEFAULT_BACKTEST_CONFIG.WEATHER_PARAMS,
+			...(config.WEATHER_PARAMS || {}),
+		},
+	};
+
+	if (!(Number.isInteger(merged.TOP_K) && merged.TOP_K >= 1)) {
+		throw new Error("Invalid TOP_K: expected an integer >= 1");
+	}
+	if (!(Number.isInteger(merged.MONTH_TOLERANCE) && merged.MONTH_TOLERANCE >= 0 && merged.MONTH_TOLERANCE <= 6)) {
+		throw new Error("Invalid MONTH_TOLERANCE: expected an integer from 0 to 6");
+	}
+
+	if (!merged.MATCHING_CONFIG || typeof merged.MATCHING_CONFIG !== "object" || Array.isArray(merged.MATCHING_CONFIG)) {
+		throw new Error("Invalid MATCHING_CONFIG: expected an object of matching options");
+	}
+
+	const sets = merged.K_VALUE_SETS;
+	if (!sets || typeof sets !== "object" || Array.isArray(sets) || Object.keys(sets).length === 0) {
+		throw new Error("Invalid K_VALUE_SETS: expected an object of named k-value sets");
+	}
+	for (const name in sets) {
+		const set = sets[name];
+		if (set !== "catalogue" && set !== "heuristic" && (!set || typeof set !== "object" || Array.isArray(set))) {
+			throw new Error(`Invalid K_VALUE_SETS.${name}: expected "catalogue", "heuristic" or an object of per-crop k values`);
+		}
+	}
+
+	return merged;
+}
+
+/**
+ * Matching config a case is scored with: MATCHING_CONFIG at the case's latitude
+ * @param {Object} testCase - Case
+ * @param {Object} config - Merged configuration
+ * @returns {Object} - Matching config overrides
+ */
+function caseMatchingConfig(testCase, config) {
+	const latitude = Array.isArray(testCase.coordinates) ? testCase.coordinates[0] : testCase.latitude;
+	return {
+		...config.MATCHING_CONFIG,
+		...(latitude !== undefined ? { FORECAST_LATITUDE: latitude } : {}),
+		LOG_DETAIL: "none",
+	};
+}
+
+/**
+ * Check backtest cases, and the matching config each will be scored with, before any weather is
+ * fetched or matched
+ * @param {Array} cases - Cases: { name, weather } or { name, coordinates, year }
+ * @param {Object} config - Merged configuration (see resolveBacktestConfig)
+ */
+function validateCases(cases, config = resolveBacktestConfig()) {
+	if (!Array.isArray(cases) || cases.length === 0) {
+		throw new Error("cases must be a non-empty array");
+	}
+
+	const names = new Set();
+	cases.forEach((testCase, i) => {
+		const label = testCase && testCase.name ? `'${testCase.name}'` : `#${i + 1}`;
+		if (!testCase || typeof testCase !== "object") {
+			throw new Error(`Invalid case ${label}: expected an object`);
+		}
+		if (testCase.name !== undefined) {
+			if (names.has(testCase.name)) throw new Error(`Duplicate case name ${label}`);
+			names.add(testCase.name);
+		}
+
+		const hasCoordinates = Array.isArray(testCase.coordinates) && testCase.coordinates.length === 2;
+		if (testCase.weather !== undefined) {
+			if (!Array.isArray(testCase.weather) || testCase.weather.length === 0) {
+				throw new Error(`Invalid case ${label}: weather must be a non-empty array of daily objects`);
+			}
+		} else if (!hasCoordinates || !Number.isInteger(testCase.year)) {
+			throw new Error(`Invalid case ${label}: expected weather, or coordinates [lat, lon] and a year`);
+		}
+
+		if (testCase.crops !== undefined && !Array.isArray(testCase.crops)) {
+			throw new Error(`Invalid case ${label}: crops must be an array of crop names`);
+		}
+		if (testCase.planting_months !== undefined) {
+			const months = testCase.planting_months;
+			const isMonth = (m) => Number.isInteger(m) && m >= 1 && m <= 12;
+			if (
+				!months ||
+				typeof months !== "object" ||
+				Object.values(months).some((m) => !(isMonth(m) || (Array.isArray(m) && m.length > 0 && m.every(isMonth))))
+			) {
+				throw new Error(`Invalid case ${label}: planting_months must map crop names to a month 1-12 or a list of months`);
+			}
+		}
+
+		// Cases may bring their own latitude, so the matching config is checked per case
+		try {
+			resolveConfig(caseMatchingConfig(testCase, config));
+		} catch (error) {
+			if (/^Invalid FORECAST_LATITUDE/.test(error.message)) {
+				throw new Error(`Invalid case ${label}: ${error.message}; give the case coordinates or a latitude`);
+			}
+			throw new Error(`Invalid MATCHING_CONFIG: ${error.message}`);
+		}
+	});
+}
+
+/**
+ * Build the catalogue each k-value set is scored with
+ * @param {Object} crops - Crop catalogue
+ * @param {Object} config - Merged configuration
+ * @returns {Object} - Catalogue per set name
+ */
+function buildKValueSets(crops, config) {
+	const catalogues = {};
+
+	for (const setName in config.K_VALUE_SETS) {
+		const set = config.K_VALUE_SETS[setName];
+		const catalogue = {};
+
+		for (const cropName in crops) {
+			if (set === "heuristic") {
+				// Recompute on a copy of each profile so the catalogue is left untouched
+				catalogue[cropName] = mapCropProfiles(
+					crops[cropName],
+					(profile) => computeCropKValues({ profile: { ...profile } }, config.BASE_IMPORTANCE, { errors: [] }).crops.profile
+				);
+			} else {
+				const overrides = set === "catalogue" ? {} : { ...(set["*"] || {}), ...(set[cropName] || {}) };
+				catalogue[cropName] = mapCropProfiles(crops[cropName], (profile) => ({
+					...profile,
+					k_values: { ...(profile.k_values || {}), ...overrides },
+				}));
+			}
+		}
+
+		catalogues[setName] = catalogue;
+	}
+
+	return catalogues;
+}
+
+/**
+ * Load the weather of a case, fetching it from the climate API for location-year cases
+ * Fetched weather runs to the year end plus the longest crop duration, so late plantings can complete
+ * @param {Object} testCase - Case definition
+ * @param {Object} crops - Crop catalogue
+ * @param {Object} config - Merged configuration
+ * @returns {Promise<Array>} - Daily weather in the units of the crop profiles
+ */
+async function loadCaseWeather(testCase, crops, config) {
+	if (testCase.weather) return convertForecastUnits(testCase.weather, testCase.units);
+
+	const durations = Object.values(crops).flatMap((crop) =>
+		crop.seasons ? Object.values(crop.seasons).map((season) => season.duration_days || 0) : [crop.duration_days || 0]
+	);
+	const longest = Math.max(0, ...durations);
+	const end = new Date(Date.UTC(testCase.year, 11, 31 + longest)).toISOString().split("T")[0];
+	return requestDailyWeather(testCase.coordinates, `${testCase.year}-01-01`, end, config.WEATHER_PARAMS);
+}
+
+/**
+ * Months a crop is known to be planted in for a case
+ * Crops with named seasons are planted in the start month of each season
+ * @param {Object} testCase - Case definition
+ * @param {string} cropName - Crop name
+ * @param {Object} crop - Crop data
+ * @returns {Array} - Months 1-12, empty if unknown
+ */
+function expectedMonths(testCase, cropName, crop) {
+	if (testCase.planting_months && testCase.planting_months[cropName]) return [].concat(testCase.planting_months[cropName]);
+	if (crop.seasons) {
+		return [...new Set(Object.values(crop.seasons).filter((s) => s.start_date).map((s) => Number(s.start_date.slice(5, 7))))];
+	}
+	if (crop.start_date) return [Number(crop.start_date.slice(5, 7))];
+	return crop.planting_season_month ? [crop.planting_season_month] : [];
+}
+
+/**
+ * Months between two months, wrapping around the year end
+ * @param {number} a - First month
+ * @param {number} b - Second month
+ * @returns {number} - Distance in months, 0-6
+ */
+function monthDistance(a, b) {
+	const diff = Math.abs(a - b);
+	return Math.min(diff, 12 - diff);
+}
+
+/**
+ * Round a metric to 4 decimal places, keeping null
+ * @param {number|null} value - Metric value
+ * @returns {number|null} - Rounded value
+ */
+function round(value) {
+	return value === null ? null : Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Score one case's matching results against the known planting months
+ * @param {Object} testCase - Case definition
+ * @param {string} caseName - Case name used in the report
+ * @param {Array} results - Crop results with windows sorted best first
+ * @param {Object} crops - Crop catalogue
+ * @param {Object} config - Merged configuration
+ * @returns {Object} - Crop ranking by best score, and one outcome per evaluated crop
+ */
+function evaluateCase(testCase, caseName, results, crops, config) {
+	const ranking = results
+		.filter((result) => result.windows.length > 0)
+		.sort((a, b) => b.windows[0].score - a.windows[0].score)
+		.map((result) => result.name);
+
+	const evaluated = testCase.crops || Object.keys(crops);
+	const outcomes = [];
+
+	for (const cropName of evaluated) {
+		const crop = crops[cropName];
+		const months = crop ? expectedMonths(testCase, cropName, crop) : [];
+		if (months.length === 0) continue;
+
+		const result = results.find((r) => r.name === cropName);
+		const windows = result ? result.windows : [];
+		const matchIndex = windows.findIndex((w) =>
+			months.some((month) => monthDistance(Number(w.start.slice(5, 7)), month) <= config.MONTH_TOLERANCE)
+		);
+		const rank = ranking.indexOf(cropName);
+
+		outcomes.push({
+			case: caseName,
+			crop: cropName,
+			expected_months: months,
+			hit: matchIndex !== -1 && matchIndex < config.TOP_K,
+			hit_rank: matchIndex === -1 ? null : matchIndex + 1,
+			best_start: windows.length > 0 ? windows[0].start : null,
+			best_score: windows.length > 0 ? windows[0].score : null,
+			crop_rank: rank === -1 ? null : rank + 1,
+		});
+	}
+
+	return { ranking, outcomes };
+}
+
+/**
+ * Summarise outcomes into hit rate, reciprocal rank, score and rank statistics
+ * @param {Array} outcomes - Case outcomes for one crop, or for all crops
+ * @returns {Object} - Metrics
+ */
+function summariseOutcomes(outcomes) {
+	const hits = outcomes.filter((o) => o.hit).length;
+	const scores = outcomes.filter((o) => o.best_score !== null).map((o) => o.best_score);
+	const ranks = outcomes.filter((o) => o.crop_rank !== null).map((o) => o.crop_rank);
+
+	return {
+		cases: outcomes.length,
+		hits,
+		hit_rate: outcomes.length > 0 ? round(hits / outcomes.length) : null,
+		// Mean reciprocal rank of the first window in the known month; 0 when no window was
+		mrr: outcomes.length > 0 ? round(mean(outcomes.map((o) => (o.hit_rank ? 1 / o.hit_rank : 0)))) : null,
+		mean_best_score: scores.length > 0 ? round(mean(scores)) : null,
+		rank_mean: ranks.length > 0 ? round(mean(ranks)) : null,
+		rank_std: ranks.length > 0 ? round(std(ranks)) : null,
+	};
+}
+
+/**
+ * Mean Spearman correlation of crop rankings over every pair of cases
+ * Each pair is compared on the crops ranked in both; pairs sharing fewer than 3 crops are skipped
+ * @param {Array} rankings - Crop names ordered best first, one array per case
+ * @returns {number|null} - Mean correlation, or null with fewer than 2 comparable cases
+ */
+function rankingStability(rankings) {
+	const correlations = [];
+
+	for (let i = 0; i < rankings.length; i++) {
+		for (let j = i + 1; j < rankings.length; j++) {
+			const shared = rankings[i].filter((name) => rankings[j].includes(name));
+			if (shared.length < 3) continue;
+			correlations.push(
+				spearman(
+					shared.map((name) => rankings[i].indexOf(name)),
+					shared.map((name) => rankings[j].indexOf(name))
+				)
+			);
+		}
+	}
+
+	return correlations.length > 0 ? round(mean(correlations)) : null;
+}
+
+/**
+ * Format a backtest report as CSV, one row per set and crop plus an "(all)" row per set
+ * @param {Object} sets - Report sets from runBacktest
+ * @returns {string} - CSV text
+ */
+function backtestToCsv(sets) {
+	const rows = [["set", "crop", ...CSV_COLUMNS].join(",")];
+	const cell = (value) => (value === null || value === undefined ? "" : /[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : value);
+
+	for (const setName in sets) {
+		const { crops, overall } = sets[setName];
+		for (const cropName in crops) {
+			rows.push([setName, cropName, ...CSV_COLUMNS.map((c) => crops[cropName][c])].map(cell).join(","));
+		}
+		rows.push([setName, "(all)", ...CSV_COLUMNS.map((c) => overall[c])].map(cell).join(","));
+	}
+
+	return `${rows.join("\n")}\n`;
+}
+
+/**
+ * Run a backtest of the catalogue over held-out cases
+ * @param {Object} crops - Crop catalogue
+ * @param {Array} cases - Cases: { name, weather } or { name, coordinates, year }, with optional
+ * crops (names to evaluate), planting_months ({ crop: month or [months] } overrides) and units
+ * @param {Object} config - Backtest configuration overrides
+ * @returns {Promise<Object>} - Report with per-set overall and per-crop metrics, case outcomes and file paths
+ */
+async function runBacktest(crops, cases, config = {}) {
+	const mergedConfig = resolveBacktestConfig(config);
+	validateCases(cases, mergedConfig);
+
+	const catalogues = buildKValueSets(crops, mergedConfig);
+	const sets = {};
+	const evaluations = Object.fromEntries(Object.keys(catalogues).map((name) => [name, []]));
+	const failedCases = [];
+
+	// Fetch each case's weather once and score it with every k-value set
+	for (let i = 0; i < cases.length; i++) {
+		const testCase = cases[i];
+		const caseName = testCase.name || (testCase.year ? `${testCase.coordinates.join(",")}:${testCase.year}` : `case_${i + 1}`);
+		let weather;
+		try {
+			weather = await loadCaseWeather(testCase, crops, mergedConfig);
+		} catch (error) {
+			logger.warn("Backtest case failed", { case: caseName, error: error.message });
+			failedCases.push({ case: caseName, error: error.message });
+			continue;
+		}
+		logger.info("Backtesting case", { case: caseName, days: weather.length });
+
+		for (const setName in catalogues) {
+			const { results } = await runCropMatching(catalogues[setName], weather, caseMatchingConfig(testCase, mergedConfig));
+			evaluations[setName].push(evaluateCase(testCase, caseName, results, crops, mergedConfig));
+		}
+	}
+
+	for (const setName in evaluations) {
+		const outcomes = evaluations[setName].flatMap((e) => e.outcomes);
+		const cropMetrics = {};
+		for (const cropName of [...new Set(outcomes.map((o) => o.crop))]) {
+			cropMetrics[cropName] = summariseOutcomes(outcomes.filter((o) => o.crop === cropName));
+		}
+
+		sets[setName] = {
+			overall: {
+				...summariseOutcomes(outcomes),
+				ranking_stability: rankingStability(evaluations[setName].map((e) => e.ranking)),
+			},
+			crops: cropMetrics,
+			cases: outcomes,
+		};
+	}
+
+	const report = {
+		timestamp: new Date().toISOString(),
+		case_count: cases.length,
+		cases_failed: failedCases.length,
+		failed_cases: failedCases,
+		top_k: mergedConfig.TOP_K,
+		month_tolerance: mergedConfig.MONTH_TOLERANCE,
+		sets,
+	};
+
+	if (mergedConfig.WRITE_FILES) {
+		const timestamp = report.timestamp.replace(/:/g, "-").replace(/\..+/, "");
+		const outputDir = path.join(mergedConfig.OUTPUT_PATH, timestamp);
+		fs.mkdirSync(outputDir, { recursive: true });
+
+		report.files = {
+			json: path.join(outputDir, "backtest.json"),
+			csv: path.join(outputDir, "backtest.csv"),
+		};
+		fs.writeFileSync(report.files.json, JSON.stringify(report, null, 2));
+		fs.writeFileSync(report.files.csv, backtestToCsv(sets));
+		logger.info("Backtest report written", { dir: outputDir });
+	}
+
+	return report;
+}
+
+module.exports = { runBacktest, resolveBacktestConfig, validateCases, backtestToCsv };
@@ -0,0 +1,184 @@
+/**
+ * Calibration jobs module
+ * Runs crop calibration in the background, so a request returns a job id straight away and clients
+ * poll for status, per-crop progress and the result, or cancel the job
+ *
+ * Jobs are held in memory and are lost on restart; finished jobs are kept for JOB_RETENTION_MS.
+ * Crops with named seasons report progress per season entry, e.g. "Beans (long_rains)".
+ */
+const crypto = require("crypto");
+const { calibrateCrops } = require("./crop-calibration-handler");
+const { createLogger } = require("./logger");
+
+const logger = createLogger("calibration-jobs");
+
+// How long finished jobs stay available for polling
+const JOB_RETENTION_MS = 60 * 60 * 1000;
+
+// Job statuses that will not change again; "completed_with_errors" is a merge that saved some crops
+// while others failed to calibrate
+const FINISHED_STATUSES = ["completed", "completed_with_errors", "failed", "cancelled"];
+
+const jobs = new Map();
+
+/**
+ * Drop finished jobs older than JOB_RETENTION_MS
+ */
+function pruneJobs() {
+	const cutoff = Date.now() - JOB_RETENTION_MS;
+	for (const [id, job] of jobs) {
+		if (FINISHED_STATUSES.includes(job.status) && Date.parse(job.finished_at) < cutoff) {
+			jobs.delete(id);
+		}
+	}
+}
+
+/**
+ * Record a progress event from the calibration handler
+ * @param {Object} job - Job to update
+ * @param {Object} event - { stage, status, crops } as a stage starts, or { stage, crop } as a crop finishes it
+ */
+function recordProgress(job, event) {
+	if (event.crops) {
+		job.stage = event.stage;
+		job.stage_status = event.status;
+		job.stage_crops = { total: event.crops.length, done: 0 };
+		event.crops.forEach((crop) => {
+			if (!job.crops[crop]) job.crops[crop] = { stage: null, completed_stages: [] };
+		});
+		return;
+	}
+
+	const crop = job.crops[event.crop] || (job.crops[event.crop] = { stage: null, completed_stages: [] });
+	crop.stage = event.stage;
+	crop.completed_stages.push(event.stage);
+	if (event.stage === job.stage) job.stage_crops.done += 1;
+}
+
+/**
+ * Start calibrating crops in the background
+ * @param {Object} crops - Crop data, as for calibrateCrops
+ * @param {Object} config - Optional configuration overrides
+ * @param {Object} options - merge: add or replace these crops in the active catalogue (see calibrateCrops)
+ * @returns {Object} - Status of the new job
+ */
+function startCalibrationJob(crops, config = {}, options = {}) {
+	pruneJobs();
+
+	const job = {
+		id: crypto.randomUUID(),
+		status: "running",
+		stage: null,
+		stage_status: null,
+		stage_crops: { total: 0, done: 0 },
+		crop_count: Object.keys(crops).length,
+		merge: Boolean(options.merge),
+		crops: {},
+		created_at: new Date().toISOString(),
+		finished_at: null,
+		result: null,
+		controller: new AbortController(),
+	};
+	jobs.set(job.id, job);
+	logger.info("Calibration job started", { job: job.id, crops: job.crop_count, merge: job.merge });
+
+	calibrateCrops(crops, config, {
+		merge: job.merge,
+		signal: job.controller.signal,
+		onProgress: (event) => recordProgress(job, event),
+	})
+		.then((result) => {
+			job.result = result;
+			if (result.success) {
+				job.status = Object.keys(result.crop_errors).length > 0 ? "completed_with_errors" : "completed";
+			} else {
+				job.status = result.cancelled ? "cancelled" : "failed";
+			}
+		})
+		.catch((error) => {
+			job.result = { success: false, error: error.message };
+			job.status = "failed";
+		})
+		.finally(() => {
+			job.finished_at = new Date().toISOString();
+			logger.info("Calibration job finished", { job: job.id, status: job.status });
+		});
+
+	return jobStatus(job);
+}
+
+/**
+ * Look up a job
+ * @param {string} id - Job id
+ * @returns {Object|null} - Job, or null if unknown or pruned
+ */
+function getJob(id) {
+	pruneJobs();
+	return jobs.get(id) || null;
+}
+
+/**
+ * Summary of a job for polling
+ * @param {Object} job - Job
+ * @returns {Object} - Status, current stage and how many crops have finished it, and once finished any
+ * error, the saved catalogue version and the crops that failed to calibrate
+ */
+function jobStatus(job) {
+	const status = {
+		job_id: job.id,
+		status: job.status,
+		stage: job.stage,
+		stage_status: job.stage_status,
+		stage_progress: { ...job.stage_crops },
+		crop_count: job.crop_count,
+		merge: job.merge,
+		created_at: job.created_at,
+		finished_at: job.finished_at,
+	};
+
+	if (job.result && !job.result.success) status.error = job.result.error;
+	if (job.result && job.result.success) status.catalogue_version = job.result.logs.catalogue_version;
+	if (job.result && Object.keys(job.result.crop_errors || {}).length > 0) status.crop_errors = job.result.crop_errors;
+
+	return status;
+}
+
+/**
+ * Per-crop progress of a job
+ * @param {Object} job - Job
+ * @returns {Object} - Current stage and, per crop, the last stage it finished and all stages it has finished
+ */
+function jobProgress(job) {
+	return {
+		job_id: job.id,
+		status: job.status,
+		stage: job.stage,
+		crops: job.crops,
+	};
+}
+
+/**
+ * Check whether a job can still be cancelled: it is running and has not started saving, after which
+ * the catalogue version is written whatever happens
+ * @param {Object} job - Job
+ * @returns {boolean} - True if cancelJob would stop the job
+ */
+function isCancellable(job) {
+	return !FINISHED_STATUSES.includes(job.status) && job.stage !== "saving";
+}
+
+/**
+ * Ask a running job to stop; it stops at the next crop or stage, before anything is saved
+ * @param {Object} job - Job
+ * @returns {boolean} - False if the job had already finished or started saving
+ */
+function cancelJob(job) {
+	if (!isCancellable(job)) return false;
+
+	job.controller.abort();
+	job.status = "cancelling";
+	logger.info("Calibration job cancelling", { job: job.id });
+	return true;
+}
+
+module.exports = { startCalibrationJob, getJob, jobStatus, jobProgress, cancelJob, FINISHED_STATUSES };
@@ -1,39 +1,161 @@
 /**
  * Crop Calibration Handler
- * Handles the generation of the crops_k_calibrated.json file
+ * Handles the generation of the crops_k_calibrated.json file, saved as a new catalogue version
  */
 const path = require("path");
 const fs = require("fs");
-const { fetchCropWeatherData } = require("../services/weather-service");
-const { computeCropKValues } = require("./k-calibration")
+const { fetchCropWeatherData, fetchCropWeatherHistory, DEFAULT_WEATHER_PARAMS } = require("../services/weather-service");
+const { computeCropKValues, DEFAULT_BASE_IMPORTANCE } = require("./k-calibration")
+const { buildEnvelopeProfile } = require("./weather-envelope");
+const { addDerivedVariables, DERIVED_VARIABLES } = require("./derived-variables");
+const { fitCropKValues } = require("./k-fitting");
+const { validateCropSeasons, expandCropSeasons, collapseCropSeasons, mapCropProfiles } = require("./crop-seasons");
+const { saveCatalogueVersion, loadActiveCatalogue } = require("./crop-catalogue");
 const { generateVisualization } = require("../services/visualization-service");
+const { createLogger } = require("./logger");
+
+const logger = createLogger("crop-calibration");
 
 // Default configuration
 const DEFAULT_CONFIG = {
-	BASE_IMPORTANCE: {
-		temperature_2m_max: 5.0, // High importance - critical growth factor
-		temperature_2m_min: 4.5, // High importance - frost/cold risk
-		soil_moisture_0_to_10cm_mean: 4.0, // High importance - directly affects roots
-		precipitation_sum: 3.0, // Medium importance - can be mitigated by irrigation
-		relative_humidity_2m_mean: 2.5, // Medium importance - affects disease pressure
-		wind_speed_10m_mean: 1.5, // Lower importance - secondary effect
-	},
+	BASE_IMPORTANCE: DEFAULT_BASE_IMPORTANCE,
+	// Derived variables added to each profile (see derived-variables.js); empty to store raw fields only
+	DERIVED_VARIABLES: Object.keys(DERIVED_VARIABLES),
+	GDD_BASE_TEMPERATURE: 10,
+	WATER_BALANCE_DAYS: 14,
+	// "supervised" fits k values to each crop's labelled_seasons (see k-fitting.js); crops with fewer
+	// than MIN_LABELLED_SEASONS usable seasons keep the BASE_IMPORTANCE heuristic
+	K_FITTING: "heuristic",
+	MIN_LABELLED_SEASONS: 5,
+	// Matching config the seasons are scored with, so fitted k values suit how matching is run
+	FIT_MATCHING_CONFIG: {},
+	// Year the crop profiles are dated in
+	REFERENCE_YEAR: 2017,
+	// Number of years, ending at REFERENCE_YEAR, averaged into each profile; above 1 an envelope is stored per day
+	PROFILE_YEARS: 1,
+	// Years to average instead of PROFILE_YEARS: a [first, last] reference period such as [1991, 2020],
+	// or a list of years; CALIBRATION_YEARS wins when both are set
+	REFERENCE_PERIOD: null,
+	CALIBRATION_YEARS: null,
+	// Make the new catalogue version active for matching; false keeps it for review until activated
+	ACTIVATE_CATALOGUE: true,
 	VISUALIZATION_PATH: path.join(__dirname, "../analytics/visualizations"),
-	WEATHER_PARAMS: {
-		models: "MRI_AGCM3_2_S",
-		daily: ["soil_moisture_0_to_10cm_mean", "temperature_2m_max", "temperature_2m_min", "wind_speed_10m_mean", "relative_humidity_2m_mean"],
-		daily_2: "precipitation_sum",
-		timezone: "auto",
-	},
+	WEATHER_PARAMS: DEFAULT_WEATHER_PARAMS,
 };
 
+// Fields calibration adds to a crop or season, dropped to recalibrate a catalogue entry
+const CALIBRATED_FIELDS = ["daily_weather", "k_values", "ranges", "k_fit", "profile_years"];
+
+/**
+ * Calibration input of a calibrated catalogue entry, so it can be recalibrated or updated
+ * Labelled seasons are not kept in the catalogue, so supervised fitting needs them sent again
+ * @param {Object} crop - Calibrated crop
+ * @returns {Object} - Crop definition without calibrated profiles or k values
+ */
+function calibrationInput(crop) {
+	return mapCropProfiles(crop, (profile) =>
+		Object.fromEntries(Object.entries(profile).filter(([key]) => !CALIBRATED_FIELDS.includes(key)))
+	);
+}
+
+/**
+ * Crops whose weather profile or k values could not be built, with the errors logged for them
+ * A crop with named seasons fails when any of its season entries does
+ * @param {Object} cropsData - Calibrated entries, with season entries expanded
+ * @param {Object} seasonIndex - Season entry index from expandCropSeasons
+ * @param {Array} errors - Errors logged during calibration, as { crop, year, message }
+ * @returns {Object} - Error messages per failed crop; empty if every crop calibrated
+ */
+function findFailedCrops(cropsData, seasonIndex, errors) {
+	const failed = {};
+
+	for (const entry in cropsData) {
+		const { daily_weather, k_values } = cropsData[entry];
+		const hasProfile = Array.isArray(daily_weather) && daily_weather.length > 0;
+		const hasKValues = Boolean(k_values) && Object.keys(k_values).length > 0;
+		if (hasProfile && hasKValues) continue;
+
+		// Season entries are named "Crop (season)"; prefix their messages so the season is clear
+		const crop = seasonIndex[entry] ? seasonIndex[entry].crop : entry;
+		const prefix = entry === crop ? "" : `${entry}: `;
+		const messages = errors
+			.filter((error) => error.crop === entry)
+			.map((error) => (error.year ? `${error.year}: ${error.message}` : error.message));
+		if (messages.length === 0) messages.push(hasProfile ? "No k values computed" : "No weather profile built");
+
+		failed[crop] = [...(failed[crop] || []), ...messages.map((message) => prefix + message)];
+	}
+
+	return failed;
+}
+
+/**
+ * Add the configured derived variables to a crop's daily weather
+ * @param {Array} days - Daily weather objects, sorted by date
+ * @param {Object} crop - Crop data, whose coordinates give the latitude
+ * @param {Object} config - Merged configuration
+ * @returns {Array} - Daily weather with derived variables
+ */
+function deriveProfileVariables(days, crop, config) {
+	if (!Array.isArray(days) || days.length === 0) return days;
+
+	return addDerivedVariables(days, config.DERIVED_VARIABLES, {
+		latitude: Array.isArray(crop.coordinates) ? crop.coordinates[0] : null,
+		gddBaseTemperature: config.GDD_BASE_TEMPERATURE,
+		waterBalanceDays: config.WATER_BALANCE_DAYS,
+	});
+}
+
+/**
+ * Years each crop profile is built from
+ * @param {Object} overrides - Configuration, merged over the defaults
+ * @returns {Array} - Years, ascending
+ */
+function resolveCalibrationYears(overrides = {}) {
+	const config = { ...DEFAULT_CONFIG, ...overrides };
+	const isYear = (year) => Number.isInteger(year) && year >= 1950 && year <= 2050;
+
+	if (config.CALIBRATION_YEARS !== null && config.CALIBRATION_YEARS !== undefined) {
+		const years = config.CALIBRATION_YEARS;
+		if (!Array.isArray(years) || years.length === 0 || !years.every(isYear)) {
+			throw new Error("Invalid CALIBRATION_YEARS: expected a list of years from 1950 to 2050");
+		}
+		return [...new Set(years)].sort((a, b) => a - b);
+	}
+
+	if (config.REFERENCE_PERIOD !== null && config.REFERENCE_PERIOD !== undefined) {
+		const period = config.REFERENCE_PERIOD;
+		if (!Array.isArray(period) || period.length !== 2 || !period.every(isYear) || period[0] > period[1]) {
+			throw new Error("Invalid REFERENCE_PERIOD: expected [first, last] years from 1950 to 2050");
+		}
+		const years = [];
+		for (let year = period[0]; year <= period[1]; year++) years.push(year);
+		return years;
+	}
+
+	if (!(Number.isInteger(config.PROFILE_YEARS) && config.PROFILE_YEARS >= 1)) {
+		throw new Error("Invalid PROFILE_YEARS: expected an integer >= 1");
+	}
+	const years = [];
+	for (let i = config.PROFILE_YEARS - 1; i >= 0; i--) {
+		years.push(config.REFERENCE_YEAR - i);
+	}
+	return years;
+}
+
 /**
  * Process crop data, fetch weather data, compute K values, generate visualizations, and save the result
  * @param {Object} cropsData - The initial crops data from the client
  * @param {Object} config - Optional configuration overrides
- * @returns {Object} - Processing results and calibrated crop data
+ * @param {Object} options - signal: cancels calibration when aborted, before anything is saved;
+ * onProgress(event): called with { stage, status, crops } as a stage starts and { stage, crop } as each crop finishes it;
+ * merge: add or replace these crops in the active catalogue, leaving the rest untouched and rendering
+ * only crops whose profile or k values differ from their catalogue entry
+ * @returns {Object} - Processing results and calibrated crop data; crop_errors lists the error messages of
+ * each crop whose profile or k values could not be built. A merge saves the other crops and keeps the
+ * failed ones' stored entries; otherwise nothing is saved
  */
-async function calibrateCrops(cropsData, config = {}) {
+async function calibrateCrops(cropsData, config = {}, options = {}) {
 	// Merge config with defaults
 	const mergedConfig = {
 		...DEFAULT_CONFIG,
@@ -55,10 +177,25 @@ async function calibrateCrops(cropsData, config = {}) {
 		crops_processed: [],
 		errors: [],
 		visualizations: [],
+		visualizations_skipped: [],
 		k_calibration: {
 			logs: [],
 		},
 	};
+	let cropErrors = {};
+
+	// Check for cancellation, then report the stage and the crops it covers
+	const startStage = (stage, status) => {
+		if (options.signal && options.signal.aborted) {
+			throw new Error("Calibration cancelled");
+		}
+		logs.status = status;
+		if (options.onProgress) options.onProgress({ stage, status, crops: Object.keys(cropsData) });
+	};
+	const cropDone = (stage, cropName) => {
+		if (options.onProgress) options.onProgress({ stage, crop: cropName });
+	};
+	const serviceOptions = (stage) => ({ signal: options.signal, onCrop: (cropName) => cropDone(stage, cropName) });
 
 	try {
 		// Create visualization directory if it doesn't exist
@@ -70,18 +207,41 @@ async function calibrateCrops(cropsData, config = {}) {
 			fs.mkdirSync(visualDir, { recursive: true });
 		}
 
-		// Calculate planting dates for each crop
+		// Calibrate each named season as its own entry, dated in REFERENCE_YEAR
+		validateCropSeasons(cropsData);
+		const seasonExpansion = expandCropSeasons(cropsData, mergedConfig.REFERENCE_YEAR);
+		cropsData = seasonExpansion.crops;
+
+		// When merging, render only crops whose data differs from their entry in the active catalogue
+		const previousEntries = options.merge ? expandCropSeasons(loadActiveCatalogue(), mergedConfig.REFERENCE_YEAR).crops : {};
+		const renderChanged = async (stage, status, type, field) => {
+			startStage(stage, status);
+			const changed = {};
+			for (const crop in cropsData) {
+				const previous = previousEntries[crop];
+				if (previous && JSON.stringify(previous[field]) === JSON.stringify(cropsData[crop][field])) {
+					logs.visualizations_skipped.push({ crop, type });
+					cropDone(stage, crop);
+				} else {
+					changed[crop] = cropsData[crop];
+				}
+			}
+			logs.visualizations.push(...(await generateVisualization(changed, visualDir, type, logs, serviceOptions(stage))));
+		};
+
+		// Calculate planting dates for each crop; season entries already have theirs
 		for (const crop in cropsData) {
+			if (seasonExpansion.index[crop]) continue;
 			const data = cropsData[crop];
 			const midMonth = data.planting_season_month;
-			const midDate = new Date(2017, midMonth - 1, 15); // Month is 0-indexed in JS
+			const midDate = new Date(Date.UTC(mergedConfig.REFERENCE_YEAR, midMonth - 1, 15)); // Month is 0-indexed in JS
 
 			// Calculate start and end dates
 			const startDate = new Date(midDate);
-			startDate.setDate(startDate.getDate() - Math.floor(data.duration_days / 2));
+			startDate.setUTCDate(startDate.getUTCDate() - Math.floor(data.duration_days / 2));
 
 			const endDate = new Date(startDate);
-			endDate.setDate(endDate.getDate() + data.duration_days);
+			endDate.setUTCDate(endDate.getUTCDate() + data.duration_days);
 
 			// Update crop with date ranges
 			cropsData[crop].start_date = startDate.toISOString().split("T")[0];
@@ -89,50 +249,157 @@ async function calibrateCrops(cropsData, config = {}) {
 		}
 
 		// Fetch weather data for each crop
-		logs.status = "Fetching weather data";
-		cropsData = await fetchCropWeatherData(cropsData, mergedConfig.WEATHER_PARAMS, logs);
+		startStage("weather", "Fetching weather data");
+		const years = resolveCalibrationYears(mergedConfig);
+		logs.profile_years = years;
+		if (years.length > 1) {
+			cropsData = await fetchCropWeatherHistory(
+				cropsData,
+				mergedConfig.WEATHER_PARAMS,
+				years,
+				mergedConfig.REFERENCE_YEAR,
+				logs,
+				serviceOptions("weather")
+			);
+
+			// Collapse the years into a mean profile with a per-day envelope
+			startStage("envelopes", "Building weather envelopes");
+			const variables = [
+				...(mergedConfig.WEATHER_PARAMS.daily || []),
+				mergedConfig.WEATHER_PARAMS.daily_2,
+				...mergedConfig.DERIVED_VARIABLES,
+			].filter(Boolean);
+			for (const crop in cropsData) {
+				const history = cropsData[crop].weather_history;
+				// Derive per year so the envelope covers derived variables too
+				for (const year in history) {
+					history[year] = deriveProfileVariables(history[year], cropsData[crop], mergedConfig);
+				}
+				cropsData[crop].daily_weather = buildEnvelopeProfile(history, variables, mergedConfig.REFERENCE_YEAR);
+				cropsData[crop].profile_years = Object.keys(history).map(Number);
+				delete cropsData[crop].weather_history;
+				cropDone("envelopes", crop);
+			}
+		} else {
+			// A single year other than REFERENCE_YEAR is fetched through the history path to shift the dates
+			if (years[0] === mergedConfig.REFERENCE_YEAR) {
+				cropsData = await fetchCropWeatherData(cropsData, mergedConfig.WEATHER_PARAMS, logs, serviceOptions("weather"));
+			} else {
+				cropsData = await fetchCropWeatherHistory(
+					cropsData,
+					mergedConfig.WEATHER_PARAMS,
+					years,
+					mergedConfig.REFERENCE_YEAR,
+					logs,
+					serviceOptions("weather")
+				);
+				for (const crop in cropsData) {
+					cropsData[crop].daily_weather = cropsData[crop].weather_history[years[0]] || null;
+					delete cropsData[crop].weather_history;
+				}
+			}
+			for (const crop in cropsData) {
+				cropsData[crop].daily_weather = deriveProfileVariables(cropsData[crop].daily_weather, cropsData[crop], mergedConfig);
+				if (cropsData[crop].daily_weather) cropsData[crop].profile_years = years;
+			}
+		}
+		logs.derived_variables = mergedConfig.DERIVED_VARIABLES;
 
 		// Generate visualizations for crop conditions
-		logs.status = "Generating crop visualizations";
-		const cropVisualizations = await generateVisualization(cropsData, visualDir, "crop-conditions", logs);
-		logs.visualizations.push(...cropVisualizations);
+		await renderChanged("crop_visualizations", "Generating crop visualizations", "crop-conditions", "daily_weather");
 
 		// Compute K values for each crop
-		logs.status = "Computing K values";
+		startStage("k_values", "Computing K values");
 		const result = computeCropKValues(cropsData, mergedConfig.BASE_IMPORTANCE, logs);
 		cropsData = result.crops;
 		logs.k_calibration.logs = result.logs;
+		Object.keys(cropsData).forEach((crop) => cropDone("k_values", crop));
+
+		// Refit k values against observed outcomes where crops bring labelled seasons
+		if (mergedConfig.K_FITTING === "supervised") {
+			startStage("k_fitting", "Fitting K values to labelled seasons");
+			logs.k_calibration.fitting = {};
+
+			for (const crop in cropsData) {
+				const seasons = cropsData[crop].labelled_seasons;
+				if (cropsData[crop].daily_weather) {
+					const { k_values, report } = fitCropKValues(crop, cropsData[crop], seasons, {
+						minSeasons: mergedConfig.MIN_LABELLED_SEASONS,
+						matchingConfig: mergedConfig.FIT_MATCHING_CONFIG,
+					});
+					cropsData[crop].k_values = k_values;
+					cropsData[crop].k_fit = report;
+					logs.k_calibration.fitting[crop] = report;
+				}
+				// Seasons are inputs only; the catalogue keeps the fit report instead
+				delete cropsData[crop].labelled_seasons;
+				cropDone("k_fitting", crop);
+			}
+		}
+
+		// Never save a catalogue with a crop missing its profile or k values. A merge leaves failed crops
+		// out, so they keep their stored entries, and saves the rest; a full calibration saves nothing
+		cropErrors = findFailedCrops(cropsData, seasonExpansion.index, logs.errors);
+		const failedEntries = Object.keys(cropsData).filter((entry) => {
+			const seasonInfo = seasonExpansion.index[entry];
+			return (seasonInfo ? seasonInfo.crop : entry) in cropErrors;
+		});
+		if (failedEntries.length > 0) {
+			if (!options.merge || failedEntries.length === Object.keys(cropsData).length) {
+				throw new Error(`Calibration failed for ${Object.keys(cropErrors).join(", ")}; nothing was saved`);
+			}
+			failedEntries.forEach((entry) => delete cropsData[entry]);
+			logger.warn("Leaving failed crops out of the merge", { crops: Object.keys(cropErrors).join(", ") });
+		}
 
 		// Generate visualizations for K values
-		logs.status = "Generating K value visualizations";
-		const kVisualizations = await generateVisualization(cropsData, visualDir, "k-values", logs);
-		logs.visualizations.push(...kVisualizations);
-
-		// Save calibrated crops to file
-		const outputPath = path.join(__dirname, "../crops_k_calibrated.json");
-		fs.writeFileSync(outputPath, JSON.stringify(cropsData, null, 2));
-		logs.output_file = outputPath;
+		await renderChanged("k_visualizations", "Generating K value visualizations", "k-values", "k_values");
+
+		// Save calibrated crops as a new catalogue version, with season entries nested back under their
+		// crops; cancelling is no longer possible after this
+		startStage("saving", "Saving catalogue version");
+		const savedEntries = Object.keys(cropsData);
+		cropsData = collapseCropSeasons(cropsData, seasonExpansion.index);
+		const { BASE_IMPORTANCE, ...calibrationConfig } = mergedConfig;
+		const version = await saveCatalogueVersion(
+			cropsData,
+			{ config: calibrationConfig, base_importance: BASE_IMPORTANCE, source_years: years },
+			{ activate: mergedConfig.ACTIVATE_CATALOGUE, merge: Boolean(options.merge) }
+		);
+		logs.catalogue_version = version.version;
+		logs.catalogue_activated = mergedConfig.ACTIVATE_CATALOGUE;
+		logs.catalogue_diff = version.diff;
+		savedEntries.forEach((crop) => cropDone("saving", crop));
 		logs.status = "Complete";
 
 		return {
 			success: true,
 			calibrated_crops: cropsData,
+			crop_errors: cropErrors,
 			logs,
 		};
 	} catch (error) {
-		logs.status = "Failed";
+		const cancelled = Boolean(options.signal && options.signal.aborted);
+		const stage = logs.status;
+		logs.status = cancelled ? "Cancelled" : "Failed";
 		logs.errors.push({
 			message: error.message,
 			stack: error.stack,
 		});
 
-		console.error("Crop calibration failed:", error);
+		if (cancelled) {
+			logger.info("Crop calibration cancelled", { stage });
+		} else {
+			logger.error("Crop calibration failed", { error });
+		}
 		return {
 			success: false,
+			cancelled,
 			error: error.message,
+			crop_errors: cropErrors,
 			logs,
 		};
 	}
 }
 
-module.exports = { calibrateCrops };
+module.exports = { calibrateCrops, resolveCalibrationYears, calibrationInput };
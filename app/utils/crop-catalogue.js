@@ -0,0 +1,445 @@
+/**
+ * Crop catalogue versioning module
+ * Keeps every calibrated catalogue as an immutable version with metadata, and tracks which
+ * version is active
+ *
+ * Versions live in CATALOGUE_PATH as versions/<id>.json with an index.json of their metadata and
+ * the activation history. The active version is copied to crops_k_calibrated.json, which is what
+ * matching loads by default. initCatalogue, run at server start, imports an existing unversioned
+ * file as the first version; reads never write, and see no versions until then.
+ * Writers hold a lock file, so concurrent calibrations, in this process or others, save in turn.
+ * Writes are async: they wait for the lock without blocking the event loop, then write synchronously.
+ * configureCatalogue moves both files, e.g. to a temporary directory in tests.
+ */
+const fs = require("fs");
+const path = require("path");
+const { createLogger } = require("./logger");
+
+const logger = createLogger("crop-catalogue");
+
+const CATALOGUE_PATH = path.join(__dirname, "../catalogue");
+const ACTIVE_CATALOGUE_PATH = path.join(__dirname, "../crops_k_calibrated.json");
+
+// How long a writer waits for the lock, how often it retries, and the age at which a lock left by a
+// crashed process is broken
+const LOCK_TIMEOUT_MS = 10000;
+const LOCK_RETRY_MS = 50;
+const LOCK_STALE_MS = 60000;
+
+const settings = {
+	path: CATALOGUE_PATH,
+	activePath: ACTIVE_CATALOGUE_PATH,
+	lockTimeoutMs: LOCK_TIMEOUT_MS,
+	lockStaleMs: LOCK_STALE_MS,
+};
+
+/**
+ * Override where the catalogue and active catalogue file live, or the lock timings, for this process
+ * @param {Object} options - path, activePath, lockTimeoutMs and lockStaleMs
+ */
+function configureCatalogue(options = {}) {
+	for (const key of Object.keys(settings)) {
+		if (options[key] !== undefined) settings[key] = options[key];
+	}
+}
+
+/**
+ * Path of the lock file
+ * @returns {string} - File path
+ */
+function lockPath() {
+	return path.join(settings.path, ".lock");
+}
+
+/**
+ * Wait without blocking the event loop
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+	return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Take the catalogue lock file, waiting up to lockTimeoutMs for another writer to release it
+ * @returns {Promise<void>}
+ */
+async function acquireLock() {
+	fs.mkdirSync(settings.path, { recursive: true });
+	const deadline = Date.now() + settings.lockTimeoutMs;
+
+	for (;;) {
+		try {
+			fs.writeFileSync(lockPath(), JSON.stringify({ pid: process.pid, acquired_at: new Date().toISOString() }), { flag: "wx" });
+			return;
+		} catch (error) {
+			if (error.code !== "EEXIST") throw error;
+		}
+
+		try {
+			if (Date.now() - fs.statSync(lockPath()).mtimeMs > settings.lockStaleMs) {
+				logger.warn("Breaking stale catalogue lock");
+				fs.unlinkSync(lockPath());
+				continue;
+			}
+		} catch (error) {
+			// Released between the write and the check
+			if (error.code !== "ENOENT") throw error;
+			continue;
+		}
+
+		if (Date.now() > deadline) {
+			throw new Error("Catalogue is locked by another writer; try again shortly");
+		}
+		await sleep(LOCK_RETRY_MS);
+	}
+}
+
+/**
+ * Run a synchronous catalogue write while holding the lock
+ * fn runs without yielding, so no other write in this process can start until the lock is released
+ * @param {Function} fn - Write to run
+ * @returns {Promise<*>} - Whatever fn returns
+ */
+async function withCatalogueLock(fn) {
+	await acquireLock();
+
+	try {
+		return fn();
+	} finally {
+		fs.rmSync(lockPath(), { force: true });
+	}
+}
+
+/**
+ * Write JSON through a temporary file, so readers never see a partial file
+ * @param {string} filePath - Destination path
+ * @param {Object} data - Data to write
+ * @param {Object} options - flag "wx" refuses to replace an existing file
+ */
+function writeJsonAtomic(filePath, data, options = {}) {
+	if (options.flag === "wx" && fs.existsSync(filePath)) {
+		throw new Error(`Refusing to overwrite ${path.basename(filePath)}`);
+	}
+
+	const tmpPath = `${filePath}.${process.pid}.tmp`;
+	fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+	fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Path of a version's file
+ * @param {string} version - Version id
+ * @returns {string} - File path
+ */
+function versionPath(version) {
+	return path.join(settings.path, "versions", `${version}.json`);
+}
+
+/**
+ * Path of the catalogue index
+ * @returns {string} - File path
+ */
+function indexPath() {
+	return path.join(settings.path, "index.json");
+}
+
+/**
+ * Read the catalogue index, without creating it
+ * @returns {Object} - Index: active version id, activation history and version metadata; empty if the
+ * catalogue has not been initialised
+ */
+function loadIndex() {
+	if (!fs.existsSync(indexPath())) {
+		return { active: null, history: [], versions: [] };
+	}
+	return JSON.parse(fs.readFileSync(indexPath(), "utf8"));
+}
+
+/**
+ * Read the catalogue index, creating it if needed; call only while holding the lock
+ * @returns {Object} - Index
+ */
+function ensureIndex() {
+	return fs.existsSync(indexPath()) ? loadIndex() : createIndex();
+}
+
+/**
+ * Create the catalogue index, importing an unversioned active catalogue as the first version
+ * @returns {Object} - New index
+ */
+function createIndex() {
+	const index = { active: null, history: [], versions: [] };
+	fs.mkdirSync(path.join(settings.path, "versions"), { recursive: true });
+
+	if (fs.existsSync(settings.activePath)) {
+		const crops = JSON.parse(fs.readFileSync(settings.activePath, "utf8"));
+		const metadata = {
+			version: "v1",
+			created_at: new Date().toISOString(),
+			source: "imported",
+			crop_count: Object.keys(crops).length,
+		};
+		writeJsonAtomic(versionPath("v1"), { ...metadata, crops }, { flag: "wx" });
+		index.versions.push(metadata);
+		index.active = "v1";
+		index.history.push({ version: "v1", activated_at: metadata.created_at });
+		logger.info("Imported existing catalogue as version v1");
+	}
+
+	writeJsonAtomic(indexPath(), index);
+	return index;
+}
+
+/**
+ * Write the catalogue index
+ * @param {Object} index - Index to save
+ */
+function saveIndex(index) {
+	writeJsonAtomic(indexPath(), index);
+}
+
+/**
+ * Create the catalogue index if it does not exist, importing an unversioned active catalogue as the
+ * first version; run once at startup, before serving requests
+ * @returns {Promise<Object>} - Index
+ */
+async function initCatalogue() {
+	if (fs.existsSync(indexPath())) return loadIndex();
+	return withCatalogueLock(ensureIndex);
+}
+
+/**
+ * k values of each profile of a crop, keyed by season, or "crop" for crops without seasons
+ * @param {Object} crop - Calibrated crop
+ * @returns {Object} - k values per profile
+ */
+function profileKValues(crop) {
+	if (!crop.seasons) return { crop: crop.k_values || {} };
+	return Object.fromEntries(Object.keys(crop.seasons).map((season) => [season, crop.seasons[season].k_values || {}]));
+}
+
+/**
+ * Keys of either of two objects
+ * @param {Object} a - First object
+ * @param {Object} b - Second object
+ * @returns {Array<string>} - Keys of a, then keys only in b
+ */
+function unionKeys(a, b) {
+	return [...new Set([...Object.keys(a), ...Object.keys(b)])];
+}
+
+/**
+ * Summarise what changed between two catalogues
+ * @param {Object|null} previous - Previous catalogue, or null for the first version
+ * @param {Object} next - New catalogue
+ * @returns {Object} - Added, removed and changed crops, with the fields and k values that changed; a
+ * removed k value or season is reported with `to: null`, and an added one with `from: null`
+ */
+function diffCatalogues(previous, next) {
+	const before = previous || {};
+	const diff = {
+		crops_added: Object.keys(next).filter((name) => !(name in before)),
+		crops_removed: Object.keys(before).filter((name) => !(name in next)),
+		crops_changed: {},
+		crops_unchanged: 0,
+	};
+
+	for (const name in next) {
+		if (!(name in before)) continue;
+
+		const fields = unionKeys(before[name], next[name]).filter(
+			(key) => JSON.stringify(before[name][key]) !== JSON.stringify(next[name][key])
+		);
+		if (fields.length === 0) {
+			diff.crops_unchanged += 1;
+			continue;
+		}
+
+		// Relative change of each k value that moved, per profile
+		const kBefore = profileKValues(before[name]);
+		const kAfter = profileKValues(next[name]);
+		const kChanges = {};
+		for (const profile of unionKeys(kBefore, kAfter)) {
+			const profileBefore = kBefore[profile] || {};
+			const profileAfter = kAfter[profile] || {};
+			for (const variable of unionKeys(profileBefore, profileAfter)) {
+				const from = profileBefore[variable];
+				const to = profileAfter[variable];
+				if (from === to) continue;
+				if (!kChanges[profile]) kChanges[profile] = {};
+				kChanges[profile][variable] = {
+					from: from ?? null,
+					to: to ?? null,
+					change:
+						typeof from === "number" && from !== 0 && typeof to === "number"
+							? Math.round(((to - from) / from) * 10000) / 10000
+							: null,
+				};
+			}
+		}
+
+		diff.crops_changed[name] = { fields, k_values: kChanges };
+	}
+
+	return diff;
+}
+
+/**
+ * List catalogue versions, newest first
+ * @returns {Object} - Active version id and version metadata
+ */
+function listCatalogueVersions() {
+	const index = loadIndex();
+	return {
+		active: index.active,
+		versions: [...index.versions].reverse().map((meta) => ({ ...meta, active: meta.version === index.active })),
+	};
+}
+
+/**
+ * Load one catalogue version
+ * @param {string} version - Version id
+ * @returns {Object} - Version metadata and crops
+ */
+function loadCatalogueVersion(version) {
+	const index = loadIndex();
+	if (!index.versions.some((meta) => meta.version === version)) {
+		throw new Error(`Unknown catalogue version '${version}'`);
+	}
+	return JSON.parse(fs.readFileSync(versionPath(version), "utf8"));
+}
+
+/**
+ * Id of the active catalogue version
+ * @returns {string|null} - Version id, or null if nothing is versioned yet
+ */
+function activeCatalogueVersion() {
+	return loadIndex().active;
+}
+
+/**
+ * Crops of the active catalogue version
+ * @returns {Object} - Active catalogue, or an empty one if nothing is versioned yet
+ */
+function loadActiveCatalogue() {
+	const version = activeCatalogueVersion();
+	return version ? loadCatalogueVersion(version).crops : {};
+}
+
+/**
+ * Copy a version to the active catalogue file and mark it active in the index
+ * @param {Object} index - Catalogue index, updated in place
+ * @param {string} version - Version id
+ * @returns {Object} - Metadata of the version
+ */
+function applyActiveVersion(index, version) {
+	const { crops, ...metadata } = loadCatalogueVersion(version);
+	writeJsonAtomic(settings.activePath, crops);
+	index.active = version;
+	return metadata;
+}
+
+/**
+ * Make a version active and record it in the activation history; call only while holding the lock
+ * @param {Object} index - Catalogue index, updated in place
+ * @param {string} version - Version id
+ * @returns {Object} - Metadata of the activated version
+ */
+function activateVersion(index, version) {
+	const metadata = applyActiveVersion(index, version);
+	index.history.push({ version, activated_at: new Date().toISOString() });
+	saveIndex(index);
+
+	logger.info("Activated catalogue version", { version });
+	return metadata;
+}
+
+/**
+ * Make a version the active catalogue
+ * @param {string} version - Version id
+ * @returns {Promise<Object>} - Metadata of the activated version
+ */
+async function activateCatalogueVersion(version) {
+	return withCatalogueLock(() => activateVersion(ensureIndex(), version));
+}
+
+/**
+ * Reactivate the version that was active before the current one
+ * The activation history is a stack: rolling back drops the current activation, so repeated
+ * rollbacks keep walking back
+ * @returns {Promise<Object>} - Metadata of the version rolled back to
+ */
+async function rollbackCatalogue() {
+	return withCatalogueLock(() => {
+		const index = ensureIndex();
+		const history = [...index.history];
+		while (history.length > 0 && history[history.length - 1].version === index.active) history.pop();
+		if (history.length === 0) {
+			throw new Error("No earlier catalogue version to roll back to");
+		}
+
+		const { version } = history[history.length - 1];
+		const metadata = applyActiveVersion(index, version);
+		index.history = history;
+		saveIndex(index);
+
+		logger.info("Rolled back catalogue", { version });
+		return metadata;
+	});
+}
+
+/**
+ * Save a calibrated catalogue as a new immutable version
+ * Merging reads the active version under the lock, so concurrent incremental calibrations of
+ * different crops all land
+ * @param {Object} crops - Calibrated catalogue, or the calibrated crops to merge
+ * @param {Object} metadata - config, base_importance and source_years of the calibration
+ * @param {Object} options - activate: make the new version active; merge: add or replace crops in the
+ * active version instead of replacing the whole catalogue
+ * @returns {Promise<Object>} - Metadata of the new version
+ */
+async function saveCatalogueVersion(crops, metadata = {}, options = {}) {
+	return withCatalogueLock(() => {
+		const index = ensureIndex();
+		const latest = index.versions[index.versions.length - 1];
+		const baseVersion = options.merge ? index.active : latest ? latest.version : null;
+		const previous = baseVersion ? loadCatalogueVersion(baseVersion).crops : null;
+		const catalogue = options.merge ? { ...(previous || {}), ...crops } : crops;
+
+		const number = index.versions.reduce((max, meta) => Math.max(max, Number(meta.version.slice(1)) || 0), 0) + 1;
+		const versionMeta = {
+			version: `v${number}`,
+			created_at: new Date().toISOString(),
+			source: options.merge ? "incremental" : "calibration",
+			crop_count: Object.keys(catalogue).length,
+			...(options.merge ? { calibrated_crops: Object.keys(crops) } : {}),
+			...metadata,
+			diff: { previous_version: baseVersion, ...diffCatalogues(previous, catalogue) },
+		};
+
+		writeJsonAtomic(versionPath(versionMeta.version), { ...versionMeta, crops: catalogue }, { flag: "wx" });
+		index.versions.push(versionMeta);
+		saveIndex(index);
+		logger.info("Saved catalogue version", { version: versionMeta.version });
+
+		if (options.activate) {
+			activateVersion(index, versionMeta.version);
+		}
+
+		return versionMeta;
+	});
+}
+
+module.exports = {
+	initCatalogue,
+	saveCatalogueVersion,
+	listCatalogueVersions,
+	loadCatalogueVersion,
+	activeCatalogueVersion,
+	loadActiveCatalogue,
+	activateCatalogueVersion,
+	rollbackCatalogue,
+	diffCatalogues,
+	configureCatalogue,
+};
@@ -0,0 +1,101 @@
+/**
+ * Crop constraints module
+ * Checks forecast windows against hard agronomic rules declared on a crop
+ *
+ * Supported rules (day ranges are 0-based and inclusive, and default to the whole window):
+ *   { "type": "min", "variable": "temperature_2m_min", "value": 2, "max_days": 0 }
+ *   { "type": "max", "variable": "temperature_2m_max", "value": 35, "start_day": 50, "end_day": 69, "max_days": 2 }
+ *   { "type": "max_dry_spell", "days": 14, "threshold": 1, "variable": "precipitation_sum" }
+ * Each rule may also set "action" to "drop" or "cap" to override the matching config.
+ */
+
+const CONSTRAINT_TYPES = ["min", "max", "max_dry_spell"];
+
+/**
+ * Check whether a value is usable
+ * @param {*} value - Value to check
+ * @returns {boolean} - True if value is a number that is not NaN
+ */
+function isValid(value) {
+	return value !== null && value !== undefined && !isNaN(value);
+}
+
+/**
+ * Describe a rule for logging
+ * @param {Object} rule - Constraint rule
+ * @returns {string} - Short description
+ */
+function describeRule(rule) {
+	const range = rule.start_day !== undefined || rule.end_day !== undefined ? ` (days ${rule.start_day ?? 0}-${rule.end_day ?? "end"})` : "";
+
+	switch (rule.type) {
+		case "min":
+			return `${rule.variable} >= ${rule.value}${range}`;
+		case "max":
+			return `${rule.variable} <= ${rule.value}${range}`;
+		case "max_dry_spell":
+			return `at most ${rule.days} consecutive days with ${rule.variable || "precipitation_sum"} < ${rule.threshold ?? 1}${range}`;
+		default:
+			return `unknown rule '${rule.type}'`;
+	}
+}
+
+/**
+ * Check a forecast window against a crop's constraints
+ * @param {Array} windowData - Forecast window data, aligned with the crop profile
+ * @param {Array} constraints - Constraint rules declared on the crop
+ * @returns {Array} - One entry per violated rule, with the rule and a message
+ */
+function checkConstraints(windowData, constraints) {
+	const violations = [];
+	if (!Array.isArray(constraints)) return violations;
+
+	for (const rule of constraints) {
+		// Unknown rule types are reported by the caller when the crop is loaded
+		if (!CONSTRAINT_TYPES.includes(rule.type)) continue;
+
+		const startDay = Math.max(0, rule.start_day ?? 0);
+		const endDay = Math.min(windowData.length - 1, rule.end_day ?? windowData.length - 1);
+		const days = windowData.slice(startDay, endDay + 1);
+
+		if (rule.type === "min" || rule.type === "max") {
+			// Count days past the limit, ignoring missing values
+			const offending = days.filter((day) => {
+				const value = day[rule.variable];
+				if (!isValid(value)) return false;
+				return rule.type === "min" ? value < rule.value : value > rule.value;
+			}).length;
+
+			const allowed = rule.max_days ?? 0;
+			if (offending > allowed) {
+				violations.push({
+					rule,
+					message: `Constraint violated: ${describeRule(rule)} broken on ${offending} day(s) (allowed ${allowed})`,
+				});
+			}
+		} else if (rule.type === "max_dry_spell") {
+			const variable = rule.variable || "precipitation_sum";
+			const threshold = rule.threshold ?? 1;
+
+			// Find the longest run of dry days; missing values break the run
+			let longest = 0;
+			let current = 0;
+			for (const day of days) {
+				const value = day[variable];
+				current = isValid(value) && value < threshold ? current + 1 : 0;
+				longest = Math.max(longest, current);
+			}
+
+			if (longest > rule.days) {
+				violations.push({
+					rule,
+					message: `Constraint violated: ${describeRule(rule)}, found ${longest}`,
+				});
+			}
+		}
+	}
+
+	return violations;
+}
+
+module.exports = { checkConstraints, CONSTRAINT_TYPES };
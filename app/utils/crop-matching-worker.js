@@ -0,0 +1,10 @@
+/**
+ * Crop matching worker
+ * Matches one chunk of crops in a worker thread and posts back results and logs
+ */
+const { parentPort, workerData } = require("worker_threads");
+const { matchCropsInProcess, resolveConfig } = require("./crop-matching");
+
+const { crops, forecastData, clientConfig } = workerData;
+
+parentPort.postMessage(matchCropsInProcess(crops, forecastData, resolveConfig(clientConfig)));
@@ -1,7 +1,26 @@
 /**
  * Crop Matching Algorithm
  * Converted from Python to JavaScript
+ *
+ * Forecast and profile values are extracted once into typed arrays per variable, so each
+ * window is scored by index arithmetic rather than by rebuilding arrays. Crops can be split
+ * across worker threads (see crop-matching-worker.js).
  */
+const os = require("os");
+const path = require("path");
+const { Worker } = require("worker_threads");
+const { calculateRange } = require("./k-calibration");
+const { checkConstraints, CONSTRAINT_TYPES } = require("./crop-constraints");
+const { findWorstStretches, describeStretch, explainWindow } = require("./window-explanations");
+const { imputeSeries, IMPUTE_NONE, IMPUTE_LINEAR, IMPUTE_CLIMATOLOGY } = require("./forecast-imputation");
+const { addDerivedVariables, missingDerivedVariables, requiresLatitude, DERIVED_VARIABLES } = require("./derived-variables");
+const { FORECAST_VARIABLES } = require("./unit-conversion");
+const { resolveAggregateMetrics, aggregateSubPeriods } = require("./aggregate-metrics");
+const { alignSeries } = require("./dtw-alignment");
+const { calendarDistance, seasonalFactor } = require("./seasonal-calendar");
+const { createLogger } = require("./logger");
+
+const logger = createLogger("crop-matching");
 
 // CONFIG - will be overridden by client if provided
 const DEFAULT_CONFIG = {
@@ -16,39 +35,410 @@ const DEFAULT_CONFIG = {
 		"relative_humidity_2m_mean",
 		"precipitation_sum",
 	],
+	// Scoring function per variable; "default" applies to any variable not listed. Every type scores 1
+	// at the optimum and falls as the delta d grows; logistic is 2 / (1 + e^(k·√d)), which replaced
+	// 1 / (1 + e^(-k·√d)), a curve that scored 0.5 at the optimum and rose with distance
+	SCORING_FUNCTIONS: {
+		default: { type: "logistic" },
+	},
+	// How forecast-optimal deltas are scaled per variable; "default" applies to any variable not listed
+	//   relative - divide by |optimal| (legacy, unstable when optimal is near zero)
+	//   absolute - divide by DELTA_TOLERANCES[var], in the variable's own units
+	//   range    - divide by the profile's range times DELTA_TOLERANCES[var] (a fraction, default 1)
+	//   envelope   - z-score against the profile's per-day mean and standard deviation across years
+	//   percentile - distance outside the profile's per-day p10-p90 band, divided by the band width
+	// envelope and percentile fall back to range for crops calibrated from a single year
+	DELTA_MODES: {
+		default: "relative",
+	},
+	DELTA_TOLERANCES: {},
+	// What to do with windows that break a crop's hard constraints: "drop" or "cap" the score
+	CONSTRAINT_ACTION: "drop",
+	CONSTRAINT_CAP: 0.2,
+	// Limiting-factor explanations: stretch length in days, stretches per variable, variables per window
+	EXPLAIN_STRETCH_DAYS: 7,
+	EXPLAIN_MAX_STRETCHES: 2,
+	EXPLAIN_LIMITING_VARIABLES: 2,
+	// Gap filling before matching: linear interpolation for gaps up to IMPUTE_MAX_INTERPOLATION_DAYS,
+	// climatology fill from the crop profile up to IMPUTE_MAX_GAP_DAYS; longer gaps stay missing
+	IMPUTE_GAPS: true,
+	IMPUTE_MAX_INTERPOLATION_DAYS: 3,
+	IMPUTE_MAX_GAP_DAYS: 10,
+	// Derived variables (see derived-variables.js) listed in REQUIRED_FIELDS are computed for the forecast
+	// and for profiles calibrated without them; et0_hargreaves and water_balance need the forecast's latitude
+	FORECAST_LATITUDE: null,
+	GDD_BASE_TEMPERATURE: 10,
+	WATER_BALANCE_DAYS: 14,
+	// Share of each window's score taken from aggregate metrics over sliding sub-periods (see
+	// aggregate-metrics.js) rather than day-by-day comparison; 0 compares day by day only
+	AGGREGATE_WEIGHT: 0,
+	AGGREGATE_METRICS: [
+		{ name: "weekly_rainfall", variable: "precipitation_sum", type: "sum", period_days: 7 },
+		{ name: "cumulative_gdd", variable: "growing_degree_days", type: "cumulative", period_days: 7, step_days: 7 },
+		{ name: "hot_days", variable: "temperature_2m_max", type: "count_above", threshold: 30, period_days: 14 },
+		{ name: "dry_days", variable: "precipitation_sum", type: "count_below", threshold: 1, period_days: 14 },
+	],
+	// How forecast days are paired with profile days: "strict" pairs day i with day i, "dtw" finds the
+	// cheapest dynamic time warping alignment shifting days by at most DTW_BAND_DAYS
+	ALIGNMENT: "strict",
+	DTW_BAND_DAYS: 7,
+	// Include the full [forecast_day, profile_day] alignment path in each window's result
+	DTW_INCLUDE_PATH: false,
+	// Calendar alignment with each crop's calibrated start date: "off", "penalty" scales scores down
+	// beyond SEASONAL_TOLERANCE_DAYS (reaching 0 after SEASONAL_PENALTY_DAYS more), "mask" drops those windows.
+	// Crops declaring planting_months always have windows starting in other months filtered out
+	SEASONAL_MODE: "off",
+	SEASONAL_TOLERANCE_DAYS: 30,
+	SEASONAL_PENALTY_DAYS: 60,
+	// Only score windows starting within these dates (inclusive); null leaves that end open
+	WINDOW_START_FROM: null,
+	WINDOW_START_TO: null,
+	// What the run records in its logs, from least to most:
+	//   none    - no logs are returned
+	//   summary - config, summary counters and errors
+	//   crop    - plus per-crop warnings, weights and window counts
+	//   window  - plus per-window warnings, scores, imputation and alignment
+	//   debug   - plus per-variable, per-stage and per-metric details for every window
+	// Window and debug logs grow with forecast length and crop count, so they must be asked for
+	LOG_DETAIL: "crop",
+	// Worker threads to split crops across; "auto" uses one per available CPU, 1 scores in-process
+	WORKERS: "auto",
 };
 
+// Scoring function types accepted in SCORING_FUNCTIONS
+const SCORING_TYPES = ["logistic", "linear", "gaussian", "asymmetric"];
+
+// Variables accepted in REQUIRED_FIELDS: forecast variables and those derived from them
+const KNOWN_VARIABLES = [...FORECAST_VARIABLES, ...Object.keys(DERIVED_VARIABLES)];
+
+// Delta modes accepted in DELTA_MODES
+const DELTA_MODES = ["relative", "absolute", "range", "envelope", "percentile"];
+
+// Summary counters that count crops, rather than seasons or windows
+const CROP_COUNTERS = ["crops_processed", "crops_disqualified_duration", "crops_no_valid_windows", "crops_successful"];
+
+// Log details accepted in LOG_DETAIL, from least to most; not the logger's LOG_LEVEL environment
+// variable, which filters console output
+const LOG_DETAILS = ["none", "summary", "crop", "window", "debug"];
+
+// Envelope statistics extracted per variable for envelope and percentile deltas
+const ENVELOPE_STATS = ["mean", "std", "p10", "p90"];
+
 /**
- * Main function to run crop matching algorithm
- * @param {Object} crops - Object with crop data
- * @param {Array} forecastData - Array of daily weather forecast objects
- * @param {Object} config - Optional configuration to override defaults
- * @returns {Object} - Results and logs
+ * Check a config value is an object of per-variable settings, not null, an array or a scalar
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for a plain object
  */
-function runCropMatching(crops, forecastData, clientConfig = {}) {
-	// Merge provided config with defaults
+function isPlainObject(value) {
+	return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Merge client config with defaults and validate it
+ * @param {Object} clientConfig - Configuration overrides
+ * @returns {Object} - Merged configuration
+ */
+function resolveConfig(clientConfig = {}) {
 	const CONFIG = { ...DEFAULT_CONFIG, ...clientConfig };
 
-	// Initialize log storage
-	const logData = {
+	if (
+		!Array.isArray(CONFIG.REQUIRED_FIELDS) ||
+		CONFIG.REQUIRED_FIELDS.length === 0 ||
+		!CONFIG.REQUIRED_FIELDS.every((field) => KNOWN_VARIABLES.includes(field))
+	) {
+		const unknown = Array.isArray(CONFIG.REQUIRED_FIELDS)
+			? CONFIG.REQUIRED_FIELDS.filter((field) => !KNOWN_VARIABLES.includes(field))
+			: [];
+		throw new Error(
+			`Invalid REQUIRED_FIELDS: expected a non-empty list of ${KNOWN_VARIABLES.join(", ")}` +
+				(unknown.length > 0 ? `; unknown: ${unknown.join(", ")}` : "")
+		);
+	}
+
+	// Validate scoring function selection up front so a bad request fails fast
+	if (!isPlainObject(CONFIG.SCORING_FUNCTIONS)) {
+		throw new Error("Invalid SCORING_FUNCTIONS: expected an object of scoring functions by variable");
+	}
+	for (const varName in CONFIG.SCORING_FUNCTIONS) {
+		const scoring = CONFIG.SCORING_FUNCTIONS[varName];
+		if (!scoring || !SCORING_TYPES.includes(scoring.type)) {
+			throw new Error(
+				`Invalid scoring function for '${varName}': expected type to be one of ${SCORING_TYPES.join(", ")}`
+			);
+		}
+	}
+
+	if (!["drop", "cap"].includes(CONFIG.CONSTRAINT_ACTION)) {
+		throw new Error(`Invalid CONSTRAINT_ACTION: expected "drop" or "cap"`);
+	}
+
+	if (!isPlainObject(CONFIG.DELTA_MODES)) {
+		throw new Error("Invalid DELTA_MODES: expected an object of delta modes by variable");
+	}
+	for (const varName in CONFIG.DELTA_MODES) {
+		if (!DELTA_MODES.includes(CONFIG.DELTA_MODES[varName])) {
+			throw new Error(`Invalid delta mode for '${varName}': expected one of ${DELTA_MODES.join(", ")}`);
+		}
+	}
+	if (!isPlainObject(CONFIG.DELTA_TOLERANCES)) {
+		throw new Error("Invalid DELTA_TOLERANCES: expected an object of tolerances by variable");
+	}
+
+	if (!(Number.isInteger(CONFIG.STEP_SIZE) && CONFIG.STEP_SIZE >= 1)) {
+		throw new Error("Invalid STEP_SIZE: expected a whole number of days >= 1");
+	}
+
+	if (!(CONFIG.AGGREGATE_WEIGHT >= 0 && CONFIG.AGGREGATE_WEIGHT <= 1)) {
+		throw new Error("Invalid AGGREGATE_WEIGHT: expected a number between 0 and 1");
+	}
+	CONFIG.AGGREGATE_METRICS = resolveAggregateMetrics(CONFIG.AGGREGATE_METRICS);
+
+	// Derived variables that need the site's latitude, wherever they are used
+	const latitudeVariables = seriesFields(CONFIG).filter((field) => requiresLatitude([field]));
+	if (latitudeVariables.length > 0 && !Number.isFinite(CONFIG.FORECAST_LATITUDE)) {
+		throw new Error(`Invalid FORECAST_LATITUDE: a latitude in degrees is required to use ${latitudeVariables.join(", ")}`);
+	}
+
+	if (!["strict", "dtw"].includes(CONFIG.ALIGNMENT)) {
+		throw new Error(`Invalid ALIGNMENT: expected "strict" or "dtw"`);
+	}
+	if (!(CONFIG.DTW_BAND_DAYS >= 0)) {
+		throw new Error("Invalid DTW_BAND_DAYS: expected a number of days >= 0");
+	}
+
+	if (!LOG_DETAILS.includes(CONFIG.LOG_DETAIL)) {
+		throw new Error(`Invalid LOG_DETAIL: expected one of ${LOG_DETAILS.join(", ")}`);
+	}
+
+	if (!["off", "penalty", "mask"].includes(CONFIG.SEASONAL_MODE)) {
+		throw new Error(`Invalid SEASONAL_MODE: expected "off", "penalty" or "mask"`);
+	}
+
+	// Normalise the start date range to YYYY-MM-DD so it compares directly with window start dates
+	for (const key of ["WINDOW_START_FROM", "WINDOW_START_TO"]) {
+		if (CONFIG[key] === null || CONFIG[key] === undefined) continue;
+		const date = new Date(CONFIG[key]);
+		if (isNaN(date)) {
+			throw new Error(`Invalid ${key}: expected a date`);
+		}
+		CONFIG[key] = date.toISOString().split("T")[0];
+	}
+
+	return CONFIG;
+}
+
+/**
+ * Create an empty log object for a matching run
+ * @param {Object} CONFIG - Merged configuration
+ * @returns {Object} - Log storage
+ */
+function createLogData(CONFIG) {
+	return {
 		timestamp: new Date().toISOString(),
 		config: {
 			step_size: CONFIG.STEP_SIZE,
 			max_nan_ratio: CONFIG.MAX_NAN_RATIO,
 			required_fields: CONFIG.REQUIRED_FIELDS,
+			scoring_functions: CONFIG.SCORING_FUNCTIONS,
+			delta_modes: CONFIG.DELTA_MODES,
+			delta_tolerances: CONFIG.DELTA_TOLERANCES,
+			constraint_action: CONFIG.CONSTRAINT_ACTION,
+			constraint_cap: CONFIG.CONSTRAINT_CAP,
+			impute_gaps: CONFIG.IMPUTE_GAPS,
+			impute_max_interpolation_days: CONFIG.IMPUTE_MAX_INTERPOLATION_DAYS,
+			impute_max_gap_days: CONFIG.IMPUTE_MAX_GAP_DAYS,
+			aggregate_weight: CONFIG.AGGREGATE_WEIGHT,
+			aggregate_metrics: CONFIG.AGGREGATE_WEIGHT > 0 ? CONFIG.AGGREGATE_METRICS : undefined,
+			alignment: CONFIG.ALIGNMENT,
+			dtw_band_days: CONFIG.ALIGNMENT === "dtw" ? CONFIG.DTW_BAND_DAYS : undefined,
+			seasonal_mode: CONFIG.SEASONAL_MODE,
+			log_detail: CONFIG.LOG_DETAIL,
+			window_start_from: CONFIG.WINDOW_START_FROM || undefined,
+			window_start_to: CONFIG.WINDOW_START_TO || undefined,
 		},
 		summary: {
 			crops_processed: 0,
 			crops_disqualified_duration: 0,
 			crops_no_valid_windows: 0,
 			crops_successful: 0,
+			// Named seasons matched, each on its own profile; the crop counters above count each crop once
+			seasons_processed: 0,
 			total_windows_processed: 0,
 			windows_insufficient_data: 0,
+			windows_imputed: 0,
+			windows_constraint_dropped: 0,
+			windows_constraint_capped: 0,
+			windows_season_filtered: 0,
 			windows_successful: 0,
 		},
 		crop_logs: {},
 		errors: [],
 	};
+}
+
+/**
+ * Check whether a value is usable
+ * @param {*} value - Value to check
+ * @returns {boolean} - True if value is a number that is not NaN
+ */
+function isValid(value) {
+	return value !== null && value !== undefined && !isNaN(value);
+}
+
+/**
+ * Extract each variable of a day series into typed arrays
+ * Missing values become NaN; presence counts keep track of days where the key exists at all
+ * @param {Array} days - Daily weather objects, sorted by date
+ * @param {Array} fields - Variables to extract
+ * @returns {Object} - Values and prefix counts of present keys per variable
+ */
+function extractSeries(days, fields) {
+	const values = {};
+	const present = {};
+
+	for (const field of fields) {
+		const fieldValues = new Float64Array(days.length);
+		const fieldPresent = new Int32Array(days.length + 1);
+
+		for (let i = 0; i < days.length; i++) {
+			const value = days[i][field];
+			fieldValues[i] = isValid(value) ? value : NaN;
+			fieldPresent[i + 1] = fieldPresent[i] + (field in days[i] ? 1 : 0);
+		}
+
+		values[field] = fieldValues;
+		present[field] = fieldPresent;
+	}
+
+	return { values, present };
+}
+
+/**
+ * Build a prefix count of the days matching a condition
+ * @param {number} length - Number of days
+ * @param {Function} test - Called with each day index
+ * @returns {Int32Array} - Prefix counts, length + 1 entries
+ */
+function prefixCount(length, test) {
+	const prefix = new Int32Array(length + 1);
+	for (let i = 0; i < length; i++) {
+		prefix[i + 1] = prefix[i] + (test(i) ? 1 : 0);
+	}
+	return prefix;
+}
+
+/**
+ * Variables to extract from forecast and profiles: the required fields plus any used by aggregate metrics
+ * @param {Object} CONFIG - Merged configuration
+ * @returns {Array} - Variable names
+ */
+function seriesFields(CONFIG) {
+	const fields = [...CONFIG.REQUIRED_FIELDS];
+	if (CONFIG.AGGREGATE_WEIGHT > 0) {
+		CONFIG.AGGREGATE_METRICS.forEach((metric) => {
+			if (!fields.includes(metric.variable)) fields.push(metric.variable);
+		});
+	}
+	return fields;
+}
+
+/**
+ * Options for computing derived variables at a site
+ * @param {Object} CONFIG - Merged configuration
+ * @param {number|null} latitude - Site latitude in degrees
+ * @returns {Object} - Options for addDerivedVariables
+ */
+function derivationOptions(CONFIG, latitude) {
+	return {
+		latitude,
+		gddBaseTemperature: CONFIG.GDD_BASE_TEMPERATURE,
+		waterBalanceDays: CONFIG.WATER_BALANCE_DAYS,
+	};
+}
+
+/**
+ * Parse, sort and pre-extract a forecast once for every crop and window
+ * Gaps are filled here when IMPUTE_GAPS is on; climatology-filled days stay NaN and are flagged
+ * @param {Array} forecastData - Array of daily weather forecast objects
+ * @param {Object} CONFIG - Merged configuration
+ * @returns {Object} - Sorted days, date strings, per-variable arrays, fill methods and prefix counts
+ */
+function prepareForecast(forecastData, CONFIG) {
+	// Parse dates in forecast data
+	let days = forecastData.map((day) => ({
+		...day,
+		date: new Date(day.date),
+	}));
+
+	// Sort by date to ensure proper sequence
+	days.sort((a, b) => a.date - b.date);
+
+	const fields = seriesFields(CONFIG);
+
+	// Compute derived variables the forecast does not supply itself; resolveConfig has checked the latitude
+	const derived = missingDerivedVariables(days, fields);
+	if (derived.length > 0) {
+		days = addDerivedVariables(days, derived, derivationOptions(CONFIG, CONFIG.FORECAST_LATITUDE));
+	}
+
+	const { values, present } = extractSeries(days, fields);
+
+	// Fill gaps per variable; filled days count as present and valid
+	let imputed = null;
+	if (CONFIG.IMPUTE_GAPS) {
+		imputed = { methods: {}, linear: {}, climatology: {} };
+
+		for (const field of fields) {
+			const result = imputeSeries(values[field], CONFIG.IMPUTE_MAX_INTERPOLATION_DAYS, CONFIG.IMPUTE_MAX_GAP_DAYS);
+			const methods = result.methods;
+			const rawPresent = present[field];
+
+			values[field] = result.values;
+			imputed.methods[field] = methods;
+			imputed.linear[field] = prefixCount(days.length, (i) => methods[i] === IMPUTE_LINEAR);
+			imputed.climatology[field] = prefixCount(days.length, (i) => methods[i] === IMPUTE_CLIMATOLOGY);
+			present[field] = prefixCount(days.length, (i) => rawPresent[i + 1] > rawPresent[i] || methods[i] !== IMPUTE_NONE);
+		}
+	}
+
+	// Prefix count of valid values across all required fields, for the per-window data check
+	const validPrefix = new Int32Array(days.length + 1);
+	for (let i = 0; i < days.length; i++) {
+		let count = 0;
+		for (const field of CONFIG.REQUIRED_FIELDS) {
+			if (!isNaN(values[field][i]) || (imputed && imputed.methods[field][i] === IMPUTE_CLIMATOLOGY)) count++;
+		}
+		validPrefix[i + 1] = validPrefix[i] + count;
+	}
+
+	return {
+		days,
+		dates: days.map((day) => day.date.toISOString().split("T")[0]),
+		values,
+		present,
+		validPrefix,
+		imputed,
+	};
+}
+
+/**
+ * Create the per-crop matcher for one run
+ * @param {Object} CONFIG - Merged configuration
+ * @param {Object} logData - Log storage for the run
+ * @param {Object} forecast - Output of prepareForecast
+ * @returns {Object} - matchCrop function
+ */
+function createCropMatcher(CONFIG, logData, forecast) {
+	const logDetail = LOG_DETAILS.indexOf(CONFIG.LOG_DETAIL);
+
+	/**
+	 * Check whether the run records logs at a level
+	 * @param {string} level - One of LOG_DETAILS
+	 * @returns {boolean} - True if LOG_DETAIL is at least this detailed
+	 */
+	function logsAt(level) {
+		return logDetail >= LOG_DETAILS.indexOf(level);
+	}
 
 	// Default variable weights
 	const DEFAULT_VARIABLE_WEIGHTS = {};
@@ -72,411 +462,1258 @@ function runCropMatching(crops, forecastData, clientConfig = {}) {
 		if (windowStart) errorEntry.window_start = windowStart;
 
 		logData.errors.push(errorEntry);
-		console.error(`ERROR: ${message}`);
+		logger.error(message, { crop: cropName || undefined, window_start: windowStart || undefined });
 	}
 
 	/**
 	 * Compute exp(x) safely, avoiding overflow
-	 * @param {number|Array} x - Input value(s)
-	 * @returns {number|Array} - Computed exp value(s)
+	 * @param {number} x - Input value
+	 * @returns {number} - Computed exp value
 	 */
 	function safeExp(x) {
-		try {
-			if (Array.isArray(x)) {
-				// Apply to array
-				return x.map((val) => {
-					const clippedVal = Math.max(-709, Math.min(709, val)); // Prevent overflow
-					return Math.exp(clippedVal);
-				});
-			} else {
-				// Apply to single value
-				const clippedVal = Math.max(-709, Math.min(709, x));
-				return Math.exp(clippedVal);
-			}
-		} catch (e) {
-			logError(`Error in safeExp: ${e.message}`);
-			return Array.isArray(x) ? Array(x.length).fill(1) : 1;
-		}
+		const clippedVal = Math.max(-709, Math.min(709, x)); // Prevent overflow
+		return Math.exp(clippedVal);
 	}
 
 	/**
 	 * Calculate logistic score with variable-specific k value
-	 * @param {Array} relDelta - Relative delta values
+	 * 1 at the optimum and falling towards 0 as the delta grows, on the same scale as the other scorers
+	 * @param {number} relDelta - Relative delta
 	 * @param {number} k - Sensitivity parameter
-	 * @returns {Array} - Computed scores
+	 * @returns {number} - Computed score
 	 */
 	function logisticScore(relDelta, k) {
-		try {
-			const powValues = relDelta.map((d) => Math.pow(d, 0.5));
-			const negK = powValues.map((v) => -k * v);
-			const expValues = safeExp(negK);
-			return expValues.map((e) => 1 / (1 + e));
-		} catch (e) {
-			logError(`Error in logisticScore: ${e.message}`);
-			return Array(relDelta.length).fill(0);
-		}
+		return 2 / (1 + safeExp(k * Math.sqrt(relDelta)));
 	}
 
 	/**
 	 * Linearly decreases score as relDelta increases
-	 * @param {Array} relDelta - Relative delta values
+	 * @param {number} relDelta - Relative delta
 	 * @param {number} maxDelta - Maximum delta for scoring
-	 * @returns {Array} - Computed scores
+	 * @returns {number} - Computed score
 	 */
 	function linearScore(relDelta, maxDelta = 1.0) {
-		return relDelta.map((d) => Math.max(0, Math.min(1, 1 - d / maxDelta)));
+		return Math.max(0, Math.min(1, 1 - relDelta / maxDelta));
 	}
 
 	/**
-	 * Compute matching score between forecast window and crop historical data
-	 * @param {Array} windowData - Forecast window data
-	 * @param {Array} cropData - Crop historical data
-	 * @param {Object} kValues - k values for each variable
-	 * @param {Object} variableWeights - Weights for each variable
-	 * @param {string} cropName - Crop name
-	 * @param {string} windowStart - Window start date
-	 * @returns {Array} - Score and variable details
+	 * Bell-shaped score, 1 at the optimum and falling off symmetrically
+	 * @param {number} relDelta - Relative delta
+	 * @param {number} sigma - Width of the bell
+	 * @returns {number} - Computed score
 	 */
-	function computeScore(windowData, cropData, kValues, variableWeights, cropName, windowStart) {
-		const scores = [];
-		let totalWeight = 0;
-		const variableDetails = {};
+	function gaussianScore(relDelta, sigma) {
+		const width = sigma > 0 ? sigma : 1.0;
+		return safeExp(-0.5 * Math.pow(relDelta / width, 2));
+	}
 
-		// Ensure the crop exists in log data
-		if (!logData.crop_logs[cropName]) {
-			logData.crop_logs[cropName] = {
-				windows: {},
-				warnings: [],
-				k_values_used: kValues,
-			};
+	/**
+	 * Piecewise linear score with separate penalties below and above the optimum
+	 * @param {number} signedDelta - Signed relative delta (forecast - optimal)
+	 * @param {number} lowPenalty - Score lost per unit delta when the forecast is too low
+	 * @param {number} highPenalty - Score lost per unit delta when the forecast is too high
+	 * @param {number} tolerance - Delta within which the score stays at 1
+	 * @returns {number} - Computed score
+	 */
+	function asymmetricScore(signedDelta, lowPenalty = 1.0, highPenalty = 1.0, tolerance = 0) {
+		const excess = Math.max(0, Math.abs(signedDelta) - tolerance);
+		const penalty = signedDelta < 0 ? lowPenalty : highPenalty;
+		return Math.max(0, Math.min(1, 1 - penalty * excess));
+	}
+
+	/**
+	 * Resolve the scoring function configured for a variable
+	 * @param {string} varName - Variable name
+	 * @param {number} k - k value for this variable and crop
+	 * @returns {Object} - Scoring type and the parameters it will be called with
+	 */
+	function resolveScoring(varName, k) {
+		const scoring = CONFIG.SCORING_FUNCTIONS[varName] || CONFIG.SCORING_FUNCTIONS.default || { type: "logistic" };
+
+		switch (scoring.type) {
+			case "linear":
+				return { type: "linear", params: { max_delta: scoring.max_delta ?? 1.0 } };
+			case "gaussian":
+				// Sharper crops (higher k) get a narrower bell unless sigma is given
+				return { type: "gaussian", params: { sigma: scoring.sigma ?? 1 / k } };
+			case "asymmetric":
+				return {
+					type: "asymmetric",
+					params: {
+						low_penalty: scoring.low_penalty ?? 1.0,
+						high_penalty: scoring.high_penalty ?? 1.0,
+						tolerance: scoring.tolerance ?? 0,
+					},
+				};
+			default:
+				return { type: "logistic", params: { k: scoring.k ?? k } };
 		}
+	}
 
-		// Initialize window in log data
-		if (!logData.crop_logs[cropName].windows[windowStart]) {
-			logData.crop_logs[cropName].windows[windowStart] = {
-				variables: {},
-				warnings: [],
-			};
+	/**
+	 * Build a scorer for signed relative deltas from a resolved scoring function
+	 * @param {Object} scoring - Output of resolveScoring
+	 * @returns {Function} - Maps a signed delta to a score
+	 */
+	function createScorer(scoring) {
+		const { type, params } = scoring;
+
+		switch (type) {
+			case "linear":
+				return (d) => linearScore(Math.abs(d), params.max_delta);
+			case "gaussian":
+				return (d) => gaussianScore(Math.abs(d), params.sigma);
+			case "asymmetric":
+				return (d) => asymmetricScore(d, params.low_penalty, params.high_penalty, params.tolerance);
+			default:
+				return (d) => logisticScore(Math.abs(d), params.k);
 		}
+	}
 
-		const windowLog = logData.crop_logs[cropName].windows[windowStart];
+	/**
+	 * Resolve how deltas are scaled for a variable
+	 * @param {string} varName - Variable name
+	 * @param {Object} ranges - Profile range for each variable
+	 * @returns {Object} - Delta mode and, for absolute/range modes, the scale deltas are divided by
+	 */
+	function resolveDeltaScale(varName, ranges) {
+		const mode = CONFIG.DELTA_MODES[varName] || CONFIG.DELTA_MODES.default || "relative";
+		const tolerance = varName in CONFIG.DELTA_TOLERANCES ? CONFIG.DELTA_TOLERANCES[varName] : CONFIG.DELTA_TOLERANCES.default;
+		const range = ranges[varName] || 1.0;
 
-		for (const varName of CONFIG.REQUIRED_FIELDS) {
-			// Skip if variable not in data
-			if (!windowData.every((day) => varName in day) || !cropData.every((day) => varName in day)) {
-				windowLog.warnings.push(`Variable '${varName}' not found in data`);
-				continue;
+		if (mode === "absolute" && tolerance > 0) {
+			return { mode, scale: tolerance };
+		}
+		if (mode === "envelope" || mode === "percentile") {
+			// The range scale is only used on days without envelope statistics
+			return { mode, scale: range };
+		}
+		if (mode === "absolute" || mode === "range") {
+			// Absolute mode without a tolerance falls back to the full profile range
+			const fraction = mode === "range" && tolerance > 0 ? tolerance : 1.0;
+			return { mode: "range", scale: range * fraction };
+		}
+		return { mode: "relative", scale: null };
+	}
+
+	/**
+	 * Compute the signed, scaled delta for one forecast/profile pair
+	 * @param {number} forecastVal - Forecast value
+	 * @param {number} optimalVal - Profile value
+	 * @param {Object|null} band - Envelope arrays for the variable, if the profile has them
+	 * @param {number} day - Day index into the profile
+	 * @param {Object} deltaScale - Output of resolveDeltaScale
+	 * @returns {number} - Signed delta
+	 */
+	function computeDelta(forecastVal, optimalVal, band, day, deltaScale) {
+		if (band && deltaScale.mode === "envelope" && band.std[day] > 0) {
+			return (forecastVal - band.mean[day]) / band.std[day];
+		}
+		if (band && deltaScale.mode === "percentile" && !isNaN(band.p10[day])) {
+			const width = band.p90[day] - band.p10[day] || deltaScale.scale;
+			if (forecastVal < band.p10[day]) return (forecastVal - band.p10[day]) / width;
+			if (forecastVal > band.p90[day]) return (forecastVal - band.p90[day]) / width;
+			return 0;
+		}
+
+		return (forecastVal - optimalVal) / (deltaScale.scale || Math.abs(optimalVal) + 1e-5);
+	}
+
+	/**
+	 * Normalize a set of per-variable values (weights or k values) to weights summing to 1
+	 * @param {Object} values - Value for each variable
+	 * @returns {Object} - Normalized weights for the required fields present in values
+	 */
+	function normalizeWeights(values) {
+		const validValues = {};
+		CONFIG.REQUIRED_FIELDS.forEach((field) => {
+			if (field in values && values[field] !== null) {
+				validValues[field] = values[field];
 			}
+		});
 
-			// Extract values from both datasets
-			const forecastVals = windowData.map((day) => day[varName]);
-			const optimalVals = cropData.map((day) => day[varName]);
-
-			// Track NaN counts
-			const nanForecast = forecastVals.filter((val) => val === null || isNaN(val)).length;
-			const nanOptimal = optimalVals.filter((val) => val === null || isNaN(val)).length;
-
-			// Create valid data pairs (where neither value is NaN)
-			const validPairs = [];
-			for (let i = 0; i < forecastVals.length; i++) {
-				if (forecastVals[i] !== null && !isNaN(forecastVals[i]) && optimalVals[i] !== null && !isNaN(optimalVals[i])) {
-					validPairs.push({
-						forecast: forecastVals[i],
-						optimal: optimalVals[i],
+		const valueSum = Object.values(validValues).reduce((sum, val) => sum + val, 0) || 1;
+
+		const weights = {};
+		Object.keys(validValues).forEach((field) => {
+			weights[field] = validValues[field] / valueSum;
+		});
+		return weights;
+	}
+
+	/**
+	 * Pre-extract a crop profile, with envelope arrays when the profile carries them
+	 * @param {Array} cropDf - Crop profile days, sorted by date
+	 * @returns {Object} - Per-variable arrays, presence counts and envelope arrays
+	 */
+	function prepareProfile(cropDf) {
+		const { values, present } = extractSeries(cropDf, seriesFields(CONFIG));
+		const envelope = {};
+
+		if (cropDf.some((day) => day.envelope)) {
+			for (const field of CONFIG.REQUIRED_FIELDS) {
+				const band = {};
+				for (const stat of ENVELOPE_STATS) {
+					band[stat] = Float64Array.from(cropDf, (day) => {
+						const stats = day.envelope && day.envelope[field];
+						return stats && isValid(stats[stat]) ? stats[stat] : NaN;
 					});
 				}
+				envelope[field] = band;
 			}
+		}
 
-			const validCount = validPairs.length;
+		return {
+			length: cropDf.length,
+			values,
+			present,
+			envelope: Object.keys(envelope).length > 0 ? envelope : null,
+			// Scratch buffers reused by every window of this crop
+			buffers: {
+				indices: new Int32Array(cropDf.length),
+				deviations: new Float64Array(cropDf.length),
+				deltas: new Float64Array(cropDf.length),
+				forecastWindow: new Float64Array(cropDf.length),
+				profileWindow: new Float64Array(cropDf.length),
+			},
+		};
+	}
+
+	/**
+	 * Score every required variable for a day range of one window against the matching profile days
+	 * @param {Object} profile - Output of prepareProfile
+	 * @param {number} offset - Forecast index of the window's first day
+	 * @param {number} from - First day of the range, relative to the window
+	 * @param {number} to - Last day of the range (inclusive), relative to the window
+	 * @param {Object} kValues - k values for each variable
+	 * @param {Object} variableWeights - Weights for each variable
+	 * @param {Object} ranges - Profile range for each variable
+	 * @param {Array} warnings - Warning list to append to
+	 * @param {string} cropName - Crop name
+	 * @param {string} windowStart - Window start date
+	 * @param {Object|null} alignment - Output of alignWindow, or null to pair forecast and profile days strictly
+	 * @returns {Array} - Weighted score (null if nothing could be scored) and variable details
+	 */
+	function scoreVariables(profile, offset, from, to, kValues, variableWeights, ranges, warnings, cropName, windowStart, alignment) {
+		let weightedSum = 0;
+		let totalWeight = 0;
+		const variableDetails = {};
+		const { indices, deviations, deltas } = profile.buffers;
+		const dayCount = to - from + 1;
 
-			// Skip if no valid data points for this variable
-			if (validCount === 0) {
-				windowLog.warnings.push(`No valid data points for variable '${varName}'`);
+		for (const varName of CONFIG.REQUIRED_FIELDS) {
+			// Skip if variable not in data
+			const forecastPresent = forecast.present[varName];
+			const profilePresent = profile.present[varName];
+			if (
+				forecastPresent[offset + to + 1] - forecastPresent[offset + from] < dayCount ||
+				profilePresent[to + 1] - profilePresent[from] < dayCount
+			) {
+				warnings.push(`Variable '${varName}' not found in data`);
 				continue;
 			}
 
+			const forecastVals = forecast.values[varName];
+			const optimalVals = profile.values[varName];
+			const band = profile.envelope ? profile.envelope[varName] : null;
+			const fillMethods = forecast.imputed ? forecast.imputed.methods[varName] : null;
+
 			// Get k value for this variable and crop
 			const k = kValues[varName] || CONFIG.DEFAULT_K;
 			const weight = variableWeights[varName] || 1 / CONFIG.REQUIRED_FIELDS.length;
 
 			try {
-				// Calculate relative deltas
-				const relDeltas = validPairs.map((pair) => Math.abs(pair.forecast - pair.optimal) / (Math.abs(pair.optimal) + 1e-5));
+				const deltaScale = resolveDeltaScale(varName, ranges);
+				const scoring = resolveScoring(varName, k);
+				const scorer = createScorer(scoring);
+
+				// Score valid pairs (where neither value is NaN), tracking NaN counts
+				let nanForecast = 0;
+				let nanOptimal = 0;
+				let validCount = 0;
+				let scoreSum = 0;
+				let relDeltaSum = 0;
+
+				for (let day = from; day <= to; day++) {
+					const optimalVal = optimalVals[day];
+					let forecastVal = alignment ? alignment.values[varName][day] : forecastVals[offset + day];
+
+					// Climatology fill: take the profile's expected value for this day (aligned values are already filled)
+					if (!alignment && fillMethods && fillMethods[offset + day] === IMPUTE_CLIMATOLOGY) {
+						forecastVal = band && !isNaN(band.mean[day]) ? band.mean[day] : optimalVal;
+					}
+
+					const forecastMissing = isNaN(forecastVal);
+					const optimalMissing = isNaN(optimalVal);
+
+					if (forecastMissing) nanForecast++;
+					if (optimalMissing) nanOptimal++;
+					if (forecastMissing || optimalMissing) continue;
+
+					// Scaled delta, keeping the sign for direction-aware scoring
+					const delta = computeDelta(forecastVal, optimalVal, band, day, deltaScale);
+
+					indices[validCount] = day;
+					deviations[validCount] = forecastVal - optimalVal;
+					deltas[validCount] = delta;
+					validCount++;
+
+					scoreSum += scorer(delta);
+					relDeltaSum += Math.abs(delta);
+				}
 
-				// Calculate scores
-				const dailyScores = logisticScore(relDeltas, k);
-				const variableScore = dailyScores.reduce((sum, score) => sum + score, 0) / dailyScores.length;
+				// Skip if no valid data points for this variable
+				if (validCount === 0) {
+					warnings.push(`No valid data points for variable '${varName}'`);
+					continue;
+				}
+
+				const variableScore = scoreSum / validCount;
+
+				// Stretches of days furthest from the profile, for limiting-factor explanations
+				const worstStretches = findWorstStretches(
+					indices,
+					deviations,
+					deltas,
+					validCount,
+					CONFIG.EXPLAIN_STRETCH_DAYS,
+					CONFIG.EXPLAIN_MAX_STRETCHES
+				).map((stretch) => ({
+					...stretch,
+					start_date: forecast.dates[offset + stretch.start_day],
+					end_date: forecast.dates[offset + stretch.end_day],
+					description: describeStretch(varName, stretch),
+				}));
 
 				const weightedScore = variableScore * weight;
-				scores.push(weightedScore);
+				weightedSum += weightedScore;
 				totalWeight += weight;
 
 				// Store variable details
-				windowLog.variables[varName] = {
+				variableDetails[varName] = {
 					k_value: k,
 					weight: weight,
 					valid_points: validCount,
 					nan_forecast: nanForecast,
 					nan_optimal: nanOptimal,
-					avg_rel_delta: relDeltas.reduce((sum, delta) => sum + delta, 0) / relDeltas.length,
+					avg_rel_delta: relDeltaSum / validCount,
+					delta_mode: deltaScale,
+					scoring_function: scoring,
 					score: variableScore,
 					weighted_score: weightedScore,
+					worst_stretches: worstStretches,
 				};
 			} catch (e) {
 				const errorMsg = `Error processing variable '${varName}': ${e.message}`;
 				logError(errorMsg, cropName, windowStart);
-				windowLog.warnings.push(errorMsg);
+				warnings.push(errorMsg);
 			}
 		}
 
-		if (scores.length === 0 || totalWeight === 0) {
-			windowLog.warnings.push("No valid scores computed");
-			return [null, null];
+		if (totalWeight === 0) {
+			return [null, variableDetails];
 		}
 
 		// Normalize by total weight used (in case some variables were skipped)
-		const finalScore = scores.reduce((sum, score) => sum + score, 0) / totalWeight;
+		return [weightedSum / totalWeight, variableDetails];
+	}
+
+	/**
+	 * Score a window's aggregate metrics over sliding sub-periods
+	 * @param {Object} profile - Output of prepareProfile
+	 * @param {number} offset - Forecast index of the window's first day
+	 * @param {Object} kValues - k values for each variable
+	 * @param {Array} warnings - Warning list to append to
+	 * @param {string} cropName - Crop name
+	 * @param {string} windowStart - Window start date
+	 * @returns {Array} - Weighted aggregate score (null if no metric could be scored) and metric details
+	 */
+	function scoreAggregates(profile, offset, kValues, warnings, cropName, windowStart) {
+		let weightedSum = 0;
+		let totalWeight = 0;
+		const metricDetails = {};
+		const { forecastWindow, profileWindow } = profile.buffers;
+
+		for (const metric of CONFIG.AGGREGATE_METRICS) {
+			const varName = metric.variable;
+			if (!forecast.values[varName] || !profile.values[varName]) {
+				warnings.push(`Variable '${varName}' for aggregate metric '${metric.name}' not found in data`);
+				continue;
+			}
+
+			const forecastVals = forecast.values[varName];
+			const optimalVals = profile.values[varName];
+			const band = profile.envelope ? profile.envelope[varName] : null;
+			const fillMethods = forecast.imputed ? forecast.imputed.methods[varName] : null;
+
+			// Window values, with climatology-filled days taking the profile's expected value
+			for (let day = 0; day < profile.length; day++) {
+				let forecastVal = forecastVals[offset + day];
+				if (fillMethods && fillMethods[offset + day] === IMPUTE_CLIMATOLOGY) {
+					forecastVal = band && !isNaN(band.mean[day]) ? band.mean[day] : optimalVals[day];
+				}
+				forecastWindow[day] = forecastVal;
+				profileWindow[day] = optimalVals[day];
+			}
+
+			try {
+				const aggregates = aggregateSubPeriods(forecastWindow, profileWindow, profile.length, metric);
+				if (aggregates.forecast.length === 0) {
+					warnings.push(`No sub-periods with enough data for aggregate metric '${metric.name}'`);
+					continue;
+				}
+
+				// Counts are scaled by the period length, other aggregates by their spread across the profile
+				const isCount = metric.type === "count_above" || metric.type === "count_below";
+				const scale = metric.tolerance > 0 ? metric.tolerance : isCount ? metric.period_days : calculateRange(aggregates.profile);
+
+				const k = metric.k ?? kValues[varName] ?? CONFIG.DEFAULT_K;
+				const scoring = resolveScoring(metric.name, k);
+				const scorer = createScorer(scoring);
+
+				let scoreSum = 0;
+				let deltaSum = 0;
+				for (let j = 0; j < aggregates.forecast.length; j++) {
+					const delta = (aggregates.forecast[j] - aggregates.profile[j]) / scale;
+					scoreSum += scorer(delta);
+					deltaSum += Math.abs(delta);
+				}
+
+				const metricScore = scoreSum / aggregates.forecast.length;
+				weightedSum += metricScore * metric.weight;
+				totalWeight += metric.weight;
+
+				metricDetails[metric.name] = {
+					variable: varName,
+					type: metric.type,
+					period_days: metric.period_days,
+					weight: metric.weight,
+					sub_periods: aggregates.forecast.length,
+					scale,
+					avg_delta: deltaSum / aggregates.forecast.length,
+					scoring_function: scoring,
+					score: metricScore,
+				};
+			} catch (e) {
+				const errorMsg = `Error processing aggregate metric '${metric.name}': ${e.message}`;
+				logError(errorMsg, cropName, windowStart);
+				warnings.push(errorMsg);
+			}
+		}
+
+		if (totalWeight === 0) {
+			return [null, metricDetails];
+		}
+
+		return [weightedSum / totalWeight, metricDetails];
+	}
+
+	/**
+	 * Align a forecast window with the profile by dynamic time warping over all required variables
+	 * @param {Object} profile - Output of prepareProfile
+	 * @param {number} offset - Forecast index of the window's first day
+	 * @param {Object} variableWeights - Weights for each variable
+	 * @param {Object} ranges - Profile range for each variable
+	 * @returns {Object} - Forecast values aligned to each profile day, and a summary of the shift
+	 */
+	function alignWindow(profile, offset, variableWeights, ranges) {
+		const length = profile.length;
+
+		// Window values per variable, with climatology-filled days taking the profile's expected value
+		const variables = CONFIG.REQUIRED_FIELDS.map((varName) => {
+			const optimalVals = profile.values[varName];
+			const band = profile.envelope ? profile.envelope[varName] : null;
+			const fillMethods = forecast.imputed ? forecast.imputed.methods[varName] : null;
+			const windowVals = new Float64Array(length);
+
+			for (let day = 0; day < length; day++) {
+				let forecastVal = forecast.values[varName][offset + day];
+				if (fillMethods && fillMethods[offset + day] === IMPUTE_CLIMATOLOGY) {
+					forecastVal = band && !isNaN(band.mean[day]) ? band.mean[day] : optimalVals[day];
+				}
+				windowVals[day] = forecastVal;
+			}
+
+			return {
+				varName,
+				windowVals,
+				optimalVals,
+				band,
+				deltaScale: resolveDeltaScale(varName, ranges),
+				weight: variableWeights[varName] || 1 / CONFIG.REQUIRED_FIELDS.length,
+			};
+		});
+
+		// Cost of pairing forecast day i with profile day j: weighted absolute deltas, skipping missing values
+		const cost = (i, j) => {
+			let total = 0;
+			for (const { windowVals, optimalVals, band, deltaScale, weight } of variables) {
+				if (isNaN(windowVals[i]) || isNaN(optimalVals[j])) continue;
+				total += weight * Math.abs(computeDelta(windowVals[i], optimalVals[j], band, j, deltaScale));
+			}
+			return total;
+		};
+
+		const path = alignSeries(length, Math.floor(CONFIG.DTW_BAND_DAYS), cost);
+
+		// Each profile day takes the mean of the forecast days aligned to it
+		const values = {};
+		for (const { varName, windowVals } of variables) {
+			const sums = new Float64Array(length);
+			const counts = new Int32Array(length);
+			for (const [i, j] of path) {
+				if (isNaN(windowVals[i])) continue;
+				sums[j] += windowVals[i];
+				counts[j]++;
+			}
+			values[varName] = Float64Array.from(sums, (sum, j) => (counts[j] > 0 ? sum / counts[j] : NaN));
+		}
+
+		// Positive shifts mean the forecast runs late against the profile
+		let shiftSum = 0;
+		let maxShift = 0;
+		for (const [i, j] of path) {
+			shiftSum += i - j;
+			if (Math.abs(i - j) > Math.abs(maxShift)) maxShift = i - j;
+		}
+
+		const summary = {
+			average_shift_days: Math.round((shiftSum / path.length) * 100) / 100,
+			max_shift_days: maxShift,
+		};
+		if (CONFIG.DTW_INCLUDE_PATH) {
+			summary.path = path;
+		}
+
+		return { values, summary };
+	}
+
+	/**
+	 * Compute matching score between forecast window and crop historical data
+	 * Day-by-day scores are mixed with aggregate metric scores by AGGREGATE_WEIGHT
+	 * @param {Object} profile - Output of prepareProfile
+	 * @param {number} offset - Forecast index of the window's first day
+	 * @param {Object} kValues - k values for each variable
+	 * @param {Object} variableWeights - Weights for each variable
+	 * @param {Object} ranges - Profile range for each variable
+	 * @param {Array|null} growthStages - Validated growth stages, or null to score the window as a whole
+	 * @param {string} cropName - Crop name
+	 * @param {string} windowStart - Window start date
+	 * @param {Object} windowLog - Log entry for the window
+	 * @returns {Array} - Score, variable details, stage scores (null when the crop has no stages), aggregate
+	 * details (null when AGGREGATE_WEIGHT is 0) and alignment summary (null unless ALIGNMENT is "dtw")
+	 */
+	function computeScore(profile, offset, kValues, variableWeights, ranges, growthStages, cropName, windowStart, windowLog) {
+		const alignment = CONFIG.ALIGNMENT === "dtw" ? alignWindow(profile, offset, variableWeights, ranges) : null;
+		const alignmentSummary = alignment ? alignment.summary : null;
+
+		const [dailyScore, variables, stageScores] = computeDailyScore(
+			profile,
+			offset,
+			kValues,
+			variableWeights,
+			ranges,
+			growthStages,
+			cropName,
+			windowStart,
+			windowLog,
+			alignment
+		);
+
+		if (alignment) {
+			windowLog.alignment = alignmentSummary;
+		}
+
+		if (dailyScore === null || CONFIG.AGGREGATE_WEIGHT === 0) {
+			return [dailyScore, variables, stageScores, null, alignmentSummary];
+		}
+
+		const [aggregateScore, metrics] = scoreAggregates(profile, offset, kValues, windowLog.warnings, cropName, windowStart);
+		if (logsAt("debug")) {
+			windowLog.aggregates = metrics;
+		}
+
+		if (aggregateScore === null) {
+			windowLog.warnings.push("No aggregate metrics could be scored, using day-by-day score only");
+			return [dailyScore, variables, stageScores, null, alignmentSummary];
+		}
+
+		const finalScore = (1 - CONFIG.AGGREGATE_WEIGHT) * dailyScore + CONFIG.AGGREGATE_WEIGHT * aggregateScore;
+		windowLog.daily_score = dailyScore;
+		windowLog.aggregate_score = aggregateScore;
 		windowLog.final_score = finalScore;
 
-		return [finalScore, windowLog.variables];
+		return [finalScore, variables, stageScores, { score: aggregateScore, metrics }, alignmentSummary];
 	}
 
 	/**
-	 * Process crop matching for all crops
+	 * Compute the day-by-day matching score between forecast window and crop historical data
+	 * @param {Object} profile - Output of prepareProfile
+	 * @param {number} offset - Forecast index of the window's first day
+	 * @param {Object} kValues - k values for each variable
+	 * @param {Object} variableWeights - Weights for each variable
+	 * @param {Object} ranges - Profile range for each variable
+	 * @param {Array|null} growthStages - Validated growth stages, or null to score the window as a whole
+	 * @param {string} cropName - Crop name
+	 * @param {string} windowStart - Window start date
+	 * @param {Object} windowLog - Log entry for the window
+	 * @param {Object|null} alignment - Output of alignWindow, or null to pair days strictly
+	 * @returns {Array} - Score, variable details and stage scores (null when the crop has no stages)
 	 */
-	function processCrops() {
-		// Parse dates in forecast data
-		const forecastDf = forecastData.map((day) => ({
-			...day,
-			date: new Date(day.date),
-		}));
+	function computeDailyScore(profile, offset, kValues, variableWeights, ranges, growthStages, cropName, windowStart, windowLog, alignment) {
+		// Whole-window breakdown, reported as variable_details even when stages drive the score
+		const [windowScore, variables] = scoreVariables(
+			profile,
+			offset,
+			0,
+			profile.length - 1,
+			kValues,
+			variableWeights,
+			ranges,
+			windowLog.warnings,
+			cropName,
+			windowStart,
+			alignment
+		);
+		if (logsAt("debug")) {
+			windowLog.variables = variables;
+		}
 
-		// Sort by date to ensure proper sequence
-		forecastDf.sort((a, b) => a.date - b.date);
+		if (!growthStages) {
+			if (windowScore === null) {
+				windowLog.warnings.push("No valid scores computed");
+				return [null, null, null];
+			}
 
-		const results = [];
+			windowLog.final_score = windowScore;
+			return [windowScore, variables, null];
+		}
 
-		// Process each crop
-		for (const cropName in crops) {
-			const crop = crops[cropName];
+		// Score each growth stage on its own day range, with its own k values and weights
+		const stageScores = [];
+		windowLog.stages = {};
+		let weightedSum = 0;
+		let totalStageWeight = 0;
+
+		for (const stage of growthStages) {
+			const [stageScore, stageVariables] = scoreVariables(
+				profile,
+				offset,
+				stage.start_day,
+				stage.end_day,
+				stage.k_values,
+				stage.variable_weights,
+				ranges,
+				windowLog.warnings,
+				cropName,
+				windowStart,
+				alignment
+			);
+
+			windowLog.stages[stage.name] = {
+				start_day: stage.start_day,
+				end_day: stage.end_day,
+				weight: stage.weight,
+				score: stageScore,
+				variables: logsAt("debug") ? stageVariables : undefined,
+			};
 
-			logData.summary.crops_processed += 1;
+			if (stageScore === null) {
+				windowLog.warnings.push(`No valid scores computed for stage '${stage.name}'`);
+				continue;
+			}
 
-			try {
-				// Parse dates in crop data
-				const cropDf = crop.daily_weather.map((day) => ({
-					...day,
-					date: new Date(day.date),
-				}));
+			stageScores.push({
+				name: stage.name,
+				start_day: stage.start_day,
+				end_day: stage.end_day,
+				weight: stage.weight,
+				score: Math.round(stageScore * 10000) / 10000,
+			});
+			weightedSum += stageScore * stage.weight;
+			totalStageWeight += stage.weight;
+		}
 
-				// Sort by date
-				cropDf.sort((a, b) => a.date - b.date);
+		if (totalStageWeight === 0) {
+			windowLog.warnings.push("No valid scores computed");
+			return [null, null, null];
+		}
 
-				const duration = cropDf.length;
+		// Normalize by the weight of stages actually scored
+		const finalScore = weightedSum / totalStageWeight;
+		windowLog.final_score = finalScore;
 
-				// Initialize crop in log data if not exists
-				if (!logData.crop_logs[cropName]) {
-					logData.crop_logs[cropName] = {
-						windows: {},
-						warnings: [],
-						duration_days: duration,
-						region: crop.region || "Unknown",
-						variety: crop.variety || "Unknown",
-					};
-				}
+		return [finalScore, variables, stageScores];
+	}
 
-				const cropLog = logData.crop_logs[cropName];
+	/**
+	 * Validate a crop's growth stages against its profile length
+	 * @param {Array} stages - Growth stages declared on the crop
+	 * @param {number} duration - Number of days in the crop profile
+	 * @param {Object} kValues - Crop k values, overlaid by each stage's own
+	 * @param {Object} variableWeights - Crop weights, used by stages that set neither weights nor k values
+	 * @param {Object} cropLog - Crop log to record skipped stages in
+	 * @returns {Array|null} - Usable stages with defaults filled in, or null if none
+	 */
+	function resolveGrowthStages(stages, duration, kValues, variableWeights, cropLog) {
+		if (!Array.isArray(stages) || stages.length === 0) return null;
+
+		const resolved = [];
+		stages.forEach((stage, index) => {
+			const name = stage.name || `stage_${index + 1}`;
+			const startDay = Number(stage.start_day);
+			const endDay = Math.min(Number(stage.end_day), duration - 1);
+
+			if (!Number.isInteger(startDay) || !Number.isInteger(endDay) || startDay < 0 || startDay > endDay) {
+				cropLog.warnings.push(`Skipping growth stage '${name}': invalid day range`);
+				return;
+			}
 
-				// Skip if crop duration is longer than forecast period
-				if (duration > forecastDf.length) {
-					const warning = `Disqualified: duration (${duration}) exceeds forecast length (${forecastDf.length})`;
-					cropLog.warnings.push(warning);
-					console.warn(`  Warning: ${warning}`);
-					logData.summary.crops_disqualified_duration += 1;
-					continue;
+			const stageK = { ...kValues, ...(stage.k_values || {}) };
+			let stageWeights = variableWeights;
+			if (stage.variable_weights) {
+				stageWeights = normalizeWeights(stage.variable_weights);
+			} else if (stage.k_values) {
+				stageWeights = normalizeWeights(stageK);
+			}
+
+			resolved.push({
+				name,
+				start_day: startDay,
+				end_day: endDay,
+				// Stages without an explicit weight count in proportion to their length
+				weight: stage.weight ?? endDay - startDay + 1,
+				k_values: stageK,
+				variable_weights: stageWeights,
+			});
+		});
+
+		return resolved.length > 0 ? resolved : null;
+	}
+
+	/**
+	 * Match one crop against every window of the forecast
+	 * @param {string} cropName - Crop name
+	 * @param {Object} crop - Crop data
+	 * @param {string} seasonName - Season being matched, for crops with named seasons
+	 * @returns {Object|null} - Crop result with ranked windows, or null if the crop produced none
+	 */
+	function matchCrop(cropName, crop, seasonName = null) {
+		logData.summary.crops_processed += 1;
+		let cropLog = null;
+
+		try {
+			// Parse dates in crop data
+			let cropDf = crop.daily_weather.map((day) => ({
+				...day,
+				date: new Date(day.date),
+			}));
+
+			// Sort by date
+			cropDf.sort((a, b) => a.date - b.date);
+
+			const duration = cropDf.length;
+			const forecastLength = forecast.days.length;
+
+			// Crop log, kept in the run's logs from the "crop" level up; seasons log under their crop
+			cropLog = {
+				windows: logsAt("window") ? {} : undefined,
+				warnings: [],
+				duration_days: duration,
+				region: crop.region || "Unknown",
+				variety: crop.variety || "Unknown",
+			};
+			if (logsAt("crop")) {
+				if (seasonName) {
+					logData.crop_logs[cropName] = logData.crop_logs[cropName] || { seasons: {} };
+					logData.crop_logs[cropName].seasons[seasonName] = cropLog;
+				} else {
+					logData.crop_logs[cropName] = cropLog;
 				}
+			}
 
-				// Get crop-specific k values or use defaults
-				const kValues = crop.k_values || {};
-				if (Object.keys(kValues).length === 0) {
-					cropLog.warnings.push("No k_values found, using defaults");
+			// Derive variables the profile was calibrated without, at the crop's own latitude
+			const derived = missingDerivedVariables(cropDf, seriesFields(CONFIG));
+			if (derived.length > 0) {
+				const latitude = Array.isArray(crop.coordinates) ? crop.coordinates[0] : null;
+				if (requiresLatitude(derived) && !isValid(latitude)) {
+					cropLog.warnings.push(`No coordinates for crop, cannot derive ${derived.filter((v) => requiresLatitude([v])).join(", ")}`);
 				}
+				cropDf = addDerivedVariables(cropDf, derived, derivationOptions(CONFIG, latitude));
+				cropLog.derived_variables = derived;
+			}
 
-				cropLog.k_values_used = kValues;
+			// Skip if crop duration is longer than forecast period
+			if (duration > forecastLength) {
+				const warning = `Disqualified: duration (${duration}) exceeds forecast length (${forecastLength})`;
+				cropLog.warnings.push(warning);
+				logger.warn(warning, seasonName ? { crop: cropName, season: seasonName } : { crop: cropName });
+				logData.summary.crops_disqualified_duration += 1;
+				return null;
+			}
 
-				// Calculate variable weights from k values (normalize k values to sum to 1)
-				let variableWeights = DEFAULT_VARIABLE_WEIGHTS;
+			// Get crop-specific k values or use defaults
+			const kValues = crop.k_values || {};
+			if (Object.keys(kValues).length === 0) {
+				cropLog.warnings.push("No k_values found, using defaults");
+			}
 
-				if (Object.keys(kValues).length > 0) {
-					// Filter to only include k values for required fields that exist
-					const validKValues = {};
-					CONFIG.REQUIRED_FIELDS.forEach((field) => {
-						if (field in kValues && kValues[field] !== null) {
-							validKValues[field] = kValues[field];
-						}
-					});
+			cropLog.k_values_used = kValues;
 
-					// Check for missing k values
-					CONFIG.REQUIRED_FIELDS.forEach((field) => {
-						if (!(field in validKValues)) {
-							cropLog.warnings.push(`Missing k value for '${field}', will use default`);
-						}
-					});
+			// Use calibrated ranges when present, otherwise derive them from the profile
+			const ranges = { ...(crop.ranges || {}) };
+			CONFIG.REQUIRED_FIELDS.forEach((field) => {
+				if (!(field in ranges)) {
+					ranges[field] = calculateRange(cropDf.map((day) => day[field]));
+				}
+			});
 
-					// Calculate sum of k values for normalization
-					const kSum = Object.values(validKValues).reduce((sum, val) => sum + val, 0) || 1;
+			// Calculate variable weights from k values (normalize k values to sum to 1)
+			let variableWeights = DEFAULT_VARIABLE_WEIGHTS;
 
-					// Create normalized weights
-					variableWeights = {};
-					Object.keys(validKValues).forEach((field) => {
-						variableWeights[field] = validKValues[field] / kSum;
-					});
+			if (Object.keys(kValues).length > 0) {
+				// Create normalized weights from the k values of required fields
+				variableWeights = normalizeWeights(kValues);
 
-					cropLog.normalized_weights = variableWeights;
+				// Check for missing k values
+				CONFIG.REQUIRED_FIELDS.forEach((field) => {
+					if (!(field in variableWeights)) {
+						cropLog.warnings.push(`Missing k value for '${field}', will use default`);
+					}
+				});
+
+				cropLog.normalized_weights = variableWeights;
+			} else {
+				cropLog.normalized_weights = DEFAULT_VARIABLE_WEIGHTS;
+			}
+
+			const profile = prepareProfile(cropDf);
+
+			// Envelope-based delta modes need a multi-year profile
+			const usesEnvelope = Object.values(CONFIG.DELTA_MODES).some((mode) => mode === "envelope" || mode === "percentile");
+			if (usesEnvelope && !profile.envelope) {
+				cropLog.warnings.push("No multi-year envelope in profile, envelope/percentile deltas fall back to range");
+			}
+
+			// Optional growth stages, each scored on its own day range
+			const growthStages = resolveGrowthStages(crop.growth_stages, duration, kValues, variableWeights, cropLog);
+			if (growthStages) {
+				cropLog.growth_stages = growthStages.map((stage) => stage.name);
+			}
+
+			// Hard constraints; rules of unknown type are reported once and ignored
+			const constraints = (Array.isArray(crop.constraints) ? crop.constraints : []).filter((rule) => {
+				if (CONSTRAINT_TYPES.includes(rule.type)) return true;
+				cropLog.warnings.push(`Ignoring constraint with unknown type '${rule.type}'`);
+				return false;
+			});
+
+			// Calendar: the calibrated start date, and the months planting may start in
+			const seasonStart = crop.start_date || cropDf[0].date;
+			let plantingMonths = null;
+			if (crop.planting_months !== undefined) {
+				const months = Array.isArray(crop.planting_months) ? crop.planting_months : [];
+				if (months.length > 0 && months.every((m) => Number.isInteger(m) && m >= 1 && m <= 12)) {
+					plantingMonths = months;
 				} else {
-					cropLog.normalized_weights = DEFAULT_VARIABLE_WEIGHTS;
+					cropLog.warnings.push("Ignoring planting_months: expected an array of months 1-12");
 				}
+			}
 
-				const cropWindows = [];
-				cropLog.windows_stats = {
-					total_windows: 0,
-					insufficient_data: 0,
-					valid_windows: 0,
-				};
+			const cropWindows = [];
+			cropLog.windows_stats = {
+				total_windows: 0,
+				season_filtered: 0,
+				insufficient_data: 0,
+				constraint_dropped: 0,
+				constraint_capped: 0,
+				valid_windows: 0,
+			};
 
-				// Process each potential window
-				for (let i = 0; i <= forecastDf.length - duration; i += CONFIG.STEP_SIZE) {
-					logData.summary.total_windows_processed += 1;
-					cropLog.windows_stats.total_windows += 1;
-
-					const windowDf = forecastDf.slice(i, i + duration);
-					const windowStart = windowDf[0].date.toISOString().split("T")[0];
-
-					// Check if we have enough valid data points
-					let validValues = 0;
-					let totalValues = duration * CONFIG.REQUIRED_FIELDS.length;
-
-					// Count valid data points
-					windowDf.forEach((day) => {
-						CONFIG.REQUIRED_FIELDS.forEach((field) => {
-							if (field in day && day[field] !== null && !isNaN(day[field])) {
-								validValues++;
-							}
-						});
-					});
+			const totalValues = duration * CONFIG.REQUIRED_FIELDS.length;
+
+			// Process each potential window
+			for (let i = 0; i <= forecastLength - duration; i += CONFIG.STEP_SIZE) {
+				const windowStart = forecast.dates[i];
+
+				// Windows outside the requested start dates are not part of the run at all
+				if (CONFIG.WINDOW_START_FROM && windowStart < CONFIG.WINDOW_START_FROM) continue;
+				if (CONFIG.WINDOW_START_TO && windowStart > CONFIG.WINDOW_START_TO) break;
+
+				logData.summary.total_windows_processed += 1;
+				cropLog.windows_stats.total_windows += 1;
+
+				// Window log, kept in the crop log from the "window" level up
+				const windowLog = { warnings: [] };
+				if (logsAt("window")) {
+					cropLog.windows[windowStart] = windowLog;
+				}
+
+				// Filter windows that start outside the crop's season before any scoring
+				const startMonth = forecast.days[i].date.getUTCMonth() + 1;
+				const seasonDistance = calendarDistance(forecast.days[i].date, seasonStart);
+				let seasonReason = null;
 
-					const dataRatio = validValues / totalValues;
-
-					if (dataRatio < 1 - CONFIG.MAX_NAN_RATIO) {
-						// Initialize window in log data
-						if (!cropLog.windows[windowStart]) {
-							cropLog.windows[windowStart] = {
-								warnings: [
-									`Insufficient data: ${(dataRatio * 100).toFixed(2)}% valid (need >${(
-										(1 - CONFIG.MAX_NAN_RATIO) *
-										100
-									).toFixed(2)}%)`,
-								],
-							};
-						} else {
-							cropLog.windows[windowStart].warnings.push(
-								`Insufficient data: ${(dataRatio * 100).toFixed(2)}% valid (need >${(
-									(1 - CONFIG.MAX_NAN_RATIO) *
-									100
-								).toFixed(2)}%)`
-							);
+				if (plantingMonths && !plantingMonths.includes(startMonth)) {
+					seasonReason = `Window dropped: starts in month ${startMonth}, outside planting months ${plantingMonths.join(", ")}`;
+				} else if (CONFIG.SEASONAL_MODE === "mask" && seasonDistance > CONFIG.SEASONAL_TOLERANCE_DAYS) {
+					seasonReason = `Window dropped: starts ${seasonDistance} days from the calibrated start date (tolerance ${CONFIG.SEASONAL_TOLERANCE_DAYS})`;
+				}
+
+				if (seasonReason) {
+					windowLog.warnings.push(seasonReason);
+					cropLog.windows_stats.season_filtered += 1;
+					logData.summary.windows_season_filtered += 1;
+					continue;
+				}
+
+				// Check if we have enough valid data points
+				const validValues = forecast.validPrefix[i + duration] - forecast.validPrefix[i];
+				const dataRatio = validValues / totalValues;
+
+				if (dataRatio < 1 - CONFIG.MAX_NAN_RATIO) {
+					const warning = `Insufficient data: ${(dataRatio * 100).toFixed(2)}% valid (need >${(
+						(1 - CONFIG.MAX_NAN_RATIO) *
+						100
+					).toFixed(2)}%)`;
+
+					windowLog.warnings.push(warning);
+
+					cropLog.windows_stats.insufficient_data += 1;
+					logData.summary.windows_insufficient_data += 1;
+					continue;
+				}
+
+				// Record how many values were filled in this window, and how
+				if (forecast.imputed) {
+					const imputation = {};
+					let imputedTotal = 0;
+
+					for (const field of CONFIG.REQUIRED_FIELDS) {
+						const linear = forecast.imputed.linear[field][i + duration] - forecast.imputed.linear[field][i];
+						const climatology = forecast.imputed.climatology[field][i + duration] - forecast.imputed.climatology[field][i];
+						if (linear + climatology > 0) {
+							imputation[field] = { linear, climatology };
+							imputedTotal += linear + climatology;
 						}
+					}
 
-						cropLog.windows_stats.insufficient_data += 1;
-						logData.summary.windows_insufficient_data += 1;
-						continue;
+					if (imputedTotal > 0) {
+						windowLog.imputation = { values_imputed: imputedTotal, by_variable: imputation };
+						logData.summary.windows_imputed += 1;
 					}
+				}
 
-					// Compute match score using crop-specific k values
-					const [score, details] = computeScore(windowDf, cropDf, kValues, variableWeights, cropName, windowStart);
-
-					if (score !== null) {
-						cropLog.windows_stats.valid_windows += 1;
-						logData.summary.windows_successful += 1;
-
-						cropWindows.push({
-							start: windowStart,
-							score: Math.round(score * 10000) / 10000, // Round to 4 decimal places
-							variable_details: details,
-						});
-
-						// Ensure we have this window in crop logs
-						if (!cropLog.windows[windowStart]) {
-							cropLog.windows[windowStart] = {
-								variables: details,
-								warnings: [],
-								final_score: score,
-							};
-						} else {
-							cropLog.windows[windowStart].final_score = score;
-							cropLog.windows[windowStart].variables = details;
-						}
-					} else {
-						if (!cropLog.windows[windowStart]) {
-							cropLog.windows[windowStart] = {
-								warnings: ["No valid score produced"],
-								variables: {},
-							};
-						} else {
-							cropLog.windows[windowStart].warnings.push("No valid score produced");
-						}
+				// Check hard constraints before scoring so dropped windows cost nothing
+				const violations = constraints.length > 0 ? checkConstraints(forecast.days.slice(i, i + duration), constraints) : [];
+				const dropWindow = violations.some((v) => (v.rule.action || CONFIG.CONSTRAINT_ACTION) === "drop");
+
+				violations.forEach((v) => windowLog.warnings.push(v.message));
+
+				if (dropWindow) {
+					windowLog.warnings.push("Window dropped: hard constraint violated");
+					cropLog.windows_stats.constraint_dropped += 1;
+					logData.summary.windows_constraint_dropped += 1;
+					continue;
+				}
+
+				// Compute match score using crop-specific k values
+				const [rawScore, details, stageScores, aggregates, alignment] = computeScore(
+					profile,
+					i,
+					kValues,
+					variableWeights,
+					ranges,
+					growthStages,
+					cropName,
+					windowStart,
+					windowLog
+				);
+				let score = rawScore;
+
+				// Scale down windows that start away from the calibrated season
+				let seasonal = null;
+				if (score !== null && CONFIG.SEASONAL_MODE !== "off") {
+					seasonal = {
+						day_distance: seasonDistance,
+						factor: seasonalFactor(seasonDistance, CONFIG.SEASONAL_TOLERANCE_DAYS, CONFIG.SEASONAL_PENALTY_DAYS),
+					};
+					if (CONFIG.SEASONAL_MODE === "penalty" && seasonal.factor < 1) {
+						score *= seasonal.factor;
+						windowLog.warnings.push(
+							`Score scaled by ${seasonal.factor.toFixed(2)}: starts ${seasonDistance} days from the calibrated start date`
+						);
 					}
 				}
 
-				if (cropWindows.length > 0) {
-					logData.summary.crops_successful += 1;
+				if (score !== null && violations.length > 0) {
+					// Cap rather than drop, so the window still ranks below compliant ones
+					score = Math.min(score, CONFIG.CONSTRAINT_CAP);
+					windowLog.warnings.push(`Score capped at ${CONFIG.CONSTRAINT_CAP}: hard constraint violated`);
+					cropLog.windows_stats.constraint_capped += 1;
+					logData.summary.windows_constraint_capped += 1;
+				}
+
+				if (score !== null) {
+					cropLog.windows_stats.valid_windows += 1;
+					logData.summary.windows_successful += 1;
 
-					// Sort windows by score (descending)
-					cropWindows.sort((a, b) => b.score - a.score);
+					const windowResult = {
+						start: windowStart,
+						score: Math.round(score * 10000) / 10000, // Round to 4 decimal places
+						variable_details: details,
+					};
+					if (stageScores) {
+						windowResult.stage_scores = stageScores;
+					}
+					if (seasonal) {
+						windowResult.seasonal = seasonal;
+					}
+					if (alignment) {
+						windowResult.alignment = alignment;
+					}
+					if (aggregates) {
+						windowResult.aggregate_score = Math.round(aggregates.score * 10000) / 10000;
+						windowResult.aggregate_details = aggregates.metrics;
+					}
+					if (violations.length > 0) {
+						windowResult.constraint_violations = violations.map((v) => v.message);
+					}
 
-					// Store top scores
-					cropLog.top_windows = cropWindows.slice(0, 3).map((w) => w.start);
+					// Name the variables that held the score down and where
+					const { limiting_factors, explanation } = explainWindow(details, CONFIG.EXPLAIN_LIMITING_VARIABLES);
+					windowResult.limiting_factors = limiting_factors;
+					windowResult.explanation = explanation;
+					cropWindows.push(windowResult);
 
-					results.push({
-						name: cropName,
-						variety: crop.variety,
-						region: crop.region,
-						duration_days: duration,
-						k_values_used: kValues,
-						windows: cropWindows,
-					});
+					windowLog.final_score = score;
 				} else {
-					logData.summary.crops_no_valid_windows += 1;
-					cropLog.warnings.push("No valid windows found");
+					windowLog.warnings.push("No valid score produced");
 				}
-			} catch (e) {
-				const errorMsg = `Error processing crop '${cropName}': ${e.message}`;
-				logError(errorMsg, cropName);
+			}
+
+			if (cropWindows.length === 0) {
+				logData.summary.crops_no_valid_windows += 1;
+				cropLog.warnings.push("No valid windows found");
+				return null;
+			}
+
+			logData.summary.crops_successful += 1;
+
+			// Sort windows by score (descending)
+			cropWindows.sort((a, b) => b.score - a.score);
+
+			// Store top scores
+			cropLog.top_windows = cropWindows.slice(0, 3).map((w) => w.start);
+
+			return {
+				name: cropName,
+				variety: crop.variety,
+				region: crop.region,
+				duration_days: duration,
+				k_values_used: kValues,
+				windows: cropWindows,
+			};
+		} catch (e) {
+			const errorMsg = `Error processing crop '${cropName}'${seasonName ? ` season '${seasonName}'` : ""}: ${e.message}`;
+			logError(errorMsg, cropName);
+
+			// If the crop log was created, add the error there too
+			if (cropLog) {
+				cropLog.warnings.push(errorMsg);
+			}
+			return null;
+		}
+	}
+
+	/**
+	 * Match a crop with named seasons, each on its own profile and k values
+	 * Where seasons share a window start, the window keeps the season it scored best in
+	 * @param {string} cropName - Crop name
+	 * @param {Object} crop - Crop data with a seasons object
+	 * @returns {Object|null} - Crop result with ranked windows tagged by season, or null if no season produced any
+	 */
+	function matchSeasonalCrop(cropName, crop) {
+		const { seasons, ...base } = crop;
+		const seasonResults = {};
+
+		// matchCrop counts each season as a crop; count the crop once instead, by its best outcome
+		const summary = logData.summary;
+		const counted = Object.fromEntries(CROP_COUNTERS.map((key) => [key, summary[key]]));
+
+		for (const seasonName in seasons) {
+			const result = matchCrop(cropName, { ...base, ...seasons[seasonName] }, seasonName);
+			if (result) seasonResults[seasonName] = result;
+		}
 
-				// If the crop exists in log data, add the error there too
-				if (logData.crop_logs[cropName]) {
-					logData.crop_logs[cropName].warnings.push(errorMsg);
+		const seasonCount = Object.keys(seasons).length;
+		const seasonsDisqualified = summary.crops_disqualified_duration - counted.crops_disqualified_duration;
+		CROP_COUNTERS.forEach((key) => {
+			summary[key] = counted[key];
+		});
+		summary.crops_processed += 1;
+		summary.seasons_processed += seasonCount;
+		if (Object.keys(seasonResults).length > 0) summary.crops_successful += 1;
+		else if (seasonsDisqualified === seasonCount) summary.crops_disqualified_duration += 1;
+		else summary.crops_no_valid_windows += 1;
+
+		const windowsByStart = {};
+		for (const seasonName in seasonResults) {
+			const { windows, duration_days } = seasonResults[seasonName];
+			for (const window of windows) {
+				if (!windowsByStart[window.start] || window.score > windowsByStart[window.start].score) {
+					windowsByStart[window.start] = { ...window, season: seasonName, duration_days };
 				}
 			}
 		}
 
-		// Print summary
-		console.log(`Crop matching completed. Summary:`);
-		console.log(`  - Processed ${logData.summary.crops_processed} crops`);
-		console.log(`  - ${logData.summary.crops_disqualified_duration} disqualified due to duration`);
-		console.log(`  - ${logData.summary.crops_no_valid_windows} had no valid windows`);
-		console.log(`  - ${logData.summary.crops_successful} successfully matched with windows`);
+		const windows = Object.values(windowsByStart).sort((a, b) => b.score - a.score);
+		if (windows.length === 0) return null;
+
+		const best = seasonResults[windows[0].season];
+		return {
+			name: cropName,
+			variety: crop.variety,
+			region: crop.region,
+			duration_days: best.duration_days,
+			k_values_used: best.k_values_used,
+			seasons: Object.fromEntries(
+				Object.keys(seasonResults).map((seasonName) => [
+					seasonName,
+					{
+						duration_days: seasonResults[seasonName].duration_days,
+						k_values_used: seasonResults[seasonName].k_values_used,
+						best_score: seasonResults[seasonName].windows[0].score,
+					},
+				])
+			),
+			windows,
+		};
+	}
+
+	return { matchCrop, matchSeasonalCrop };
+}
+
+/**
+ * Match a set of crops in the current thread
+ * @param {Object} crops - Object with crop data
+ * @param {Array} forecastData - Array of daily weather forecast objects
+ * @param {Object} CONFIG - Merged configuration
+ * @returns {Object} - Results and logs
+ */
+function matchCropsInProcess(crops, forecastData, CONFIG) {
+	const logData = createLogData(CONFIG);
+	const forecast = prepareForecast(forecastData, CONFIG);
+	const { matchCrop, matchSeasonalCrop } = createCropMatcher(CONFIG, logData, forecast);
+
+	const results = [];
+	for (const cropName in crops) {
+		const crop = crops[cropName];
+		const result = crop.seasons ? matchSeasonalCrop(cropName, crop) : matchCrop(cropName, crop);
+		if (result) results.push(result);
+	}
+
+	return { results, logs: logData };
+}
+
+/**
+ * Resolve how many worker threads to use for a run
+ * @param {Object} CONFIG - Merged configuration
+ * @param {number} cropCount - Number of crops to match
+ * @returns {number} - Worker count; 1 means score in-process
+ */
+function resolveWorkerCount(CONFIG, cropCount) {
+	const requested =
+		CONFIG.WORKERS === "auto" ? (os.availableParallelism ? os.availableParallelism() : os.cpus().length) : Number(CONFIG.WORKERS) || 1;
+	return Math.max(1, Math.min(requested, cropCount));
+}
+
+/**
+ * Match crops across worker threads, one contiguous chunk of crops per worker
+ * @param {Object} crops - Object with crop data
+ * @param {Array} forecastData - Array of daily weather forecast objects
+ * @param {Object} clientConfig - Configuration overrides, re-resolved in each worker
+ * @param {number} workerCount - Number of workers to start
+ * @returns {Promise<Array>} - Results and logs from each worker, in crop order
+ */
+function matchCropsInWorkers(crops, forecastData, clientConfig, workerCount) {
+	const cropNames = Object.keys(crops);
+	const chunkSize = Math.ceil(cropNames.length / workerCount);
+	const jobs = [];
+
+	for (let i = 0; i < cropNames.length; i += chunkSize) {
+		const chunk = {};
+		cropNames.slice(i, i + chunkSize).forEach((name) => {
+			chunk[name] = crops[name];
+		});
+
+		jobs.push(
+			new Promise((resolve, reject) => {
+				const worker = new Worker(path.join(__dirname, "crop-matching-worker.js"), {
+					workerData: { crops: chunk, forecastData, clientConfig },
+				});
+				worker.once("message", resolve);
+				worker.once("error", reject);
+				worker.once("exit", (code) => {
+					if (code !== 0) reject(new Error(`Crop matching worker stopped with exit code ${code}`));
+				});
+			})
+		);
+	}
+
+	return Promise.all(jobs);
+}
 
-		return results;
+/**
+ * Main function to run crop matching algorithm
+ * @param {Object} crops - Object with crop data
+ * @param {Array} forecastData - Array of daily weather forecast objects
+ * @param {Object} config - Optional configuration to override defaults
+ * @returns {Promise<Object>} - Results and logs
+ */
+async function runCropMatching(crops, forecastData, clientConfig = {}) {
+	// Merge provided config with defaults
+	const CONFIG = resolveConfig(clientConfig);
+
+	const workerCount = resolveWorkerCount(CONFIG, Object.keys(crops).length);
+	let results;
+	let logData;
+
+	if (workerCount <= 1) {
+		({ results, logs: logData } = matchCropsInProcess(crops, forecastData, CONFIG));
+	} else {
+		// Merge worker logs into a single log for the run
+		logData = createLogData(CONFIG);
+		results = [];
+
+		for (const part of await matchCropsInWorkers(crops, forecastData, clientConfig, workerCount)) {
+			results.push(...part.results);
+			for (const key in logData.summary) {
+				logData.summary[key] += part.logs.summary[key];
+			}
+			Object.assign(logData.crop_logs, part.logs.crop_logs);
+			logData.errors.push(...part.logs.errors);
+		}
 	}
 
-	// Run the algorithm
-	const results = processCrops();
+	// Print summary
+	logger.info("Crop matching completed", {
+		crops_processed: logData.summary.crops_processed,
+		crops_disqualified_duration: logData.summary.crops_disqualified_duration,
+		crops_no_valid_windows: logData.summary.crops_no_valid_windows,
+		crops_successful: logData.summary.crops_successful,
+		seasons_processed: logData.summary.seasons_processed,
+	});
+
+	// Trim the logs to the requested level
+	if (CONFIG.LOG_DETAIL === "summary") {
+		delete logData.crop_logs;
+	}
 
 	return {
 		results,
-		logs: logData,
+		logs: CONFIG.LOG_DETAIL === "none" ? null : logData,
 	};
 }
 
-module.exports = { runCropMatching };
+module.exports = { runCropMatching, matchCropsInProcess, resolveConfig };
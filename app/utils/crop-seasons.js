@@ -0,0 +1,198 @@
+/**
+ * Crop seasons module
+ * Lets a crop declare several named planting seasons, e.g. long rains and short rains, each
+ * calibrated to its own profile and k values
+ *
+ * A season gives its start as start_month (1-12, from the 1st) or start_date ("MM-DD"), and its end
+ * as end_month (to the last day), end_date ("MM-DD") or duration_days. Ends before the start fall
+ * in the following year, so seasons may cross the year boundary. Calibration expands each season
+ * into its own catalogue entry and collapses the results back into crop.seasons.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Input fields that define a season's dates
+const DATE_FIELDS = ["start_month", "end_month", "start_date", "end_date", "duration_days"];
+
+/**
+ * Parse a month-day from "MM-DD" or "YYYY-MM-DD"
+ * @param {string} value - Date string
+ * @returns {Array|null} - [month, day], or null if invalid
+ */
+function parseMonthDay(value) {
+	const match = typeof value === "string" ? value.match(/^(?:\d{4}-)?(\d{2})-(\d{2})$/) : null;
+	if (!match) return null;
+
+	const month = Number(match[1]);
+	const day = Number(match[2]);
+	return month >= 1 && month <= 12 && day >= 1 && day <= 31 ? [month, day] : null;
+}
+
+/**
+ * Check every crop's seasons, so a bad definition fails before any weather is fetched
+ * @param {Object} crops - Crop catalogue input
+ */
+function validateCropSeasons(crops) {
+	for (const cropName in crops) {
+		const seasons = crops[cropName].seasons;
+		if (seasons === undefined) continue;
+
+		if (!seasons || typeof seasons !== "object" || Array.isArray(seasons) || Object.keys(seasons).length === 0) {
+			throw new Error(`Invalid seasons for '${cropName}': expected an object of named seasons`);
+		}
+
+		for (const seasonName in seasons) {
+			const season = seasons[seasonName];
+			const label = `season '${seasonName}' of '${cropName}'`;
+			const isMonth = (m) => Number.isInteger(m) && m >= 1 && m <= 12;
+
+			if (season.start_month !== undefined ? !isMonth(season.start_month) : !parseMonthDay(season.start_date)) {
+				throw new Error(`Invalid ${label}: expected start_month (1-12) or start_date ("MM-DD")`);
+			}
+			if (season.end_month !== undefined && !isMonth(season.end_month)) {
+				throw new Error(`Invalid ${label}: end_month must be 1-12`);
+			}
+			if (season.end_date !== undefined && !parseMonthDay(season.end_date)) {
+				throw new Error(`Invalid ${label}: end_date must be "MM-DD"`);
+			}
+
+			const duration = season.duration_days ?? crops[cropName].duration_days;
+			if (season.end_month === undefined && season.end_date === undefined && !(Number.isInteger(duration) && duration >= 1)) {
+				throw new Error(`Invalid ${label}: expected end_month, end_date or duration_days`);
+			}
+		}
+	}
+}
+
+/**
+ * Calendar dates of a season in a reference year
+ * @param {Object} season - Season definition
+ * @param {number} defaultDuration - Duration used when the season gives no end
+ * @param {number} referenceYear - Year the season starts in
+ * @returns {Object} - start_date and end_date (YYYY-MM-DD), and duration_days between them
+ */
+function seasonDates(season, defaultDuration, referenceYear) {
+	const [startMonth, startDay] = season.start_month !== undefined ? [season.start_month, 1] : parseMonthDay(season.start_date);
+	const start = Date.UTC(referenceYear, startMonth - 1, startDay);
+
+	let end;
+	if (season.end_month !== undefined) {
+		// Last day of the end month, in the next year when it comes before the start month
+		const year = season.end_month < startMonth ? referenceYear + 1 : referenceYear;
+		end = Date.UTC(year, season.end_month, 0);
+	} else if (season.end_date !== undefined) {
+		const [endMonth, endDay] = parseMonthDay(season.end_date);
+		end = Date.UTC(referenceYear, endMonth - 1, endDay);
+		if (end < start) end = Date.UTC(referenceYear + 1, endMonth - 1, endDay);
+	} else {
+		end = start + (season.duration_days ?? defaultDuration) * DAY_MS;
+	}
+
+	return {
+		start_date: new Date(start).toISOString().split("T")[0],
+		end_date: new Date(end).toISOString().split("T")[0],
+		duration_days: Math.round((end - start) / DAY_MS),
+	};
+}
+
+/**
+ * Catalogue entry name for one season of a crop
+ * @param {string} cropName - Crop name
+ * @param {string} seasonName - Season name
+ * @returns {string} - Entry name
+ */
+function seasonEntryName(cropName, seasonName) {
+	return `${cropName} (${seasonName})`;
+}
+
+/**
+ * Expand crops with seasons into one entry per season, dated in the reference year
+ * Labelled seasons with a season field go to that season only; the rest go to every season
+ * @param {Object} crops - Crop catalogue input
+ * @param {number} referenceYear - Year seasons start in
+ * @returns {Object} - Expanded catalogue, and an index of entry name to { crop, season }
+ */
+function expandCropSeasons(crops, referenceYear) {
+	const expanded = {};
+	const index = {};
+
+	for (const cropName in crops) {
+		const { seasons, ...base } = crops[cropName];
+		if (!seasons) {
+			expanded[cropName] = crops[cropName];
+			continue;
+		}
+
+		for (const seasonName in seasons) {
+			const season = seasons[seasonName];
+			const entryName = seasonEntryName(cropName, seasonName);
+			const entry = { ...base, ...season, ...seasonDates(season, base.duration_days, referenceYear) };
+
+			if (Array.isArray(base.labelled_seasons)) {
+				entry.labelled_seasons = base.labelled_seasons.filter((s) => s.season === undefined || s.season === seasonName);
+			}
+
+			expanded[entryName] = entry;
+			index[entryName] = { crop: cropName, season: seasonName, base, input: season };
+		}
+	}
+
+	return { crops: expanded, index };
+}
+
+/**
+ * Collapse calibrated season entries back into their crops
+ * Each season keeps its definition and whatever calibration added or changed; shared crop
+ * fields stay on the crop
+ * @param {Object} calibrated - Calibrated expanded catalogue
+ * @param {Object} index - Index from expandCropSeasons
+ * @returns {Object} - Catalogue with seasons nested under their crops
+ */
+function collapseCropSeasons(calibrated, index) {
+	const collapsed = {};
+
+	for (const entryName in calibrated) {
+		const entry = calibrated[entryName];
+		const seasonInfo = index[entryName];
+		if (!seasonInfo) {
+			collapsed[entryName] = entry;
+			continue;
+		}
+
+		const { crop, season, base, input } = seasonInfo;
+		if (!collapsed[crop]) {
+			const shared = { ...base };
+			delete shared.labelled_seasons;
+			collapsed[crop] = { ...shared, seasons: {} };
+		}
+
+		const seasonData = {};
+		for (const key in entry) {
+			if (key === "labelled_seasons") continue;
+			if (key in input || DATE_FIELDS.includes(key) || !(key in base) || entry[key] !== base[key]) {
+				seasonData[key] = entry[key];
+			}
+		}
+		collapsed[crop].seasons[season] = seasonData;
+	}
+
+	return collapsed;
+}
+
+/**
+ * Apply a change to each profile of a calibrated crop: the crop itself, or each named season
+ * @param {Object} crop - Calibrated crop
+ * @param {Function} fn - Takes a profile (with daily_weather and k_values) and returns the changed copy
+ * @returns {Object} - Changed copy of the crop
+ */
+function mapCropProfiles(crop, fn) {
+	if (!crop.seasons) return fn(crop);
+
+	const seasons = {};
+	for (const seasonName in crop.seasons) {
+		seasons[seasonName] = fn(crop.seasons[seasonName]);
+	}
+	return { ...crop, seasons };
+}
+
+module.exports = { validateCropSeasons, seasonDates, expandCropSeasons, collapseCropSeasons, mapCropProfiles };
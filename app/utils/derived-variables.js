@@ -0,0 +1,172 @@
+/**
+ * Derived variables module
+ * Computes agronomic variables from the raw daily weather fields, for both calibration profiles
+ * and forecasts, so they can be listed in REQUIRED_FIELDS and weighted like any other field
+ *
+ *   growing_degree_days     - max(0, Tmean - base temperature), °C days
+ *   et0_hargreaves          - Hargreaves reference evapotranspiration from Tmin/Tmax and latitude, mm/day
+ *   vapour_pressure_deficit - saturation minus actual vapour pressure from Tmin/Tmax and mean RH, kPa
+ *   water_balance           - precipitation minus et0_hargreaves summed over the trailing days, mm
+ */
+const { dayOfYear } = require("./seasonal-calendar");
+
+// Raw inputs of each derived variable, and whether it needs the site latitude
+const DERIVED_VARIABLES = {
+	growing_degree_days: { inputs: ["temperature_2m_max", "temperature_2m_min"], latitude: false },
+	et0_hargreaves: { inputs: ["temperature_2m_max", "temperature_2m_min"], latitude: true },
+	vapour_pressure_deficit: { inputs: ["temperature_2m_max", "temperature_2m_min", "relative_humidity_2m_mean"], latitude: false },
+	water_balance: { inputs: ["temperature_2m_max", "temperature_2m_min", "precipitation_sum"], latitude: true },
+};
+
+// Defaults for derivation options
+const DEFAULT_OPTIONS = {
+	latitude: null,
+	gddBaseTemperature: 10,
+	waterBalanceDays: 14,
+};
+
+// Solar constant, MJ m-2 min-1 (FAO-56)
+const SOLAR_CONSTANT = 0.082;
+
+/**
+ * Check whether a value is usable
+ * @param {*} value - Value to check
+ * @returns {boolean} - True if value is a number that is not NaN
+ */
+function isValid(value) {
+	return value !== null && value !== undefined && !isNaN(value);
+}
+
+/**
+ * Extraterrestrial radiation for a latitude and day of year (FAO-56 eq. 21)
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} doy - Day of the year
+ * @returns {number} - Radiation in MJ m-2 day-1
+ */
+function extraterrestrialRadiation(latitude, doy) {
+	const phi = (latitude * Math.PI) / 180;
+	const inverseDistance = 1 + 0.033 * Math.cos(((2 * Math.PI) / 365) * doy);
+	const declination = 0.409 * Math.sin(((2 * Math.PI) / 365) * doy - 1.39);
+	// Clamp for polar day and night
+	const sunsetAngle = Math.acos(Math.max(-1, Math.min(1, -Math.tan(phi) * Math.tan(declination))));
+
+	return (
+		((24 * 60) / Math.PI) *
+		SOLAR_CONSTANT *
+		inverseDistance *
+		(sunsetAngle * Math.sin(phi) * Math.sin(declination) + Math.cos(phi) * Math.cos(declination) * Math.sin(sunsetAngle))
+	);
+}
+
+/**
+ * Saturation vapour pressure at a temperature (FAO-56 eq. 11)
+ * @param {number} temperature - Temperature in °C
+ * @returns {number} - Vapour pressure in kPa
+ */
+function saturationVapourPressure(temperature) {
+	return 0.6108 * Math.exp((17.27 * temperature) / (temperature + 237.3));
+}
+
+/**
+ * Growing degree days for one day
+ * @param {Object} day - Daily weather object
+ * @param {number} base - Base temperature in °C
+ * @returns {number|null} - Degree days, or null if inputs are missing
+ */
+function growingDegreeDays(day, base) {
+	if (!isValid(day.temperature_2m_max) || !isValid(day.temperature_2m_min)) return null;
+	return Math.max(0, (day.temperature_2m_max + day.temperature_2m_min) / 2 - base);
+}
+
+/**
+ * Hargreaves reference evapotranspiration for one day
+ * @param {Object} day - Daily weather object
+ * @param {number} latitude - Latitude in degrees
+ * @returns {number|null} - ET0 in mm/day, or null if inputs are missing
+ */
+function hargreavesEt0(day, latitude) {
+	if (!isValid(day.temperature_2m_max) || !isValid(day.temperature_2m_min) || !isValid(latitude)) return null;
+
+	const tMean = (day.temperature_2m_max + day.temperature_2m_min) / 2;
+	const tRange = Math.max(0, day.temperature_2m_max - day.temperature_2m_min);
+	// 0.408 converts MJ m-2 day-1 to mm/day of evaporation
+	const radiation = 0.408 * extraterrestrialRadiation(latitude, dayOfYear(day.date));
+
+	return Math.max(0, 0.0023 * (tMean + 17.8) * Math.sqrt(tRange) * radiation);
+}
+
+/**
+ * Vapour pressure deficit for one day
+ * @param {Object} day - Daily weather object
+ * @returns {number|null} - VPD in kPa, or null if inputs are missing
+ */
+function vapourPressureDeficit(day) {
+	if (!isValid(day.temperature_2m_max) || !isValid(day.temperature_2m_min) || !isValid(day.relative_humidity_2m_mean)) {
+		return null;
+	}
+
+	const saturation = (saturationVapourPressure(day.temperature_2m_max) + saturationVapourPressure(day.temperature_2m_min)) / 2;
+	return Math.max(0, saturation * (1 - day.relative_humidity_2m_mean / 100));
+}
+
+/**
+ * Check whether any of the variables needs the site latitude
+ * @param {Array} variables - Variable names
+ * @returns {boolean} - True if a latitude is required
+ */
+function requiresLatitude(variables) {
+	return variables.some((variable) => DERIVED_VARIABLES[variable] && DERIVED_VARIABLES[variable].latitude);
+}
+
+/**
+ * Derived variables from a list that a day series does not already carry
+ * @param {Array} days - Daily weather objects
+ * @param {Array} variables - Requested variable names
+ * @returns {Array} - Derived variable names to compute
+ */
+function missingDerivedVariables(days, variables) {
+	return variables.filter((variable) => DERIVED_VARIABLES[variable] && !days.some((day) => variable in day));
+}
+
+/**
+ * Add derived variables to a day series
+ * Days must be sorted by date; values that cannot be computed are null
+ * @param {Array} days - Daily weather objects, sorted by date
+ * @param {Array} variables - Derived variable names to add (unknown names are ignored)
+ * @param {Object} options - latitude, gddBaseTemperature and waterBalanceDays
+ * @returns {Array} - Copies of the days with the derived variables set
+ */
+function addDerivedVariables(days, variables, options = {}) {
+	const { latitude, gddBaseTemperature, waterBalanceDays } = { ...DEFAULT_OPTIONS, ...options };
+	const derived = variables.filter((variable) => DERIVED_VARIABLES[variable]);
+	if (derived.length === 0) return days;
+
+	const et0 = days.map((day) => hargreavesEt0(day, latitude));
+
+	// Daily precipitation minus ET0, summed over up to waterBalanceDays trailing days
+	const balance = new Array(days.length).fill(null);
+	if (derived.includes("water_balance")) {
+		for (let i = 0; i < days.length; i++) {
+			if (et0[i] === null || !isValid(days[i].precipitation_sum)) continue;
+
+			let sum = 0;
+			for (let j = Math.max(0, i - waterBalanceDays + 1); j <= i; j++) {
+				if (et0[j] !== null && isValid(days[j].precipitation_sum)) sum += days[j].precipitation_sum - et0[j];
+			}
+			balance[i] = sum;
+		}
+	}
+
+	return days.map((day, i) => {
+		const result = { ...day };
+		for (const variable of derived) {
+			if (variable === "growing_degree_days") result[variable] = growingDegreeDays(day, gddBaseTemperature);
+			else if (variable === "et0_hargreaves") result[variable] = et0[i];
+			else if (variable === "vapour_pressure_deficit") result[variable] = vapourPressureDeficit(day);
+			else if (variable === "water_balance") result[variable] = balance[i];
+		}
+		return result;
+	});
+}
+
+module.exports = { addDerivedVariables, missingDerivedVariables, requiresLatitude, DERIVED_VARIABLES };
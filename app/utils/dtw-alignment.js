@@ -0,0 +1,51 @@
+/**
+ * Dynamic time warping module
+ * Aligns a forecast window with a crop profile of the same length inside a Sakoe-Chiba band,
+ * so conditions running a few days early or late are compared with the matching profile days
+ */
+
+/**
+ * Find the cheapest alignment path between two equal-length series
+ * @param {number} length - Number of days in both series
+ * @param {number} band - Largest allowed shift in days between aligned days
+ * @param {Function} cost - Called with (forecastDay, profileDay), returns the cost of aligning them
+ * @returns {Array} - Path of [forecastDay, profileDay] pairs from the first day to the last
+ */
+function alignSeries(length, band, cost) {
+	const width = 2 * band + 1;
+	// Accumulated cost, row i holds profile days i - band .. i + band
+	const total = new Float64Array(length * width).fill(Infinity);
+	const at = (i, j) => (j < i - band || j > i + band || i < 0 || j < 0 ? Infinity : total[i * width + (j - i + band)]);
+
+	for (let i = 0; i < length; i++) {
+		for (let j = Math.max(0, i - band); j <= Math.min(length - 1, i + band); j++) {
+			const previous = i === 0 && j === 0 ? 0 : Math.min(at(i - 1, j), at(i, j - 1), at(i - 1, j - 1));
+			total[i * width + (j - i + band)] = cost(i, j) + previous;
+		}
+	}
+
+	// Walk back from the last pair, preferring the diagonal on ties
+	const path = [];
+	let i = length - 1;
+	let j = length - 1;
+	while (i > 0 || j > 0) {
+		path.push([i, j]);
+		const diagonal = at(i - 1, j - 1);
+		const up = at(i - 1, j);
+		const left = at(i, j - 1);
+
+		if (diagonal <= up && diagonal <= left) {
+			i--;
+			j--;
+		} else if (up <= left) {
+			i--;
+		} else {
+			j--;
+		}
+	}
+	path.push([0, 0]);
+
+	return path.reverse();
+}
+
+module.exports = { alignSeries };
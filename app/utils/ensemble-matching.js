@@ -0,0 +1,186 @@
+/**
+ * Ensemble Matching
+ * Runs crop matching against every member of an ensemble forecast and summarises the spread of scores
+ *
+ * A member that did not score a window (insufficient data, constraints) counts as scoring 0 in every
+ * statistic, so a window most members dropped cannot show a high mean; member_coverage is the share
+ * of members that scored it.
+ *
+ * Each window also carries the variable_details, limiting_factors and explanation of its median
+ * member: the scoring member whose score is closest to the median.
+ */
+const { runCropMatching } = require("./crop-matching");
+const { percentile } = require("./weather-envelope");
+
+// CONFIG - will be overridden by client if provided
+const DEFAULT_ENSEMBLE_CONFIG = {
+	// Score a window must beat to count towards prob_above_threshold
+	ENSEMBLE_THRESHOLD: 0.6,
+	// Standard deviations subtracted from the mean score for the risk-adjusted score
+	RISK_AVERSION: 1.0,
+	// Which statistic windows and crops are ranked by: "mean" or "risk_adjusted"
+	RANK_BY: "mean",
+};
+
+/**
+ * Merge ensemble options over the defaults and validate them
+ * @param {Object} clientConfig - Client configuration, which may also hold matching options
+ * @returns {Object} - Merged config
+ */
+function resolveEnsembleConfig(clientConfig = {}) {
+	const CONFIG = { ...DEFAULT_ENSEMBLE_CONFIG, ...clientConfig };
+
+	if (!["mean", "risk_adjusted"].includes(CONFIG.RANK_BY)) {
+		throw new Error(`Invalid RANK_BY: expected "mean" or "risk_adjusted"`);
+	}
+	if (typeof CONFIG.ENSEMBLE_THRESHOLD !== "number" || isNaN(CONFIG.ENSEMBLE_THRESHOLD)) {
+		throw new Error("Invalid ENSEMBLE_THRESHOLD: expected a number");
+	}
+	if (typeof CONFIG.RISK_AVERSION !== "number" || isNaN(CONFIG.RISK_AVERSION)) {
+		throw new Error("Invalid RISK_AVERSION: expected a number");
+	}
+
+	return CONFIG;
+}
+
+/**
+ * Round to 4 decimal places, matching single-forecast results
+ * @param {number} value - Value to round
+ * @returns {number} - Rounded value
+ */
+function round4(value) {
+	return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Summarise the scores one window received across ensemble members
+ * @param {Object} memberScores - Score keyed by member name, for members that scored the window
+ * @param {number} memberCount - Total number of members in the ensemble
+ * @param {Object} config - Merged ensemble config
+ * @returns {Object} - Score statistics for the window, over every member
+ */
+function summariseWindow(memberScores, memberCount, config) {
+	const scored = Object.values(memberScores);
+	const missing = Math.max(0, memberCount - scored.length);
+	const scores = [...scored, ...new Array(missing).fill(0)].sort((a, b) => a - b);
+	const mean = scores.reduce((sum, s) => sum + s, 0) / scores.length;
+	const std = Math.sqrt(scores.reduce((sum, s) => sum + Math.pow(s - mean, 2), 0) / scores.length);
+
+	const above = scores.filter((s) => s > config.ENSEMBLE_THRESHOLD).length;
+	const riskAdjusted = mean - config.RISK_AVERSION * std;
+
+	return {
+		score: round4(config.RANK_BY === "risk_adjusted" ? riskAdjusted : mean),
+		mean_score: round4(mean),
+		score_std: round4(std),
+		percentiles: {
+			p10: round4(percentile(scores, 10)),
+			p50: round4(percentile(scores, 50)),
+			p90: round4(percentile(scores, 90)),
+		},
+		prob_above_threshold: round4(above / scores.length),
+		risk_adjusted_score: round4(riskAdjusted),
+		members_scored: scored.length,
+		member_coverage: round4(scored.length / scores.length),
+		member_scores: memberScores,
+	};
+}
+
+/**
+ * Run crop matching for every ensemble member and aggregate the results per crop and window
+ * @param {Object} crops - Object with crop data
+ * @param {Object} members - Forecast arrays keyed by member name
+ * @param {Object} clientConfig - Optional configuration to override defaults
+ * @returns {Promise<Object>} - Aggregated results and per-member logs
+ */
+async function runEnsembleMatching(crops, members, clientConfig = {}) {
+	const CONFIG = resolveEnsembleConfig(clientConfig);
+
+	const memberNames = Object.keys(members);
+	const memberLogs = {};
+	const cropResults = {};
+
+	for (const memberName of memberNames) {
+		const { results, logs } = await runCropMatching(crops, members[memberName], clientConfig);
+		memberLogs[memberName] = logs;
+
+		for (const crop of results) {
+			if (!cropResults[crop.name]) {
+				cropResults[crop.name] = {
+					name: crop.name,
+					variety: crop.variety,
+					region: crop.region,
+					duration_days: crop.duration_days,
+					k_values_used: crop.k_values_used,
+					windowScores: {},
+					windowSeasons: {},
+					windowDetails: {},
+				};
+			}
+
+			const { windowScores, windowSeasons, windowDetails } = cropResults[crop.name];
+			for (const window of crop.windows) {
+				if (!windowScores[window.start]) windowScores[window.start] = {};
+				windowScores[window.start][memberName] = window.score;
+
+				if (!windowDetails[window.start]) windowDetails[window.start] = {};
+				windowDetails[window.start][memberName] = {
+					variable_details: window.variable_details,
+					limiting_factors: window.limiting_factors,
+					explanation: window.explanation,
+				};
+
+				// Count the season each member matched, for crops with named seasons
+				if (window.season) {
+					if (!windowSeasons[window.start]) windowSeasons[window.start] = {};
+					const counts = windowSeasons[window.start];
+					counts[window.season] = counts[window.season] || { members: 0, duration_days: window.duration_days };
+					counts[window.season].members += 1;
+				}
+			}
+		}
+	}
+
+	const results = Object.values(cropResults).map(({ windowScores, windowSeasons, windowDetails, ...crop }) => {
+		const windows = Object.keys(windowScores).map((start) => {
+			const window = { start, ...summariseWindow(windowScores[start], memberNames.length, CONFIG) };
+
+			// Explain the window through the member closest to the median score
+			const median = window.percentiles.p50;
+			const [medianMember] = Object.entries(windowScores[start]).sort(
+				(a, b) => Math.abs(a[1] - median) - Math.abs(b[1] - median)
+			)[0];
+			window.median_member = medianMember;
+			Object.assign(window, windowDetails[start][medianMember]);
+
+			// Report the season most members matched the window in
+			if (windowSeasons[start]) {
+				const [season, { duration_days }] = Object.entries(windowSeasons[start]).sort((a, b) => b[1].members - a[1].members)[0];
+				window.season = season;
+				window.duration_days = duration_days;
+			}
+			return window;
+		});
+
+		// Sort windows by the configured ranking score (descending)
+		windows.sort((a, b) => b.score - a.score);
+
+		return { ...crop, windows };
+	});
+
+	return {
+		results,
+		logs: {
+			timestamp: new Date().toISOString(),
+			config: {
+				members: memberNames,
+				ensemble_threshold: CONFIG.ENSEMBLE_THRESHOLD,
+				risk_aversion: CONFIG.RISK_AVERSION,
+				rank_by: CONFIG.RANK_BY,
+			},
+			members: memberLogs,
+		},
+	};
+}
+
+module.exports = { runEnsembleMatching, resolveEnsembleConfig };
@@ -0,0 +1,61 @@
+/**
+ * Forecast imputation module
+ * Fills gaps in forecast variables before matching
+ *
+ * Short gaps between two known values are linearly interpolated. Longer gaps, and gaps at
+ * either end of the forecast, are marked for climatology fill: the matcher substitutes the
+ * crop profile's value for that day, since it depends on how the window lines up with the
+ * profile. Gaps longer than the cap are left missing.
+ */
+
+// Fill methods recorded per forecast day
+const IMPUTE_NONE = 0;
+const IMPUTE_LINEAR = 1;
+const IMPUTE_CLIMATOLOGY = 2;
+
+/**
+ * Fill gaps in one variable's values
+ * @param {Float64Array} values - Forecast values, NaN where missing
+ * @param {number} maxInterpolationDays - Longest interior gap to interpolate linearly
+ * @param {number} maxGapDays - Longest gap to fill at all
+ * @returns {Object} - Filled values and the fill method used for each day
+ */
+function imputeSeries(values, maxInterpolationDays, maxGapDays) {
+	const filled = Float64Array.from(values);
+	const methods = new Int8Array(values.length);
+
+	let i = 0;
+	while (i < values.length) {
+		if (!isNaN(values[i])) {
+			i++;
+			continue;
+		}
+
+		// Find the end of this gap
+		let end = i;
+		while (end + 1 < values.length && isNaN(values[end + 1])) end++;
+
+		const gapLength = end - i + 1;
+		const before = i - 1;
+		const after = end + 1;
+		const interior = before >= 0 && after < values.length;
+
+		if (interior && gapLength <= maxInterpolationDays) {
+			const step = (values[after] - values[before]) / (gapLength + 1);
+			for (let j = i; j <= end; j++) {
+				filled[j] = values[before] + step * (j - before);
+				methods[j] = IMPUTE_LINEAR;
+			}
+		} else if (gapLength <= maxGapDays) {
+			for (let j = i; j <= end; j++) {
+				methods[j] = IMPUTE_CLIMATOLOGY;
+			}
+		}
+
+		i = end + 1;
+	}
+
+	return { values: filled, methods };
+}
+
+module.exports = { imputeSeries, IMPUTE_NONE, IMPUTE_LINEAR, IMPUTE_CLIMATOLOGY };
@@ -3,6 +3,20 @@
  * Computes optimal k values for each weather variable for each crop
  */
 
+// Default importance of each variable; scaled down by its variability to give heuristic k values
+const DEFAULT_BASE_IMPORTANCE = {
+	temperature_2m_max: 5.0, // High importance - critical growth factor
+	temperature_2m_min: 4.5, // High importance - frost/cold risk
+	soil_moisture_0_to_10cm_mean: 4.0, // High importance - directly affects roots
+	precipitation_sum: 3.0, // Medium importance - can be mitigated by irrigation
+	relative_humidity_2m_mean: 2.5, // Medium importance - affects disease pressure
+	wind_speed_10m_mean: 1.5, // Lower importance - secondary effect
+	growing_degree_days: 3.5, // Medium importance - drives development rate
+	water_balance: 3.5, // Medium importance - rain against crop water demand
+	et0_hargreaves: 2.5, // Medium importance - evaporative demand
+	vapour_pressure_deficit: 2.5, // Medium importance - drought and disease stress
+};
+
 /**
  * Calculate the range of values for a given array
  * @param {Array} values - Array of numeric values
@@ -23,8 +37,28 @@ function calculateRange(values) {
 	return max - min || 1.0;
 }
 
+/**
+ * Variability of a variable across years, relative to its seasonal range
+ * The mean per-day standard deviation across years from the profile envelope, divided by the
+ * range of the mean profile, so variables in different units compare directly
+ * @param {Array} days - Daily weather with an envelope per day
+ * @param {string} variable - Variable name
+ * @returns {number|null} - Relative variability, or null if the envelope lacks the variable
+ */
+function interYearVariability(days, variable) {
+	const stds = days
+		.map((day) => day.envelope && day.envelope[variable])
+		.filter((stats) => stats && stats.years > 1)
+		.map((stats) => stats.std);
+	if (stds.length === 0) return null;
+
+	const meanStd = stds.reduce((sum, v) => sum + v, 0) / stds.length;
+	return meanStd / calculateRange(days.map((day) => day[variable]));
+}
+
 /**
  * Compute k values for each crop based on weather data characteristics
+ * Multi-year profiles are scored on variability across years, single seasons on their range
  * @param {Object} crops - Crop data object with daily weather
  * @param {Object} baseImportance - Base importance values for each variable
  * @param {Object} logs - Logs object for tracking
@@ -48,6 +82,7 @@ function computeCropKValues(crops, baseImportance, logs) {
 
 		const kDict = {};
 		const ranges = {};
+		const variability = {};
 
 		// Calculate ranges for each variable
 		for (const variable in baseImportance) {
@@ -58,11 +93,23 @@ function computeCropKValues(crops, baseImportance, logs) {
 			}
 		}
 
+		// Keep the raw ranges so matching can scale deltas by the profile's spread
+		const rawRanges = { ...ranges };
+
+		// With an envelope, variables that swing from year to year are trusted less
+		const multiYear = crop.daily_weather.some((day) => day.envelope);
+		if (multiYear) {
+			for (const variable in ranges) {
+				const relative = interYearVariability(crop.daily_weather, variable);
+				if (relative !== null) variability[variable] = Math.min(1, relative);
+			}
+		}
+
 		// Normalize ranges to 0-1 scale
 		const maxRange = Math.max(...Object.values(ranges), 1.0);
 
 		for (const variable in ranges) {
-			ranges[variable] = ranges[variable] / maxRange;
+			ranges[variable] = variable in variability ? variability[variable] : ranges[variable] / maxRange;
 		}
 
 		// Calculate k values based on importance and data variability
@@ -77,6 +124,7 @@ function computeCropKValues(crops, baseImportance, logs) {
 					crop: cropName,
 					variable: variable,
 					range: ranges[variable],
+					variability: variable in variability ? "inter-year" : "seasonal-range",
 					importance: baseImportance[variable],
 					variation_factor: variationFactor,
 					k_value: kDict[variable],
@@ -96,8 +144,9 @@ function computeCropKValues(crops, baseImportance, logs) {
 			}
 		}
 
-		// Update crop with k values
+		// Update crop with k values and raw ranges
 		updatedCrops[cropName].k_values = kDict;
+		updatedCrops[cropName].ranges = rawRanges;
 	}
 
 	return {
@@ -106,4 +155,4 @@ function computeCropKValues(crops, baseImportance, logs) {
 	};
 }
 
-module.exports = { computeCropKValues };
+module.exports = { computeCropKValues, calculateRange, DEFAULT_BASE_IMPORTANCE };
@@ -0,0 +1,170 @@
+/**
+ * Supervised k-value fitting module
+ * Fits a crop's k values to labelled historical seasons, so match scores track observed outcomes
+ *
+ * Each labelled season is a daily weather series plus an outcome: a numeric "yield" or a boolean
+ * "success". Yields and successes are not on one scale, so a crop is fitted to one label type only:
+ * yields when it has enough of them, otherwise successes. Seasons are scored against the crop
+ * profile by the matching engine itself, and k values are searched multiplicatively, one variable
+ * at a time, to maximise the correlation between season scores and outcomes. Weights follow from
+ * the k values, as they do in matching.
+ */
+const { matchCropsInProcess, resolveConfig } = require("./crop-matching");
+const { pearson, spearman } = require("./stats");
+
+// Defaults for fitting options
+const DEFAULT_FIT_OPTIONS = {
+	minSeasons: 5,
+	maxIterations: 40,
+	initialStep: 1.0, // log2 of the first multiplicative step (k doubled or halved)
+	minStep: 0.05,
+	kBounds: [0.05, 50],
+	matchingConfig: {},
+};
+
+/**
+ * Numeric outcome of a labelled season for one label type
+ * @param {Object} season - Labelled season
+ * @param {string} outcomeType - "yield" or "success"
+ * @returns {number|null} - Yield, 1/0 for success, or null if the season has no label of that type
+ */
+function seasonOutcome(season, outcomeType) {
+	if (outcomeType === "yield") {
+		return typeof season.yield === "number" && !isNaN(season.yield) ? season.yield : null;
+	}
+	return typeof season.success === "boolean" ? (season.success ? 1 : 0) : null;
+}
+
+/**
+ * Goodness of fit between season scores and outcomes
+ * @param {Array} scores - Match score of each season
+ * @param {Array} outcomes - Outcome of each season
+ * @returns {Object} - Pearson and Spearman correlation, and r squared
+ */
+function fitMetrics(scores, outcomes) {
+	const r = pearson(scores, outcomes);
+	return {
+		pearson_r: Math.round(r * 10000) / 10000,
+		r_squared: Math.round(r * r * 10000) / 10000,
+		spearman_rho: Math.round(spearman(scores, outcomes) * 10000) / 10000,
+	};
+}
+
+/**
+ * Fit k values for one crop to its labelled seasons
+ * @param {string} cropName - Crop name
+ * @param {Object} crop - Calibrated crop with daily_weather and heuristic k_values
+ * @param {Array} seasons - Labelled seasons: { daily_weather, yield } or { daily_weather, success }
+ * @param {Object} options - Fitting options (see DEFAULT_FIT_OPTIONS)
+ * @returns {Object} - Fitted k values, or the heuristic ones with a fallback reason, and fit metrics
+ */
+function fitCropKValues(cropName, crop, seasons, options = {}) {
+	const opts = { ...DEFAULT_FIT_OPTIONS, ...options };
+	const heuristicK = { ...(crop.k_values || {}) };
+	const duration = crop.daily_weather ? crop.daily_weather.length : 0;
+
+	// Seasons need at least a full profile's worth of days, and an outcome of the chosen label type
+	const complete = (Array.isArray(seasons) ? seasons : []).filter(
+		(season) => Array.isArray(season.daily_weather) && season.daily_weather.length >= duration
+	);
+	const labelled = (type) => complete.filter((season) => seasonOutcome(season, type) !== null);
+	const outcomeType = labelled("yield").length >= opts.minSeasons ? "yield" : labelled("success").length > 0 ? "success" : "yield";
+	const usable = labelled(outcomeType);
+	const outcomes = usable.map((season) => seasonOutcome(season, outcomeType));
+	const ignored = complete.length - usable.length;
+
+	const fallback = (reason, extra = {}) => ({
+		k_values: heuristicK,
+		report: { method: "heuristic", reason, outcome: outcomeType, labelled_seasons: usable.length, ignored_seasons: ignored, ...extra },
+	});
+
+	if (duration === 0) return fallback("Crop has no profile to score seasons against");
+	if (usable.length < opts.minSeasons) {
+		return fallback(`Too few labelled seasons: ${usable.length} usable with a ${outcomeType} label, need ${opts.minSeasons}`);
+	}
+	if (outcomes.every((o) => o === outcomes[0])) return fallback("All labelled seasons have the same outcome");
+
+	// Score every season as a single window, without calendar filters or constraints that could drop it
+	let config;
+	try {
+		config = resolveConfig({
+			...opts.matchingConfig,
+			FORECAST_LATITUDE: Array.isArray(crop.coordinates) ? crop.coordinates[0] : null,
+			STEP_SIZE: duration,
+			WORKERS: 1,
+			LOG_DETAIL: "none",
+			SEASONAL_MODE: "off",
+			WINDOW_START_FROM: null,
+			WINDOW_START_TO: null,
+		});
+	} catch (error) {
+		// e.g. latitude-dependent variables for a crop without coordinates
+		return fallback(`Cannot score seasons: ${error.message}`);
+	}
+	const fitCrop = { ...crop, planting_months: undefined, constraints: undefined };
+	const forecasts = usable.map((season) => season.daily_weather.slice(0, duration));
+
+	const scoreSeasons = (kValues) =>
+		forecasts.map((forecast) => {
+			const { results } = matchCropsInProcess({ [cropName]: { ...fitCrop, k_values: kValues } }, forecast, config);
+			return results.length > 0 ? results[0].windows[0].score : 0;
+		});
+
+	const variables = config.REQUIRED_FIELDS;
+	const [minK, maxK] = opts.kBounds;
+	const clampK = (k) => Math.max(minK, Math.min(maxK, k));
+
+	let kValues = { ...heuristicK };
+	variables.forEach((v) => {
+		kValues[v] = clampK(kValues[v] || config.DEFAULT_K);
+	});
+
+	const heuristicScores = scoreSeasons(heuristicK);
+	let bestR = pearson(scoreSeasons(kValues), outcomes);
+	let step = opts.initialStep;
+	let iterations = 0;
+
+	// Pattern search on log2(k): try each variable up and down, halve the step when nothing improves
+	while (step >= opts.minStep && iterations < opts.maxIterations) {
+		iterations++;
+		let improved = false;
+
+		for (const v of variables) {
+			for (const direction of [1, -1]) {
+				const candidate = { ...kValues, [v]: clampK(kValues[v] * Math.pow(2, direction * step)) };
+				if (candidate[v] === kValues[v]) continue;
+
+				const r = pearson(scoreSeasons(candidate), outcomes);
+				if (r > bestR + 1e-9) {
+					bestR = r;
+					kValues = candidate;
+					improved = true;
+					break;
+				}
+			}
+		}
+
+		if (!improved) step /= 2;
+	}
+
+	// Keep the heuristic when the search could not beat it
+	if (pearson(heuristicScores, outcomes) >= bestR) {
+		return fallback("Fitted k values did not improve on the heuristic", { fit: fitMetrics(heuristicScores, outcomes) });
+	}
+
+	return {
+		k_values: kValues,
+		report: {
+			method: "supervised",
+			labelled_seasons: usable.length,
+			// Seasons left out because they carry only the other label type, or none
+			ignored_seasons: ignored,
+			outcome: outcomeType,
+			iterations,
+			fit: fitMetrics(scoreSeasons(kValues), outcomes),
+			heuristic_fit: fitMetrics(heuristicScores, outcomes),
+		},
+	};
+}
+
+module.exports = { fitCropKValues, fitMetrics };
@@ -0,0 +1,10 @@
+/**
+ * K-value sensitivity worker
+ * Runs one sensitivity analysis in a worker thread, so its many rematches do not block the server
+ */
+const { parentPort, workerData } = require("worker_threads");
+const { runSensitivityAnalysis } = require("./k-sensitivity");
+
+const { crops, forecast, matchingConfig, config } = workerData;
+
+parentPort.postMessage(runSensitivityAnalysis(crops, forecast, matchingConfig, config));
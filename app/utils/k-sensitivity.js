@@ -0,0 +1,386 @@
+/**
+ * K-value sensitivity module
+ * Measures how fragile crop and window rankings are to the k values of a calibrated catalogue
+ *
+ * Each crop's k_values, and each variable's BASE_IMPORTANCE, are perturbed within configured
+ * bounds and the catalogue is rematched on a reference forecast. Heuristic k values are
+ * proportional to importance, so perturbing a variable's importance scales that variable's k
+ * in every crop at once.
+ *
+ *   oat   - one at a time: each factor moved to the bottom and top of its bound in turn
+ *   sobol - importance factors sampled jointly; first-order indices estimate each variable's
+ *           share of the variance in crop rank shifts (k_values are still perturbed one at a time)
+ */
+const { matchCropsInProcess, resolveConfig } = require("./crop-matching");
+const { mapCropProfiles } = require("./crop-seasons");
+const { mean } = require("./stats");
+
+// Default configuration
+const DEFAULT_SENSITIVITY_CONFIG = {
+	METHOD: "oat",
+	// What to perturb: each crop's "k_values", and each variable's "importance"
+	PERTURB: ["k_values", "importance"],
+	// Relative bounds, e.g. 0.2 scales k by 0.8-1.2; a number, or { default, <variable>: bound }
+	K_PERTURBATION: 0.2,
+	IMPORTANCE_PERTURBATION: 0.2,
+	// Joint samples and variance bins for the sobol method, and the seed that makes samples repeatable
+	SAMPLES: 64,
+	SOBOL_BINS: 8,
+	SEED: 1,
+	// Best windows per crop whose rank changes are reported
+	TOP_WINDOWS: 5,
+};
+
+const METHODS = ["oat", "sobol"];
+const PERTURB_TARGETS = ["k_values", "importance"];
+
+/**
+ * Round a value to 4 decimal places
+ * @param {number} value - Value to round
+ * @returns {number} - Rounded value
+ */
+function round(value) {
+	return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Check that a perturbation bound is a fraction in [0, 1), or an object of them
+ * @param {number|Object} bound - Bound from config
+ * @param {string} key - Config key, for the error message
+ */
+function assertBound(bound, key) {
+	const valid = (b) => typeof b === "number" && b >= 0 && b < 1;
+	if (typeof bound === "object" && bound !== null && !Array.isArray(bound)) {
+		for (const variable in bound) {
+			if (!valid(bound[variable])) throw new Error(`Invalid ${key}.${variable}: expected a fraction from 0 to below 1`);
+		}
+	} else if (!valid(bound)) {
+		throw new Error(`Invalid ${key}: expected a fraction from 0 to below 1, or an object of them by variable`);
+	}
+}
+
+/**
+ * Merge sensitivity config with defaults and validate it
+ * @param {Object} config - Configuration overrides
+ * @returns {Object} - Merged configuration
+ */
+function resolveSensitivityConfig(config = {}) {
+	const merged = { ...DEFAULT_SENSITIVITY_CONFIG, ...config };
+
+	if (!METHODS.includes(merged.METHOD)) {
+		throw new Error(`Invalid METHOD: expected one of ${METHODS.join(", ")}`);
+	}
+	if (!Array.isArray(merged.PERTURB) || merged.PERTURB.length === 0 || merged.PERTURB.some((t) => !PERTURB_TARGETS.includes(t))) {
+		throw new Error(`Invalid PERTURB: expected a list of ${PERTURB_TARGETS.join(", ")}`);
+	}
+	assertBound(merged.K_PERTURBATION, "K_PERTURBATION");
+	assertBound(merged.IMPORTANCE_PERTURBATION, "IMPORTANCE_PERTURBATION");
+
+	for (const key of ["SAMPLES", "SOBOL_BINS", "TOP_WINDOWS"]) {
+		if (!(Number.isInteger(merged[key]) && merged[key] >= 1)) {
+			throw new Error(`Invalid ${key}: expected an integer >= 1`);
+		}
+	}
+	if (merged.METHOD === "sobol" && merged.SAMPLES < 2 * merged.SOBOL_BINS) {
+		throw new Error("Invalid SAMPLES: expected at least two samples per SOBOL_BINS bin");
+	}
+
+	return merged;
+}
+
+/**
+ * Relative bound of one variable
+ * @param {number|Object} bound - Bound from config
+ * @param {string} variable - Variable name
+ * @returns {number} - Fraction the variable may move by
+ */
+function boundFor(bound, variable) {
+	if (typeof bound === "number") return bound;
+	return bound[variable] ?? bound.default ?? 0;
+}
+
+/**
+ * Seeded uniform random number generator (mulberry32)
+ * @param {number} seed - Seed
+ * @returns {Function} - Generator returning numbers in [0, 1)
+ */
+function createRandom(seed) {
+	let state = seed >>> 0;
+	return () => {
+		state = (state + 0x6d2b79f5) >>> 0;
+		let t = state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+/**
+ * Copy a crop with some of its k values scaled, in every season for crops with named seasons
+ * @param {Object} crop - Crop data
+ * @param {Object} factors - Multiplier per variable
+ * @param {number} defaultK - k used by matching when a crop has none for a variable
+ * @returns {Object} - Crop with scaled k values
+ */
+function scaleCropK(crop, factors, defaultK) {
+	return mapCropProfiles(crop, (profile) => {
+		const kValues = { ...(profile.k_values || {}) };
+		for (const variable in factors) {
+			kValues[variable] = (kValues[variable] || defaultK) * factors[variable];
+		}
+		return { ...profile, k_values: kValues };
+	});
+}
+
+/**
+ * Reduce matching results to what rankings are compared on
+ * @param {Array} results - Crop results with windows sorted best first
+ * @returns {Object} - Crop names best first, best score per crop, and window starts best first per crop
+ */
+function summariseRun(results) {
+	const ranked = results.filter((r) => r.windows.length > 0).sort((a, b) => b.windows[0].score - a.windows[0].score);
+	return {
+		ranking: ranked.map((r) => r.name),
+		scores: Object.fromEntries(ranked.map((r) => [r.name, r.windows[0].score])),
+		windows: Object.fromEntries(ranked.map((r) => [r.name, r.windows.map((w) => w.start)])),
+	};
+}
+
+/**
+ * Compare a perturbed run with the baseline
+ * Crops missing from a run are ranked last; a followed window missing from a run has a null shift
+ * @param {Object} baseline - Summary of the baseline run
+ * @param {Object} run - Summary of the perturbed run
+ * @param {number} topWindows - Baseline windows per crop to follow
+ * @returns {Object} - Per crop: rank shift, best score change, rank shift of each followed window and
+ * the followed windows that were removed
+ */
+function compareRuns(baseline, run, topWindows) {
+	const crops = {};
+
+	baseline.ranking.forEach((cropName, baseRank) => {
+		const rank = run.ranking.indexOf(cropName);
+		const windows = run.windows[cropName] || [];
+		const windowShifts = {};
+		const windowsRemoved = [];
+
+		baseline.windows[cropName].slice(0, topWindows).forEach((start, baseIndex) => {
+			const index = windows.indexOf(start);
+			windowShifts[start] = index === -1 ? null : index - baseIndex;
+			if (index === -1) windowsRemoved.push(start);
+		});
+
+		crops[cropName] = {
+			rank: (rank === -1 ? run.ranking.length : rank) + 1,
+			rank_shift: (rank === -1 ? run.ranking.length : rank) - baseRank,
+			score_change: (run.scores[cropName] ?? 0) - baseline.scores[cropName],
+			top_window_changed: windows[0] !== baseline.windows[cropName][0],
+			window_shifts: windowShifts,
+			windows_removed: windowsRemoved,
+		};
+	});
+
+	return crops;
+}
+
+/**
+ * Mean absolute rank shift and best score change over all crops
+ * @param {Object} comparison - Output of compareRuns
+ * @returns {Object} - mean_rank_shift and mean_score_change
+ */
+function comparisonMagnitude(comparison) {
+	const crops = Object.values(comparison);
+	return {
+		mean_rank_shift: mean(crops.map((c) => Math.abs(c.rank_shift))),
+		mean_score_change: mean(crops.map((c) => Math.abs(c.score_change))),
+	};
+}
+
+/**
+ * First-order sensitivity index of one factor from joint samples
+ * Samples are split into equal-count bins by the factor; the index is the variance of the bin
+ * means of the output over the total variance of the output
+ * @param {Array} factors - Sampled factor values
+ * @param {Array} outputs - Output for each sample
+ * @param {number} bins - Number of bins
+ * @returns {number} - Index in [0, 1]
+ */
+function firstOrderIndex(factors, outputs, bins) {
+	const outputMean = mean(outputs);
+	const total = mean(outputs.map((y) => Math.pow(y - outputMean, 2)));
+	if (total === 0) return 0;
+
+	const order = factors.map((f, i) => [f, outputs[i]]).sort((a, b) => a[0] - b[0]);
+	const binMeans = [];
+	for (let b = 0; b < bins; b++) {
+		const slice = order.slice(Math.floor((b * order.length) / bins), Math.floor(((b + 1) * order.length) / bins));
+		binMeans.push(mean(slice.map(([, y]) => y)));
+	}
+
+	const overall = mean(binMeans);
+	return Math.min(1, mean(binMeans.map((m) => Math.pow(m - overall, 2))) / total);
+}
+
+/**
+ * Run a sensitivity analysis of a catalogue's k values on a reference forecast
+ * @param {Object} crops - Crop catalogue
+ * @param {Array} forecast - Reference daily weather forecast
+ * @param {Object} matchingConfig - Matching configuration overrides
+ * @param {Object} config - Sensitivity configuration overrides
+ * @returns {Object} - Baseline ranking, per-crop rank changes, and variables ranked by influence
+ */
+function runSensitivityAnalysis(crops, forecast, matchingConfig = {}, config = {}) {
+	const opts = resolveSensitivityConfig(config);
+	const CONFIG = resolveConfig({ ...matchingConfig, LOG_DETAIL: "none" });
+	const variables = CONFIG.REQUIRED_FIELDS;
+	const match = (catalogue) => matchCropsInProcess(catalogue, forecast, CONFIG).results;
+
+	const baseResults = match(crops);
+	const baseline = summariseRun(baseResults);
+	if (baseline.ranking.length === 0) {
+		throw new Error("No crop produced a valid window on the reference forecast");
+	}
+
+	let runs = 1;
+	const cropReports = {};
+	baseline.ranking.forEach((cropName, i) => {
+		cropReports[cropName] = {
+			baseline_rank: i + 1,
+			baseline_score: baseline.scores[cropName],
+			min_rank: i + 1,
+			max_rank: i + 1,
+			runs_rank_changed: 0,
+			runs_top_window_changed: 0,
+			window_rank_changes: {},
+			window_removals: {},
+		};
+		if (opts.PERTURB.includes("k_values")) cropReports[cropName].k_sensitivity = {};
+	});
+	const variableReports = Object.fromEntries(variables.map((v) => [v, { variable: v }]));
+
+	// Fold one perturbed run into the per-crop report; removing a followed window counts as a rank change
+	const record = (comparison) => {
+		runs++;
+		for (const cropName in comparison) {
+			const c = comparison[cropName];
+			const report = cropReports[cropName];
+			report.min_rank = Math.min(report.min_rank, c.rank);
+			report.max_rank = Math.max(report.max_rank, c.rank);
+			if (c.rank_shift !== 0 || c.windows_removed.length > 0) report.runs_rank_changed++;
+			if (c.top_window_changed) report.runs_top_window_changed++;
+			for (const start of c.windows_removed) {
+				report.window_removals[start] = (report.window_removals[start] || 0) + 1;
+			}
+			for (const start in c.window_shifts) {
+				if (c.window_shifts[start] === null) continue;
+				const shift = Math.abs(c.window_shifts[start]);
+				if (shift > 0) report.window_rank_changes[start] = Math.max(report.window_rank_changes[start] || 0, shift);
+			}
+		}
+	};
+
+	// Importance: one factor per variable, applied to every crop
+	if (opts.PERTURB.includes("importance")) {
+		const rematch = (factors) => {
+			const catalogue = {};
+			for (const cropName in crops) catalogue[cropName] = scaleCropK(crops[cropName], factors, CONFIG.DEFAULT_K);
+			const comparison = compareRuns(baseline, summariseRun(match(catalogue)), opts.TOP_WINDOWS);
+			record(comparison);
+			return comparison;
+		};
+
+		if (opts.METHOD === "oat") {
+			for (const variable of variables) {
+				const bound = boundFor(opts.IMPORTANCE_PERTURBATION, variable);
+				const magnitudes = [1 - bound, 1 + bound].map((f) => comparisonMagnitude(rematch({ [variable]: f })));
+				variableReports[variable].importance = {
+					bound,
+					mean_rank_shift: round(mean(magnitudes.map((m) => m.mean_rank_shift))),
+					mean_score_change: round(mean(magnitudes.map((m) => m.mean_score_change))),
+				};
+			}
+		} else {
+			const random = createRandom(opts.SEED);
+			const samples = [];
+			const outputs = [];
+			for (let s = 0; s < opts.SAMPLES; s++) {
+				const factors = {};
+				for (const variable of variables) {
+					const bound = boundFor(opts.IMPORTANCE_PERTURBATION, variable);
+					factors[variable] = 1 - bound + 2 * bound * random();
+				}
+				samples.push(factors);
+				outputs.push(comparisonMagnitude(rematch(factors)).mean_rank_shift);
+			}
+			for (const variable of variables) {
+				variableReports[variable].importance = {
+					bound: boundFor(opts.IMPORTANCE_PERTURBATION, variable),
+					first_order_index: round(firstOrderIndex(samples.map((f) => f[variable]), outputs, opts.SOBOL_BINS)),
+				};
+			}
+		}
+	}
+
+	// k values: one crop and variable at a time; only that crop is rematched
+	if (opts.PERTURB.includes("k_values")) {
+		const perVariable = Object.fromEntries(variables.map((v) => [v, []]));
+
+		for (const cropName of baseline.ranking) {
+			for (const variable of variables) {
+				const bound = boundFor(opts.K_PERTURBATION, variable);
+				const comparisons = [1 - bound, 1 + bound].map((f) => {
+					const [result] = match({ [cropName]: scaleCropK(crops[cropName], { [variable]: f }, CONFIG.DEFAULT_K) });
+					const results = baseResults.filter((r) => r.name !== cropName);
+					if (result) results.push(result);
+					const comparison = compareRuns(baseline, summariseRun(results), opts.TOP_WINDOWS);
+					record(comparison);
+					return comparison;
+				});
+
+				const rankShift = Math.max(...comparisons.map((c) => Math.abs(c[cropName].rank_shift)));
+				const scoreChange = Math.max(...comparisons.map((c) => Math.abs(c[cropName].score_change)));
+				cropReports[cropName].k_sensitivity[variable] = { max_rank_shift: rankShift, max_score_change: round(scoreChange) };
+				perVariable[variable].push(...comparisons.map(comparisonMagnitude));
+			}
+		}
+
+		for (const variable of variables) {
+			variableReports[variable].k_values = {
+				bound: boundFor(opts.K_PERTURBATION, variable),
+				mean_rank_shift: round(mean(perVariable[variable].map((m) => m.mean_rank_shift))),
+				mean_score_change: round(mean(perVariable[variable].map((m) => m.mean_score_change))),
+			};
+		}
+	}
+
+	// Influence: the sobol index where sampled, otherwise the mean rank shift, ties broken by score change
+	const influence = (report) => {
+		const parts = [report.importance, report.k_values].filter(Boolean);
+		if (report.importance && report.importance.first_order_index !== undefined) {
+			return [report.importance.first_order_index, report.k_values ? report.k_values.mean_score_change : 0];
+		}
+		return [mean(parts.map((p) => p.mean_rank_shift)), mean(parts.map((p) => p.mean_score_change))];
+	};
+	const rankedVariables = Object.values(variableReports)
+		.map((report) => {
+			const [primary, secondary] = influence(report);
+			return { ...report, influence: round(primary), tie_break: secondary };
+		})
+		.sort((a, b) => b.influence - a.influence || b.tie_break - a.tie_break)
+		.map(({ tie_break, ...report }, i) => ({ rank: i + 1, ...report }));
+
+	return {
+		method: opts.METHOD,
+		perturb: opts.PERTURB,
+		runs,
+		baseline: {
+			ranking: baseline.ranking,
+			top_windows: Object.fromEntries(baseline.ranking.map((name) => [name, baseline.windows[name].slice(0, opts.TOP_WINDOWS)])),
+		},
+		fragile_crops: baseline.ranking.filter((name) => cropReports[name].runs_rank_changed > 0),
+		crops: cropReports,
+		variables: rankedVariables,
+	};
+}
+
+module.exports = { runSensitivityAnalysis, resolveSensitivityConfig };
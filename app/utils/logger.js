@@ -0,0 +1,109 @@
+/**
+ * Logger module
+ * Structured console output for the server and engine, so production can silence or redirect it
+ *
+ * LOG_LEVEL (debug, info, warn, error, silent) sets the threshold and LOG_FORMAT ("text" or "json")
+ * the line format; both are read from the environment, so worker threads inherit them.
+ * configureLogger overrides them, or swaps the sink lines are written to, in the current thread.
+ * The matching config key LOG_DETAIL, which sets what a run records in its logs, is separate.
+ */
+
+// Severity of each level; messages below the threshold are dropped
+const LEVELS = {
+	debug: 10,
+	info: 20,
+	warn: 30,
+	error: 40,
+	silent: 100,
+};
+
+/**
+ * Write a formatted line to stdout, or stderr for warnings and errors
+ * @param {string} level - Message level
+ * @param {string} line - Formatted line
+ */
+function defaultSink(level, line) {
+	const stream = level === "warn" || level === "error" ? process.stderr : process.stdout;
+	stream.write(`${line}\n`);
+}
+
+const settings = {
+	threshold: LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info,
+	format: process.env.LOG_FORMAT === "json" ? "json" : "text",
+	sink: defaultSink,
+};
+
+/**
+ * Override the threshold, format or sink for the current thread
+ * @param {Object} options - level, format ("text" or "json") and sink(level, line, entry)
+ */
+function configureLogger(options = {}) {
+	if (options.level !== undefined) {
+		if (!(options.level in LEVELS)) {
+			throw new Error(`Invalid log level '${options.level}': expected one of ${Object.keys(LEVELS).join(", ")}`);
+		}
+		settings.threshold = LEVELS[options.level];
+	}
+	if (options.format !== undefined) settings.format = options.format === "json" ? "json" : "text";
+	if (options.sink !== undefined) settings.sink = options.sink || defaultSink;
+}
+
+/**
+ * Make fields safe to serialise; errors become their message and stack
+ * @param {Object} fields - Structured fields
+ * @returns {Object} - Serialisable fields
+ */
+function serialiseFields(fields) {
+	const result = {};
+	for (const key in fields) {
+		const value = fields[key];
+		result[key] = value instanceof Error ? { message: value.message, stack: value.stack } : value;
+	}
+	return result;
+}
+
+/**
+ * Format an entry as a single line
+ * @param {Object} entry - Log entry
+ * @returns {string} - Formatted line
+ */
+function formatEntry(entry) {
+	if (settings.format === "json") return JSON.stringify(entry);
+
+	const { time, level, scope, message, ...fields } = entry;
+	const extras = Object.keys(fields).map((key) => {
+		const value = fields[key];
+		if (value && value.stack) return `\n${value.stack}`;
+		return ` ${key}=${typeof value === "object" ? JSON.stringify(value) : value}`;
+	});
+	return `${time} ${level.toUpperCase()} [${scope}] ${message}${extras.join("")}`;
+}
+
+/**
+ * Create a logger for one part of the app
+ * @param {string} scope - Name shown on every line, e.g. "crop-matching"
+ * @returns {Object} - debug, info, warn and error functions taking (message, fields)
+ */
+function createLogger(scope) {
+	const log = (level) => (message, fields = {}) => {
+		if (LEVELS[level] < settings.threshold) return;
+
+		const entry = {
+			time: new Date().toISOString(),
+			level,
+			scope,
+			message,
+			...serialiseFields(fields),
+		};
+		settings.sink(level, formatEntry(entry), entry);
+	};
+
+	return {
+		debug: log("debug"),
+		info: log("info"),
+		warn: log("warn"),
+		error: log("error"),
+	};
+}
+
+module.exports = { createLogger, configureLogger };
@@ -0,0 +1,50 @@
+/**
+ * Match request module
+ * Validates the forecast, ensemble, config, units and catalogue_version of a request that runs crop
+ * matching, so /run-engine and /plan-season reject the same bad input with the same 400
+ */
+const { resolveConfig } = require("./crop-matching");
+const { resolveEnsembleConfig } = require("./ensemble-matching");
+const { loadCatalogueVersion } = require("./crop-catalogue");
+const { convertForecastUnits } = require("./unit-conversion");
+
+/**
+ * Validate a matching request and convert declared units to the units of the crop profiles
+ * @param {Object} body - Request body: forecast or ensemble, units, config and catalogue_version
+ * @returns {Object} - Converted forecast and ensemble, and the crops and id of a pinned catalogue
+ * version (null crops when the request runs against the active catalogue)
+ */
+function resolveMatchRequest(body) {
+	const { units, config = {}, catalogue_version: pinnedVersion } = body;
+	let { forecast, ensemble } = body;
+
+	if (!forecast && !ensemble) {
+		throw new Error("No forecast or ensemble provided");
+	}
+
+	// Validate ensemble members
+	if (ensemble !== undefined) {
+		const memberNames = ensemble && typeof ensemble === "object" ? Object.keys(ensemble) : [];
+		if (memberNames.length === 0 || memberNames.some((name) => !Array.isArray(ensemble[name]))) {
+			throw new Error("ensemble must be an object of named forecast arrays");
+		}
+	}
+
+	resolveConfig(config);
+	if (ensemble) resolveEnsembleConfig(config);
+
+	forecast = convertForecastUnits(forecast, units);
+	if (ensemble) {
+		ensemble = Object.fromEntries(Object.keys(ensemble).map((name) => [name, convertForecastUnits(ensemble[name], units)]));
+	}
+
+	return {
+		forecast,
+		ensemble,
+		config,
+		crops: pinnedVersion !== undefined ? loadCatalogueVersion(pinnedVersion).crops : null,
+		catalogueVersion: pinnedVersion,
+	};
+}
+
+module.exports = { resolveMatchRequest };
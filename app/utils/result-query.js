@@ -0,0 +1,164 @@
+/**
+ * Result query module
+ * Narrows a matching run to the crops and planting dates a client asked for, and trims and
+ * ranks the results it returns
+ *
+ * Crop, variety, region and planting date filters apply before scoring; min_score and the
+ * top-N limits apply afterwards.
+ */
+
+// Defaults for query options; null means no limit
+const DEFAULT_QUERY = {
+	crops: null,
+	varieties: null,
+	regions: null,
+	start_from: null,
+	start_to: null,
+	min_score: null,
+	top_windows: null,
+	top_crops: null,
+	sort_by: "best",
+	page: 1,
+	page_size: null,
+	include_logs: true,
+};
+
+// Crop ranking keys accepted in sort_by
+const SORT_KEYS = ["best", "average"];
+
+/**
+ * Check that an option is a positive integer, or unset
+ * @param {Object} query - Merged query
+ * @param {string} key - Option name
+ */
+function assertPositiveInteger(query, key) {
+	if (query[key] !== null && !(Number.isInteger(query[key]) && query[key] >= 1)) {
+		throw new Error(`Invalid query.${key}: expected an integer >= 1`);
+	}
+}
+
+/**
+ * Merge a client query with defaults and validate it
+ * @param {Object} query - Query options from the request
+ * @returns {Object} - Merged query
+ */
+function resolveQuery(query = {}) {
+	if (typeof query !== "object" || Array.isArray(query)) {
+		throw new Error("Invalid query: expected an object");
+	}
+
+	const resolved = { ...DEFAULT_QUERY, ...query };
+
+	for (const key of ["crops", "varieties", "regions"]) {
+		if (resolved[key] !== null && !Array.isArray(resolved[key])) {
+			throw new Error(`Invalid query.${key}: expected an array of names`);
+		}
+	}
+
+	for (const key of ["start_from", "start_to"]) {
+		if (resolved[key] !== null && isNaN(new Date(resolved[key]))) {
+			throw new Error(`Invalid query.${key}: expected a date`);
+		}
+	}
+
+	if (resolved.start_from !== null && resolved.start_to !== null && new Date(resolved.start_from) > new Date(resolved.start_to)) {
+		throw new Error("Invalid query: start_from is after start_to");
+	}
+
+	if (resolved.min_score !== null && typeof resolved.min_score !== "number") {
+		throw new Error("Invalid query.min_score: expected a number");
+	}
+
+	if (!SORT_KEYS.includes(resolved.sort_by)) {
+		throw new Error(`Invalid query.sort_by: expected one of ${SORT_KEYS.join(", ")}`);
+	}
+
+	["top_windows", "top_crops", "page", "page_size"].forEach((key) => assertPositiveInteger(resolved, key));
+
+	return resolved;
+}
+
+/**
+ * Keep only the catalogue entries a query asks for
+ * @param {Object} crops - Crop catalogue
+ * @param {Object} query - Output of resolveQuery
+ * @returns {Object} - Filtered catalogue
+ */
+function filterCatalogue(crops, query) {
+	const filtered = {};
+
+	for (const cropName in crops) {
+		const crop = crops[cropName];
+		if (query.crops && !query.crops.includes(cropName)) continue;
+		if (query.varieties && !query.varieties.includes(crop.variety)) continue;
+		if (query.regions && !query.regions.includes(crop.region)) continue;
+		filtered[cropName] = crop;
+	}
+
+	return filtered;
+}
+
+/**
+ * Matching config keys that apply a query's planting date range before scoring
+ * @param {Object} query - Output of resolveQuery
+ * @returns {Object} - Config overrides
+ */
+function queryConfig(query) {
+	const config = {};
+	if (query.start_from !== null) config.WINDOW_START_FROM = query.start_from;
+	if (query.start_to !== null) config.WINDOW_START_TO = query.start_to;
+	return config;
+}
+
+/**
+ * Score a crop's windows for ranking
+ * @param {Array} windows - Windows sorted best first
+ * @param {string} sortBy - "best" or "average"
+ * @returns {number} - Ranking score
+ */
+function rankingScore(windows, sortBy) {
+	if (windows.length === 0) return 0;
+	if (sortBy === "average") {
+		return windows.reduce((sum, w) => sum + w.score, 0) / windows.length;
+	}
+	return windows[0].score;
+}
+
+/**
+ * Apply score filters, ranking, top-N limits and pagination to matching results
+ * @param {Array} results - Crop results with windows sorted best first
+ * @param {Object} query - Output of resolveQuery
+ * @returns {Object} - Crop results for the requested page, and pagination details
+ */
+function applyQuery(results, query) {
+	const ranked = results
+		.map((crop) => {
+			let windows = crop.windows;
+			if (query.min_score !== null) windows = windows.filter((w) => w.score >= query.min_score);
+
+			// Rank on the surviving windows before trimming them to the top N
+			const rankScore = rankingScore(windows, query.sort_by);
+			if (query.top_windows !== null) windows = windows.slice(0, query.top_windows);
+
+			return { crop: { ...crop, windows }, rankScore };
+		})
+		.filter(({ crop }) => crop.windows.length > 0)
+		.sort((a, b) => b.rankScore - a.rankScore)
+		.map(({ crop }) => crop);
+
+	const limited = query.top_crops !== null ? ranked.slice(0, query.top_crops) : ranked;
+	const pageSize = query.page_size || limited.length || 1;
+	const offset = (query.page - 1) * pageSize;
+
+	return {
+		results: limited.slice(offset, offset + pageSize),
+		pagination: {
+			page: query.page,
+			page_size: pageSize,
+			total_crops: limited.length,
+			total_pages: Math.max(1, Math.ceil(limited.length / pageSize)),
+		},
+	};
+}
+
+module.exports = { resolveQuery, filterCatalogue, queryConfig, applyQuery };
@@ -0,0 +1,142 @@
+/**
+ * Season Planner
+ * Picks the best non-overlapping sequence of (crop, window) pairs from crop matching results
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Options - will be overridden by client if provided
+const DEFAULT_PLAN_OPTIONS = {
+	// Days the plot must rest between one crop's harvest and the next planting
+	fallow_days: 0,
+	// Windows scoring below this are never planted
+	min_score: 0,
+	// Crops that may not follow each other, e.g. { "Maize": ["Sorghum"] } forbids Sorghum straight after Maize
+	forbidden_successions: {},
+	// Whether the same crop may be planted twice in a row
+	allow_repeat: true,
+};
+
+/**
+ * Merge plan options over the defaults and validate them
+ * @param {Object} planOptions - Client plan options
+ * @returns {Object} - Merged plan options
+ */
+function resolvePlanOptions(planOptions = {}) {
+	if (!planOptions || typeof planOptions !== "object" || Array.isArray(planOptions)) {
+		throw new Error("Invalid plan: expected an object of plan options");
+	}
+	const options = { ...DEFAULT_PLAN_OPTIONS, ...planOptions };
+
+	if (typeof options.fallow_days !== "number" || !(options.fallow_days >= 0)) {
+		throw new Error("Invalid fallow_days: expected a number of days, 0 or more");
+	}
+	if (typeof options.min_score !== "number" || isNaN(options.min_score)) {
+		throw new Error("Invalid min_score: expected a number");
+	}
+	if (typeof options.allow_repeat !== "boolean") {
+		throw new Error("Invalid allow_repeat: expected true or false");
+	}
+
+	const successions = options.forbidden_successions;
+	if (!successions || typeof successions !== "object" || Array.isArray(successions)) {
+		throw new Error('Invalid forbidden_successions: expected an object such as { "Maize": ["Sorghum"] }');
+	}
+	for (const crop in successions) {
+		const next = successions[crop];
+		if (!Array.isArray(next) || !next.every((name) => typeof name === "string")) {
+			throw new Error(`Invalid forbidden_successions for '${crop}': expected a list of crop names`);
+		}
+	}
+
+	return options;
+}
+
+/**
+ * Check whether one crop may be planted straight after another
+ * @param {string} previous - Crop harvested last
+ * @param {string} next - Crop to plant
+ * @param {Object} options - Merged plan options
+ * @returns {boolean} - True if the succession is allowed
+ */
+function canFollow(previous, next, options) {
+	if (!options.allow_repeat && previous === next) return false;
+	const forbidden = options.forbidden_successions[previous] || [];
+	return !forbidden.includes(next);
+}
+
+/**
+ * Plan a season from crop matching results
+ * Solved as weighted interval scheduling, with succession rules checked between consecutive plantings
+ * @param {Array} results - Results from runCropMatching or runEnsembleMatching
+ * @param {Object} planOptions - Optional plan options to override defaults
+ * @returns {Object} - Planned sequence and its total score
+ */
+function planSeason(results, planOptions = {}) {
+	const options = resolvePlanOptions(planOptions);
+
+	// Flatten every usable window into a dated interval
+	const intervals = [];
+	for (const crop of results) {
+		for (const window of crop.windows) {
+			if (window.score < options.min_score) continue;
+
+			const start = Date.parse(`${window.start}T00:00:00Z`);
+			intervals.push({
+				crop: crop.name,
+				variety: crop.variety,
+				season: window.season,
+				start,
+				// Last day the crop occupies the plot; windows of seasonal crops carry their season's duration
+				end: start + ((window.duration_days || crop.duration_days) - 1) * DAY_MS,
+				score: window.score,
+			});
+		}
+	}
+
+	intervals.sort((a, b) => a.end - b.end || a.start - b.start);
+
+	// best[i] is the highest total score of a plan that ends with interval i
+	const best = new Array(intervals.length);
+	const previous = new Array(intervals.length).fill(-1);
+	let bestEnd = -1;
+
+	for (let i = 0; i < intervals.length; i++) {
+		best[i] = intervals[i].score;
+
+		for (let j = 0; j < i; j++) {
+			const gapDays = (intervals[i].start - intervals[j].end) / DAY_MS - 1;
+			if (gapDays < options.fallow_days) continue;
+			if (!canFollow(intervals[j].crop, intervals[i].crop, options)) continue;
+
+			if (best[j] + intervals[i].score > best[i]) {
+				best[i] = best[j] + intervals[i].score;
+				previous[i] = j;
+			}
+		}
+
+		if (bestEnd === -1 || best[i] > best[bestEnd]) bestEnd = i;
+	}
+
+	// Walk back from the best final planting
+	const plan = [];
+	for (let i = bestEnd; i !== -1; i = previous[i]) {
+		const interval = intervals[i];
+		plan.unshift({
+			crop: interval.crop,
+			variety: interval.variety,
+			season: interval.season,
+			start: new Date(interval.start).toISOString().split("T")[0],
+			end: new Date(interval.end).toISOString().split("T")[0],
+			score: interval.score,
+		});
+	}
+
+	return {
+		plan,
+		total_score: bestEnd === -1 ? 0 : Math.round(best[bestEnd] * 10000) / 10000,
+		options,
+	};
+}
+
+module.exports = { planSeason, resolvePlanOptions };
@@ -0,0 +1,43 @@
+/**
+ * Seasonal calendar module
+ * Compares window start dates with a crop's calibrated season on the calendar, ignoring the year
+ */
+
+/**
+ * Day of the year, 1-366
+ * @param {string|Date} date - Date to convert
+ * @returns {number} - Day of the year
+ */
+function dayOfYear(date) {
+	const d = new Date(date);
+	return Math.floor((Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()) - Date.UTC(d.getUTCFullYear(), 0, 1)) / 86400000) + 1;
+}
+
+/**
+ * Days between two dates on the calendar, wrapping around the year end
+ * @param {string|Date} a - First date
+ * @param {string|Date} b - Second date
+ * @returns {number} - Distance in days, 0-183
+ */
+function calendarDistance(a, b) {
+	const diff = Math.abs(dayOfYear(a) - dayOfYear(b));
+	return Math.min(diff, 365 - diff);
+}
+
+/**
+ * Score multiplier for a window starting some days away from the calibrated start
+ * Windows within the tolerance keep their score; beyond it the multiplier falls linearly to 0
+ * over penaltyDays
+ * @param {number} distance - Calendar distance in days
+ * @param {number} toleranceDays - Distance allowed without penalty
+ * @param {number} penaltyDays - Further days over which the multiplier falls to 0
+ * @returns {number} - Multiplier in [0, 1]
+ */
+function seasonalFactor(distance, toleranceDays, penaltyDays) {
+	const excess = Math.max(0, distance - toleranceDays);
+	if (excess === 0) return 1;
+	if (!(penaltyDays > 0)) return 0;
+	return Math.max(0, 1 - excess / penaltyDays);
+}
+
+module.exports = { dayOfYear, calendarDistance, seasonalFactor };
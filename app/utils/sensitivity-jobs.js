@@ -0,0 +1,126 @@
+/**
+ * Sensitivity jobs module
+ * Runs k-value sensitivity analyses in worker threads, so a request returns a job id straight away
+ * and clients poll for the status and result, or cancel the job
+ *
+ * Jobs are held in memory and are lost on restart; finished jobs are kept for JOB_RETENTION_MS.
+ */
+const crypto = require("crypto");
+const path = require("path");
+const { Worker } = require("worker_threads");
+const { createLogger } = require("./logger");
+
+const logger = createLogger("sensitivity-jobs");
+
+// How long finished jobs stay available for polling
+const JOB_RETENTION_MS = 60 * 60 * 1000;
+
+// Job statuses that will not change again
+const FINISHED_STATUSES = ["completed", "failed", "cancelled"];
+
+const jobs = new Map();
+
+/**
+ * Drop finished jobs older than JOB_RETENTION_MS
+ */
+function pruneJobs() {
+	const cutoff = Date.now() - JOB_RETENTION_MS;
+	for (const [id, job] of jobs) {
+		if (FINISHED_STATUSES.includes(job.status) && Date.parse(job.finished_at) < cutoff) {
+			jobs.delete(id);
+		}
+	}
+}
+
+/**
+ * Record how a job ended, unless it has already been cancelled
+ * @param {Object} job - Job to update
+ * @param {string} status - Final status
+ * @param {Object} fields - result or error
+ */
+function finishJob(job, status, fields) {
+	if (FINISHED_STATUSES.includes(job.status)) return;
+
+	Object.assign(job, fields);
+	job.status = status;
+	job.finished_at = new Date().toISOString();
+	job.worker = null;
+	logger.info("Sensitivity job finished", { job: job.id, status });
+}
+
+/**
+ * Start a sensitivity analysis in a worker thread
+ * @param {Object} crops - Catalogue to analyse
+ * @param {Array} forecast - Reference forecast
+ * @param {Object} matchingConfig - Matching config, as for runCropMatching
+ * @param {Object} config - Sensitivity options (see k-sensitivity.js)
+ * @returns {Object} - Status of the new job
+ */
+function startSensitivityJob(crops, forecast, matchingConfig = {}, config = {}) {
+	pruneJobs();
+
+	const job = {
+		id: crypto.randomUUID(),
+		status: "running",
+		crop_count: Object.keys(crops).length,
+		created_at: new Date().toISOString(),
+		finished_at: null,
+		result: null,
+		error: null,
+		worker: new Worker(path.join(__dirname, "k-sensitivity-worker.js"), {
+			workerData: { crops, forecast, matchingConfig, config },
+		}),
+	};
+	jobs.set(job.id, job);
+	logger.info("Sensitivity job started", { job: job.id, crops: job.crop_count });
+
+	job.worker.once("message", (result) => finishJob(job, "completed", { result }));
+	job.worker.once("error", (error) => finishJob(job, "failed", { error: error.message }));
+	job.worker.once("exit", (code) => finishJob(job, "failed", { error: `Sensitivity worker stopped with exit code ${code}` }));
+
+	return jobStatus(job);
+}
+
+/**
+ * Look up a job
+ * @param {string} id - Job id
+ * @returns {Object|null} - Job, or null if unknown or pruned
+ */
+function getJob(id) {
+	pruneJobs();
+	return jobs.get(id) || null;
+}
+
+/**
+ * Summary of a job for polling
+ * @param {Object} job - Job
+ * @returns {Object} - Status, timestamps and any error
+ */
+function jobStatus(job) {
+	const status = {
+		job_id: job.id,
+		status: job.status,
+		crop_count: job.crop_count,
+		created_at: job.created_at,
+		finished_at: job.finished_at,
+	};
+	if (job.error) status.error = job.error;
+
+	return status;
+}
+
+/**
+ * Stop a running job's worker
+ * @param {Object} job - Job
+ * @returns {boolean} - False if the job had already finished
+ */
+function cancelJob(job) {
+	if (FINISHED_STATUSES.includes(job.status)) return false;
+
+	const { worker } = job;
+	finishJob(job, "cancelled", {});
+	worker.terminate();
+	return true;
+}
+
+module.exports = { startSensitivityJob, getJob, jobStatus, cancelJob };
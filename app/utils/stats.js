@@ -0,0 +1,77 @@
+/**
+ * Statistics helpers
+ * Correlation and summary statistics shared by k-value fitting and backtesting
+ */
+
+/**
+ * Arithmetic mean
+ * @param {Array} values - Numeric values
+ * @returns {number} - Mean, or 0 for an empty array
+ */
+function mean(values) {
+	return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+}
+
+/**
+ * Population standard deviation
+ * @param {Array} values - Numeric values
+ * @returns {number} - Standard deviation, or 0 for an empty array
+ */
+function std(values) {
+	const m = mean(values);
+	return Math.sqrt(mean(values.map((v) => Math.pow(v - m, 2))));
+}
+
+/**
+ * Pearson correlation of two equal-length arrays
+ * @param {Array} xs - First values
+ * @param {Array} ys - Second values
+ * @returns {number} - Correlation, or 0 if either array is constant
+ */
+function pearson(xs, ys) {
+	const n = xs.length;
+	const meanX = mean(xs);
+	const meanY = mean(ys);
+
+	let cov = 0;
+	let varX = 0;
+	let varY = 0;
+	for (let i = 0; i < n; i++) {
+		cov += (xs[i] - meanX) * (ys[i] - meanY);
+		varX += Math.pow(xs[i] - meanX, 2);
+		varY += Math.pow(ys[i] - meanY, 2);
+	}
+
+	return varX > 0 && varY > 0 ? cov / Math.sqrt(varX * varY) : 0;
+}
+
+/**
+ * Ranks of values, averaging ties
+ * @param {Array} values - Values to rank
+ * @returns {Array} - Rank of each value
+ */
+function ranks(values) {
+	const order = values.map((v, i) => [v, i]).sort((a, b) => a[0] - b[0]);
+	const result = new Array(values.length);
+
+	for (let i = 0; i < order.length; ) {
+		let j = i;
+		while (j + 1 < order.length && order[j + 1][0] === order[i][0]) j++;
+		for (let t = i; t <= j; t++) result[order[t][1]] = (i + j) / 2;
+		i = j + 1;
+	}
+
+	return result;
+}
+
+/**
+ * Spearman rank correlation of two equal-length arrays
+ * @param {Array} xs - First values
+ * @param {Array} ys - Second values
+ * @returns {number} - Rank correlation
+ */
+function spearman(xs, ys) {
+	return pearson(ranks(xs), ranks(ys));
+}
+
+module.exports = { mean, std, pearson, ranks, spearman };
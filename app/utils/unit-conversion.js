@@ -0,0 +1,134 @@
+/**
+ * Unit conversion module
+ * Converts forecast payloads to the units of the calibrated crop profiles (Open-Meteo units)
+ */
+
+// Conversions to the canonical unit of each dimension; the first alias of each unit is its display name
+const UNITS = {
+	temperature: [
+		{ aliases: ["°C", "C", "celsius", "degC"], toCanonical: (v) => v },
+		{ aliases: ["°F", "F", "fahrenheit", "degF"], toCanonical: (v) => ((v - 32) * 5) / 9 },
+		{ aliases: ["K", "kelvin"], toCanonical: (v) => v - 273.15 },
+	],
+	speed: [
+		{ aliases: ["km/h", "kmh", "kph"], toCanonical: (v) => v },
+		{ aliases: ["m/s", "ms"], toCanonical: (v) => v * 3.6 },
+		{ aliases: ["mph"], toCanonical: (v) => v * 1.609344 },
+		{ aliases: ["kn", "knots", "kt"], toCanonical: (v) => v * 1.852 },
+	],
+	precipitation: [
+		{ aliases: ["mm"], toCanonical: (v) => v },
+		{ aliases: ["cm"], toCanonical: (v) => v * 10 },
+		{ aliases: ["in", "inch", "inches"], toCanonical: (v) => v * 25.4 },
+	],
+	volumetric_moisture: [
+		{ aliases: ["m³/m³", "m3/m3", "fraction"], toCanonical: (v) => v },
+		{ aliases: ["vol%", "%"], toCanonical: (v) => v / 100 },
+	],
+	relative_humidity: [
+		{ aliases: ["%", "percent"], toCanonical: (v) => v },
+		{ aliases: ["fraction"], toCanonical: (v) => v * 100 },
+	],
+};
+
+// Dimension of each forecast variable; profiles hold the canonical (first) unit of the dimension
+const VARIABLE_DIMENSIONS = {
+	temperature_2m_max: "temperature",
+	temperature_2m_min: "temperature",
+	wind_speed_10m_mean: "speed",
+	precipitation_sum: "precipitation",
+	soil_moisture_0_to_10cm_mean: "volumetric_moisture",
+	relative_humidity_2m_mean: "relative_humidity",
+};
+
+// Forecast variables the engine knows, with their units
+const FORECAST_VARIABLES = Object.keys(VARIABLE_DIMENSIONS);
+
+// Named unit sets for known forecast sources
+const SOURCE_PRESETS = {
+	"open-meteo": {},
+	"us-imperial": {
+		temperature_2m_max: "°F",
+		temperature_2m_min: "°F",
+		wind_speed_10m_mean: "mph",
+		precipitation_sum: "in",
+		soil_moisture_0_to_10cm_mean: "vol%",
+	},
+	"wmo-si": {
+		wind_speed_10m_mean: "m/s",
+	},
+};
+
+/**
+ * Look up a unit within a dimension
+ * @param {string} variable - Variable the unit was declared for
+ * @param {string} unit - Declared unit
+ * @returns {Object} - Unit entry with its conversion
+ */
+function findUnit(variable, unit) {
+	const dimension = VARIABLE_DIMENSIONS[variable];
+	if (!dimension) {
+		throw new Error(`Cannot convert units for '${variable}': no known unit for this variable`);
+	}
+
+	const match = UNITS[dimension].find((entry) => entry.aliases.includes(unit));
+	if (match) return match;
+
+	const expected = UNITS[dimension].map((entry) => entry.aliases[0]).join(", ");
+	const otherDimension = Object.keys(UNITS).find((name) => UNITS[name].some((entry) => entry.aliases.includes(unit)));
+
+	if (otherDimension) {
+		throw new Error(`Incompatible unit '${unit}' for '${variable}': expected a ${dimension.replace(/_/g, " ")} unit (${expected})`);
+	}
+	throw new Error(`Unknown unit '${unit}' for '${variable}': expected one of ${expected}`);
+}
+
+/**
+ * Resolve declared units to a per-variable map
+ * @param {string|Object} units - Preset name, or per-variable units with an optional "preset" base
+ * @returns {Object} - Unit declared for each variable
+ */
+function resolveUnits(units) {
+	if (!units) return {};
+
+	const declared = typeof units === "string" ? { preset: units } : { ...units };
+	const presetName = declared.preset;
+	delete declared.preset;
+
+	if (presetName !== undefined && !SOURCE_PRESETS[presetName]) {
+		throw new Error(`Unknown unit preset '${presetName}': expected one of ${Object.keys(SOURCE_PRESETS).join(", ")}`);
+	}
+
+	return { ...(presetName ? SOURCE_PRESETS[presetName] : {}), ...declared };
+}
+
+/**
+ * Convert a forecast to profile units
+ * @param {Array} forecast - Array of daily weather forecast objects
+ * @param {string|Object} units - Preset name, or per-variable units with an optional "preset" base
+ * @returns {Array} - Converted copy of the forecast (the input is returned as-is when no units are declared)
+ */
+function convertForecastUnits(forecast, units) {
+	const declared = resolveUnits(units);
+
+	// Resolve every conversion before touching the data, so bad units fail the whole request
+	const conversions = Object.keys(declared).map((variable) => ({
+		variable,
+		toCanonical: findUnit(variable, declared[variable]).toCanonical,
+	}));
+
+	if (conversions.length === 0 || !Array.isArray(forecast)) return forecast;
+
+	return forecast.map((day) => {
+		const converted = { ...day };
+		for (const { variable, toCanonical } of conversions) {
+			const value = converted[variable];
+			if (value !== null && value !== undefined && !isNaN(value)) {
+				converted[variable] = toCanonical(Number(value));
+			}
+		}
+		return converted;
+	});
+}
+
+module.exports = { convertForecastUnits, SOURCE_PRESETS, FORECAST_VARIABLES };
@@ -0,0 +1,76 @@
+/**
+ * Weather envelope module
+ * Collapses several years of a crop's seasonal weather into per-day statistics
+ */
+
+/**
+ * Linear-interpolated percentile of a sorted array
+ * @param {Array} sorted - Sorted numeric values
+ * @param {number} p - Percentile in [0, 100]
+ * @returns {number} - Percentile value
+ */
+function percentile(sorted, p) {
+	if (sorted.length === 1) return sorted[0];
+
+	const pos = (p / 100) * (sorted.length - 1);
+	const lower = Math.floor(pos);
+	const upper = Math.ceil(pos);
+	return sorted[lower] + (sorted[upper] - sorted[lower]) * (pos - lower);
+}
+
+/**
+ * Summarise one day's values across years
+ * @param {Array} values - Values for the day, one per year
+ * @returns {Object|null} - Mean, standard deviation and percentiles, or null if no valid values
+ */
+function summarise(values) {
+	const valid = values.filter((v) => v !== null && v !== undefined && !isNaN(v)).sort((a, b) => a - b);
+	if (valid.length === 0) return null;
+
+	const mean = valid.reduce((sum, v) => sum + v, 0) / valid.length;
+	const variance = valid.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / valid.length;
+
+	return {
+		mean,
+		std: Math.sqrt(variance),
+		p10: percentile(valid, 10),
+		p50: percentile(valid, 50),
+		p90: percentile(valid, 90),
+		years: valid.length,
+	};
+}
+
+/**
+ * Build a mean daily profile with an envelope of per-day statistics
+ * Years are aligned by day index from the start of the season and truncated to the shortest year
+ * @param {Object} history - Daily weather arrays keyed by year
+ * @param {Array} variables - Variables to summarise
+ * @param {number} referenceYear - Year whose dates label the profile (falls back to the latest year)
+ * @returns {Array|null} - Daily weather with mean values and an envelope entry per day, or null if no history
+ */
+function buildEnvelopeProfile(history, variables, referenceYear) {
+	const years = Object.keys(history).filter((year) => Array.isArray(history[year]) && history[year].length > 0);
+	if (years.length === 0) return null;
+
+	const labelYear = years.includes(String(referenceYear)) ? String(referenceYear) : years[years.length - 1];
+	const length = Math.min(...years.map((year) => history[year].length));
+
+	const profile = [];
+	for (let i = 0; i < length; i++) {
+		const day = { date: history[labelYear][i].date };
+		const envelope = {};
+
+		for (const variable of variables) {
+			const stats = summarise(years.map((year) => history[year][i][variable]));
+			day[variable] = stats ? stats.mean : null;
+			envelope[variable] = stats;
+		}
+
+		day.envelope = envelope;
+		profile.push(day);
+	}
+
+	return profile;
+}
+
+module.exports = { buildEnvelopeProfile, percentile };
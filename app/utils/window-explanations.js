@@ -0,0 +1,116 @@
+/**
+ * Window explanations module
+ * Turns per-day deviations from computeScore into worst stretches and readable limiting factors
+ */
+
+// How to describe a deviation for each variable: [word when too low, word when too high, unit]
+const VARIABLE_DESCRIPTIONS = {
+	temperature_2m_max: ["too cold", "too hot", "°C"],
+	temperature_2m_min: ["too cold", "too warm", "°C"],
+	soil_moisture_0_to_10cm_mean: ["soil too dry", "soil too wet", " m³/m³"],
+	precipitation_sum: ["too dry", "too wet", " mm"],
+	relative_humidity_2m_mean: ["air too dry", "too humid", "%"],
+	wind_speed_10m_mean: ["too calm", "too windy", " km/h"],
+	growing_degree_days: ["too little heat", "too much heat", " °C·d"],
+	et0_hargreaves: ["low evaporative demand", "high evaporative demand", " mm"],
+	vapour_pressure_deficit: ["air too humid", "air too dry", " kPa"],
+	water_balance: ["water deficit", "water surplus", " mm"],
+};
+
+/**
+ * Find the stretches of days that deviate most from the profile
+ * Inputs are parallel arrays over the valid days of a window, filled by the scoring loop
+ * @param {Int32Array} indices - Day index of each valid day
+ * @param {Float64Array} deviations - Forecast minus optimal, in the variable's units
+ * @param {Float64Array} deltas - Scaled deltas used for scoring
+ * @param {number} count - Number of valid days filled in the arrays
+ * @param {number} stretchDays - Length of each stretch
+ * @param {number} maxStretches - Maximum number of non-overlapping stretches to return
+ * @returns {Array} - Worst stretches, worst first
+ */
+function findWorstStretches(indices, deviations, deltas, count, stretchDays, maxStretches) {
+	const length = Math.min(stretchDays, count);
+	if (length === 0) return [];
+
+	// Mean absolute scaled delta for every run of `length` valid days, keyed by the run's first day
+	const severities = new Float64Array(count - length + 1);
+	let sum = 0;
+	for (let i = 0; i < count; i++) {
+		sum += Math.abs(deltas[i]);
+		if (i >= length) sum -= Math.abs(deltas[i - length]);
+		if (i >= length - 1) severities[i - length + 1] = sum / length;
+	}
+
+	// Repeatedly take the most severe run that does not overlap one already taken
+	const stretches = [];
+	while (stretches.length < maxStretches) {
+		let worst = -1;
+		for (let from = 0; from < severities.length; from++) {
+			if (severities[from] === 0 || (worst !== -1 && severities[from] <= severities[worst])) continue;
+			if (stretches.some((s) => from <= s.to && from + length - 1 >= s.from)) continue;
+			worst = from;
+		}
+		if (worst === -1) break;
+		stretches.push({ from: worst, to: worst + length - 1, severity: severities[worst] });
+	}
+
+	return stretches.map(({ from, to, severity }) => {
+		let deviationSum = 0;
+		for (let i = from; i <= to; i++) deviationSum += deviations[i];
+
+		return {
+			start_day: indices[from],
+			end_day: indices[to],
+			avg_deviation: deviationSum / length,
+			severity,
+		};
+	});
+}
+
+/**
+ * Describe a stretch in words, e.g. "too cold during days 10-24 (-3.1°C)"
+ * @param {string} varName - Variable name
+ * @param {Object} stretch - Stretch from findWorstStretches
+ * @returns {string} - Readable description
+ */
+function describeStretch(varName, stretch) {
+	const [lowWord, highWord, unit] = VARIABLE_DESCRIPTIONS[varName] || [`${varName} too low`, `${varName} too high`, ""];
+	const word = stretch.avg_deviation < 0 ? lowWord : highWord;
+	const precision = Math.abs(stretch.avg_deviation) < 1 ? 2 : 1;
+	const sign = stretch.avg_deviation > 0 ? "+" : "";
+
+	return `${word} during days ${stretch.start_day}-${stretch.end_day} (${sign}${stretch.avg_deviation.toFixed(precision)}${unit})`;
+}
+
+// Weighted shortfall below which a variable is taken to match the profile and is not limiting
+const MIN_SHORTFALL = 1e-4;
+
+/**
+ * Rank the variables that pulled a window's score down the most and explain them
+ * Scores are 1 at the profile, so a window matching its profile exactly has no limiting factors
+ * @param {Object} variables - Variable details from computeScore
+ * @param {number} count - Number of limiting variables to report
+ * @returns {Object} - Limiting factors and a combined explanation
+ */
+function explainWindow(variables, count) {
+	const limitingFactors = Object.keys(variables)
+		.map((varName) => ({
+			variable: varName,
+			score: variables[varName].score,
+			// Score the window lost to this variable
+			weighted_shortfall: variables[varName].weight * (1 - variables[varName].score),
+			worst_stretches: variables[varName].worst_stretches || [],
+		}))
+		.filter((factor) => factor.weighted_shortfall > MIN_SHORTFALL)
+		.sort((a, b) => b.weighted_shortfall - a.weighted_shortfall)
+		.slice(0, count);
+
+	const explanation = limitingFactors
+		.filter((factor) => factor.worst_stretches.length > 0)
+		.map((factor) => describeStretch(factor.variable, factor.worst_stretches[0]))
+		.join("; ");
+
+	return { limiting_factors: limitingFactors, explanation };
+}
+
+module.exports = { findWorstStretches, describeStretch, explainWindow };
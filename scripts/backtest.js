@@ -0,0 +1,38 @@
+/**
+ * Backtest command
+ * Usage: npm run backtest -- <input.json> [output-dir]
+ *
+ * The input file holds { "cases": [...], "config": {...} }, as sent to POST /backtest.
+ * Reports are written to output-dir, or to the configured OUTPUT_PATH.
+ */
+const fs = require("fs");
+const path = require("path");
+const { runBacktest } = require("../app/utils/backtest");
+const { loadJson } = require("../app/utils/load-crops");
+const { createLogger } = require("../app/utils/logger");
+
+const logger = createLogger("backtest");
+
+async function main() {
+	const [inputPath, outputDir] = process.argv.slice(2);
+	if (!inputPath) {
+		logger.error("Usage: npm run backtest -- <input.json> [output-dir]");
+		process.exitCode = 1;
+		return;
+	}
+
+	const { cases, config = {} } = JSON.parse(fs.readFileSync(path.resolve(inputPath), "utf8"));
+	if (outputDir) config.OUTPUT_PATH = path.resolve(outputDir);
+
+	const report = await runBacktest(loadJson("crops_k_calibrated"), cases, { ...config, WRITE_FILES: true });
+
+	for (const setName in report.sets) {
+		logger.info("Backtest set", { set: setName, ...report.sets[setName].overall });
+	}
+	logger.info("Backtest complete", report.files);
+}
+
+main().catch((error) => {
+	logger.error("Backtest failed", { error });
+	process.exitCode = 1;
+});
@@ -1,6 +1,8 @@
 const express = require("express")
 const cors = require("cors")
 const path = require("path")
+const { createLogger } = require("./app/utils/logger")
+const { initCatalogue } = require("./app/utils/crop-catalogue")
 
 const app = express();
 
@@ -10,6 +12,7 @@ app.use(express.json({limit: '50mb'}))
 app.use(express.urlencoded({ extended: true, limit: "50mb" }));
 
 const PORT = process.env.PORT || 3000;
+const logger = createLogger("server");
 
 // static content serve
 app.use("/analytics/visualizations", express.static(path.join(__dirname, "analytics/visualizations")));
@@ -20,18 +23,33 @@ const matchRoute = require("./app/routes/match.js");
 const callibrateRoute = require("./app/routes/k_callibrate.js")
 const visualizationsRoute = require("./app/routes/visualizations.js")
 const pingRoute = require("./app/routes/ping.js")
+const planRoute = require("./app/routes/plan.js")
+const backtestRoute = require("./app/routes/backtest.js")
+const sensitivityRoute = require("./app/routes/sensitivity.js")
+const catalogueRoute = require("./app/routes/catalogue.js")
 
 
 // Routes
 app.use("/run-engine", matchRoute);
 app.use("/configure", callibrateRoute)
 app.use("/visualizations", visualizationsRoute)
+app.use("/plan-season", planRoute)
+app.use("/backtest", backtestRoute)
+app.use("/sensitivity", sensitivityRoute)
+app.use("/catalogue", catalogueRoute)
 app.use("/", pingRoute)
 
 
 
 
-// Start server
-app.listen(PORT, () => {
-	console.log(`Server running on port ${PORT}`);
-});
+// Start server once the crop catalogue is initialised, importing an unversioned one as its first version
+initCatalogue()
+	.then(() => {
+		app.listen(PORT, () => {
+			logger.info(`Server running on port ${PORT}`);
+		});
+	})
+	.catch((error) => {
+		logger.error("Error initialising crop catalogue", { error });
+		process.exit(1);
+	});
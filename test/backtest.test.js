@@ -0,0 +1,57 @@
+const { runBacktest, resolveBacktestConfig, validateCases } = require("../app/utils/backtest");
+const backtestRouter = require("../app/routes/backtest");
+const { dailySeries, calibratedCrop, serveRouter } = require("./helpers");
+
+const weather = dailySeries(60, { temperature_2m_max: 20 });
+const cases = [{ name: "station", weather }];
+
+describe("validateCases", () => {
+	test.each([
+		[{ MATCHING_CONFIG: { STEP_SIZE: 1.5 } }, /Invalid MATCHING_CONFIG: Invalid STEP_SIZE/],
+		[{ MATCHING_CONFIG: { SCORING_FUNCTIONS: null } }, /Invalid MATCHING_CONFIG: Invalid SCORING_FUNCTIONS/],
+		[{ MATCHING_CONFIG: { REQUIRED_FIELDS: ["et0_hargreaves"] } }, /Invalid case 'station': Invalid FORECAST_LATITUDE/],
+	])("rejects %j", (config, message) => {
+		expect(() => validateCases(cases, resolveBacktestConfig(config))).toThrow(message);
+	});
+
+	test("takes the latitude from each case", () => {
+		const config = resolveBacktestConfig({ MATCHING_CONFIG: { REQUIRED_FIELDS: ["et0_hargreaves"] } });
+		expect(() => validateCases([{ name: "station", weather, latitude: -0.5 }], config)).not.toThrow();
+	});
+});
+
+describe("resolveBacktestConfig", () => {
+	test("rejects a MATCHING_CONFIG that is not an object", () => {
+		expect(() => resolveBacktestConfig({ MATCHING_CONFIG: "fast" })).toThrow(/Invalid MATCHING_CONFIG/);
+	});
+});
+
+describe("runBacktest", () => {
+	test("scores supplied weather against the crops' calibrated planting months", async () => {
+		const crops = {
+			Test: calibratedCrop(10, { temperature_2m_max: 20 }, { start_date: "2025-01-01" }),
+		};
+		const report = await runBacktest(crops, cases, {
+			MATCHING_CONFIG: { REQUIRED_FIELDS: ["temperature_2m_max"], STEP_SIZE: 10, WORKERS: 1 },
+		});
+		expect(report.cases_failed).toBe(0);
+		expect(report.sets.catalogue.crops.Test).toMatchObject({ cases: 1, hits: 1, hit_rate: 1 });
+	});
+});
+
+describe("POST /backtest", () => {
+	let server;
+	beforeAll(() => {
+		server = serveRouter("/backtest", backtestRouter);
+	});
+	afterAll(() => server.close());
+
+	test("responds 400 to an invalid MATCHING_CONFIG before running", async () => {
+		const { status, body } = await server.request("POST", "/backtest", {
+			cases,
+			config: { MATCHING_CONFIG: { DELTA_MODES: "range" } },
+		});
+		expect(status).toBe(400);
+		expect(body.error).toMatch(/Invalid MATCHING_CONFIG: Invalid DELTA_MODES/);
+	});
+});
@@ -0,0 +1,129 @@
+const os = require("os");
+const path = require("path");
+const { dailySeries } = require("./helpers");
+
+// Canvas rendering and the weather API are replaced, and saving waits until the test releases it
+jest.mock("../app/services/visualization-service", () => ({
+	generateVisualization: async (crops, dir, type, logs, options = {}) => {
+		Object.keys(crops).forEach((crop) => options.onCrop && options.onCrop(crop));
+		return [];
+	},
+}));
+jest.mock("../app/services/weather-service", () => {
+	const actual = jest.requireActual("../app/services/weather-service");
+	return { ...actual, fetchCropWeatherData: jest.fn() };
+});
+jest.mock("../app/utils/crop-catalogue", () => ({
+	loadActiveCatalogue: jest.fn(() => ({})),
+	saveCatalogueVersion: jest.fn(),
+}));
+
+const { fetchCropWeatherData } = require("../app/services/weather-service");
+const { saveCatalogueVersion } = require("../app/utils/crop-catalogue");
+const { startCalibrationJob, getJob, jobStatus, cancelJob } = require("../app/utils/calibration-jobs");
+
+const CONFIG = { VISUALIZATION_PATH: path.join(os.tmpdir(), "calibration-jobs-test"), DERIVED_VARIABLES: [] };
+const crops = {
+	Maize: { coordinates: [1, 35], planting_season_month: 4, duration_days: 20 },
+	Beans: { coordinates: [1, 35], planting_season_month: 4, duration_days: 20 },
+};
+const weather = dailySeries(20, { temperature_2m_max: (i) => 20 + (i % 5), precipitation_sum: (i) => i % 3 }, "2017-03-06");
+
+/**
+ * Wait until a job reaches a condition
+ * @param {Object} job - Job
+ * @param {Function} test - Condition on the job
+ */
+async function waitFor(job, test) {
+	for (let i = 0; i < 200 && !test(job); i++) {
+		await new Promise((resolve) => setTimeout(resolve, 5));
+	}
+	expect(test(job)).toBe(true);
+}
+
+/**
+ * Weather fetch that fails for some crops
+ * @param {Array} failing - Crop names whose fetch fails
+ * @returns {Function} - Replacement for fetchCropWeatherData
+ */
+function fetchWeather(failing = []) {
+	return async (cropsData, params, logs, options = {}) => {
+		for (const crop in cropsData) {
+			if (failing.includes(crop)) {
+				cropsData[crop].daily_weather = null;
+				logs.errors.push({ crop, message: "Error fetching weather data: HTTP 429" });
+			} else {
+				cropsData[crop].daily_weather = weather;
+				logs.crops_processed.push(crop);
+			}
+			if (options.onCrop) options.onCrop(crop);
+		}
+		return cropsData;
+	};
+}
+
+beforeEach(() => {
+	fetchCropWeatherData.mockImplementation(fetchWeather());
+	saveCatalogueVersion.mockReset();
+	saveCatalogueVersion.mockResolvedValue({ version: "v2", diff: {} });
+});
+
+describe("calibration jobs", () => {
+	test("complete with the saved catalogue version", async () => {
+		const job = getJob(startCalibrationJob(crops, CONFIG).job_id);
+		await waitFor(job, (j) => j.status !== "running");
+		expect(jobStatus(job)).toMatchObject({ status: "completed", catalogue_version: "v2" });
+	});
+
+	test("refuse a cancel once saving has started, and report the real outcome", async () => {
+		let releaseSave;
+		saveCatalogueVersion.mockImplementation(
+			() => new Promise((resolve) => (releaseSave = () => resolve({ version: "v3", diff: {} })))
+		);
+
+		const job = getJob(startCalibrationJob(crops, CONFIG).job_id);
+		await waitFor(job, (j) => j.stage === "saving" && releaseSave !== undefined);
+
+		expect(cancelJob(job)).toBe(false);
+		expect(job.status).toBe("running");
+
+		releaseSave();
+		await waitFor(job, (j) => j.status !== "running");
+		expect(jobStatus(job)).toMatchObject({ status: "completed", catalogue_version: "v3" });
+	});
+
+	test("cancel before saving, without saving anything", async () => {
+		fetchCropWeatherData.mockImplementation(async (cropsData, params, logs, options) => {
+			await new Promise((resolve) => setTimeout(resolve, 50));
+			return fetchWeather()(cropsData, params, logs, options);
+		});
+
+		const job = getJob(startCalibrationJob(crops, CONFIG).job_id);
+		await waitFor(job, (j) => j.stage === "weather");
+		expect(cancelJob(job)).toBe(true);
+
+		await waitFor(job, (j) => j.status !== "cancelling");
+		expect(job.status).toBe("cancelled");
+		expect(saveCatalogueVersion).not.toHaveBeenCalled();
+	});
+
+	test("fail without saving when a crop has no profile, listing its errors", async () => {
+		fetchCropWeatherData.mockImplementation(fetchWeather(["Beans"]));
+
+		const job = getJob(startCalibrationJob(crops, CONFIG).job_id);
+		await waitFor(job, (j) => j.status !== "running");
+		expect(job.status).toBe("failed");
+		expect(jobStatus(job).crop_errors).toEqual({ Beans: expect.arrayContaining(["Error fetching weather data: HTTP 429"]) });
+		expect(saveCatalogueVersion).not.toHaveBeenCalled();
+	});
+
+	test("merge the crops that calibrated and finish with errors for the rest", async () => {
+		fetchCropWeatherData.mockImplementation(fetchWeather(["Beans"]));
+
+		const job = getJob(startCalibrationJob(crops, CONFIG, { merge: true }).job_id);
+		await waitFor(job, (j) => j.status !== "running");
+		expect(job.status).toBe("completed_with_errors");
+		expect(Object.keys(saveCatalogueVersion.mock.calls[0][0])).toEqual(["Maize"]);
+		expect(Object.keys(jobStatus(job).crop_errors)).toEqual(["Beans"]);
+	});
+});
@@ -0,0 +1,133 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const catalogue = require("../app/utils/crop-catalogue");
+
+const crop = (k) => ({ duration_days: 10, k_values: { temperature_2m_max: k } });
+
+let dir;
+let activePath;
+
+beforeEach(() => {
+	dir = fs.mkdtempSync(path.join(os.tmpdir(), "catalogue-"));
+	activePath = path.join(dir, "crops_k_calibrated.json");
+	catalogue.configureCatalogue({ path: path.join(dir, "catalogue"), activePath, lockTimeoutMs: 200, lockStaleMs: 60000 });
+});
+
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const readActive = () => JSON.parse(fs.readFileSync(activePath, "utf8"));
+
+describe("reads", () => {
+	test("see no versions before initCatalogue and write nothing", () => {
+		expect(catalogue.listCatalogueVersions()).toEqual({ active: null, versions: [] });
+		expect(catalogue.activeCatalogueVersion()).toBeNull();
+		expect(catalogue.loadActiveCatalogue()).toEqual({});
+		expect(() => catalogue.loadCatalogueVersion("v1")).toThrow(/Unknown catalogue version 'v1'/);
+		expect(fs.readdirSync(dir)).toEqual([]);
+	});
+});
+
+describe("initCatalogue", () => {
+	test("imports an unversioned active catalogue as v1", async () => {
+		fs.writeFileSync(activePath, JSON.stringify({ Maize: crop(2) }));
+		await catalogue.initCatalogue();
+		expect(catalogue.activeCatalogueVersion()).toBe("v1");
+		expect(catalogue.loadCatalogueVersion("v1")).toMatchObject({ source: "imported", crop_count: 1, crops: { Maize: crop(2) } });
+	});
+});
+
+describe("saveCatalogueVersion", () => {
+	test("activates a version only when asked", async () => {
+		await catalogue.saveCatalogueVersion({ Maize: crop(2) }, {}, { activate: true });
+		const saved = await catalogue.saveCatalogueVersion({ Maize: crop(3) });
+		expect(saved.version).toBe("v2");
+		expect(catalogue.activeCatalogueVersion()).toBe("v1");
+		expect(readActive()).toEqual({ Maize: crop(2) });
+	});
+
+	test("merges into the active version", async () => {
+		await catalogue.saveCatalogueVersion({ Maize: crop(2), Beans: crop(2) }, {}, { activate: true });
+		const merged = await catalogue.saveCatalogueVersion({ Beans: crop(4) }, {}, { activate: true, merge: true });
+		expect(merged).toMatchObject({ source: "incremental", calibrated_crops: ["Beans"], crop_count: 2 });
+		expect(readActive()).toEqual({ Maize: crop(2), Beans: crop(4) });
+	});
+
+	test("saves concurrent writers in turn", async () => {
+		const saved = await Promise.all([1, 2, 3].map((k) => catalogue.saveCatalogueVersion({ Maize: crop(k) })));
+		expect(saved.map((meta) => meta.version).sort()).toEqual(["v1", "v2", "v3"]);
+		expect(catalogue.listCatalogueVersions().versions).toHaveLength(3);
+	});
+});
+
+describe("catalogue lock", () => {
+	const lockPath = () => path.join(dir, "catalogue", ".lock");
+
+	test("gives up on a lock held by another writer", async () => {
+		fs.mkdirSync(path.join(dir, "catalogue"));
+		fs.writeFileSync(lockPath(), "{}");
+		await expect(catalogue.saveCatalogueVersion({ Maize: crop(2) })).rejects.toThrow(/Catalogue is locked/);
+		expect(fs.existsSync(lockPath())).toBe(true);
+	});
+
+	test("breaks a stale lock", async () => {
+		catalogue.configureCatalogue({ lockStaleMs: 1000 });
+		fs.mkdirSync(path.join(dir, "catalogue"));
+		fs.writeFileSync(lockPath(), "{}");
+		const past = new Date(Date.now() - 5000);
+		fs.utimesSync(lockPath(), past, past);
+
+		await expect(catalogue.saveCatalogueVersion({ Maize: crop(2) })).resolves.toMatchObject({ version: "v1" });
+		expect(fs.existsSync(lockPath())).toBe(false);
+	});
+});
+
+describe("activation and rollback", () => {
+	test("rollback walks back through the activation history", async () => {
+		for (const k of [1, 2, 3]) await catalogue.saveCatalogueVersion({ Maize: crop(k) }, {}, { activate: true });
+		await catalogue.activateCatalogueVersion("v1");
+
+		await expect(catalogue.rollbackCatalogue()).resolves.toMatchObject({ version: "v3" });
+		expect(readActive()).toEqual({ Maize: crop(3) });
+		await expect(catalogue.rollbackCatalogue()).resolves.toMatchObject({ version: "v2" });
+		await expect(catalogue.rollbackCatalogue()).resolves.toMatchObject({ version: "v1" });
+		await expect(catalogue.rollbackCatalogue()).rejects.toThrow(/No earlier catalogue version/);
+		expect(catalogue.activeCatalogueVersion()).toBe("v1");
+	});
+
+	test("refuses to activate an unknown version", async () => {
+		await catalogue.saveCatalogueVersion({ Maize: crop(2) });
+		await expect(catalogue.activateCatalogueVersion("v9")).rejects.toThrow(/Unknown catalogue version 'v9'/);
+		expect(fs.existsSync(activePath)).toBe(false);
+	});
+});
+
+describe("diffCatalogues", () => {
+	test("reports removed k values and seasons with to: null", () => {
+		const before = {
+			Maize: { k_values: { temperature_2m_max: 2, precipitation_sum: 1 } },
+			Beans: { seasons: { long: { k_values: { temperature_2m_max: 2 } }, short: { k_values: { temperature_2m_max: 3 } } } },
+			Sorghum: crop(2),
+		};
+		const after = {
+			Maize: { k_values: { temperature_2m_max: 3 } },
+			Beans: { seasons: { long: { k_values: { temperature_2m_max: 2 } } } },
+			Teff: crop(2),
+		};
+
+		const diff = catalogue.diffCatalogues(before, after);
+		expect(diff.crops_added).toEqual(["Teff"]);
+		expect(diff.crops_removed).toEqual(["Sorghum"]);
+		expect(diff.crops_changed.Maize.k_values).toEqual({
+			crop: {
+				temperature_2m_max: { from: 2, to: 3, change: 0.5 },
+				precipitation_sum: { from: 1, to: null, change: null },
+			},
+		});
+		expect(diff.crops_changed.Beans.k_values).toEqual({ short: { temperature_2m_max: { from: 3, to: null, change: null } } });
+	});
+
+	test("treats every crop of the first version as added", () => {
+		expect(catalogue.diffCatalogues(null, { Maize: crop(2) })).toMatchObject({ crops_added: ["Maize"], crops_unchanged: 0 });
+	});
+});
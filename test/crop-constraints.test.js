@@ -0,0 +1,67 @@
+const { checkConstraints } = require("../app/utils/crop-constraints");
+const { runCropMatching } = require("../app/utils/crop-matching");
+const { dailySeries, calibratedCrop } = require("./helpers");
+
+describe("checkConstraints", () => {
+	const frost = { type: "min", variable: "temperature_2m_min", value: 2 };
+
+	test("flags days past a min or max limit beyond max_days", () => {
+		const days = dailySeries(5, { temperature_2m_min: (i) => (i < 2 ? 0 : 5) });
+		expect(checkConstraints(days, [frost])).toHaveLength(1);
+		expect(checkConstraints(days, [{ ...frost, max_days: 2 }])).toEqual([]);
+		expect(checkConstraints(days, [{ type: "max", variable: "temperature_2m_min", value: 4, max_days: 2 }])).toHaveLength(1);
+	});
+
+	test("checks only the rule's day range", () => {
+		const days = dailySeries(5, { temperature_2m_min: (i) => (i < 2 ? 0 : 5) });
+		expect(checkConstraints(days, [{ ...frost, start_day: 2 }])).toEqual([]);
+		expect(checkConstraints(days, [{ ...frost, end_day: 0 }])).toHaveLength(1);
+	});
+
+	test("ignores missing values", () => {
+		expect(checkConstraints(dailySeries(3, { temperature_2m_min: null }), [frost])).toEqual([]);
+	});
+
+	test("measures the longest dry spell, which missing days break", () => {
+		const rainfall = [0, 0, 0, null, 0, 0, 5, 0];
+		const days = dailySeries(rainfall.length, { precipitation_sum: (i) => rainfall[i] });
+		expect(checkConstraints(days, [{ type: "max_dry_spell", days: 3 }])).toEqual([]);
+		const [violation] = checkConstraints(days, [{ type: "max_dry_spell", days: 2 }]);
+		expect(violation.message).toMatch(/found 3$/);
+	});
+
+	test("skips rules of unknown type", () => {
+		expect(checkConstraints(dailySeries(3, { temperature_2m_min: 0 }), [{ type: "frost" }])).toEqual([]);
+	});
+});
+
+describe("constraints in matching", () => {
+	const CONFIG = { REQUIRED_FIELDS: ["temperature_2m_max"], STEP_SIZE: 10, IMPUTE_GAPS: false, WORKERS: 1 };
+	const heat = { type: "max", variable: "temperature_2m_max", value: 30 };
+	// The second window is a heatwave
+	const forecast = dailySeries(20, { temperature_2m_max: (i) => (i < 10 ? 20 : 32) });
+	const crops = { Test: calibratedCrop(10, { temperature_2m_max: 20 }, { constraints: [heat] }) };
+	const starts = ({ results }) => results[0].windows.map((w) => w.start);
+
+	test("drops violating windows by default", async () => {
+		const run = await runCropMatching(crops, forecast, CONFIG);
+		expect(starts(run)).toEqual(["2025-01-01"]);
+		expect(run.logs.summary.windows_constraint_dropped).toBe(1);
+	});
+
+	test("caps violating windows with CONSTRAINT_ACTION cap", async () => {
+		const { results } = await runCropMatching(crops, forecast, { ...CONFIG, CONSTRAINT_ACTION: "cap", CONSTRAINT_CAP: 0.1 });
+		const capped = results[0].windows.find((w) => w.start === "2025-01-11");
+		expect(capped.score).toBeLessThanOrEqual(0.1);
+		expect(capped.constraint_violations).toHaveLength(1);
+	});
+
+	test("lets a rule's own action override the config", async () => {
+		const capping = { Test: { ...crops.Test, constraints: [{ ...heat, action: "cap" }] } };
+		expect(starts(await runCropMatching(capping, forecast, CONFIG))).toContain("2025-01-11");
+	});
+
+	test("rejects an unknown CONSTRAINT_ACTION", async () => {
+		await expect(runCropMatching(crops, forecast, { ...CONFIG, CONSTRAINT_ACTION: "warn" })).rejects.toThrow(/Invalid CONSTRAINT_ACTION/);
+	});
+});
@@ -0,0 +1,90 @@
+const { runCropMatching, resolveConfig } = require("../app/utils/crop-matching");
+const { dailySeries, calibratedCrop } = require("./helpers");
+
+const FIELDS = ["temperature_2m_max"];
+
+describe("resolveConfig", () => {
+	test("accepts latitude-dependent variables with a FORECAST_LATITUDE", () => {
+		expect(() => resolveConfig({ REQUIRED_FIELDS: ["et0_hargreaves"], FORECAST_LATITUDE: -0.97 })).not.toThrow();
+		expect(() => resolveConfig({ REQUIRED_FIELDS: ["et0_hargreaves"], FORECAST_LATITUDE: "north" })).toThrow(
+			/Invalid FORECAST_LATITUDE/
+		);
+	});
+
+	test("requires a FORECAST_LATITUDE for latitude-dependent aggregate metrics", () => {
+		const AGGREGATE_METRICS = [{ name: "balance", variable: "water_balance", type: "sum", period_days: 7 }];
+		expect(() => resolveConfig({ AGGREGATE_WEIGHT: 0.5, AGGREGATE_METRICS })).toThrow(/Invalid FORECAST_LATITUDE/);
+		expect(() => resolveConfig({ AGGREGATE_WEIGHT: 0, AGGREGATE_METRICS })).not.toThrow();
+	});
+
+	test("accepts derived variables in REQUIRED_FIELDS", () => {
+		expect(resolveConfig({ REQUIRED_FIELDS: ["temperature_2m_max", "growing_degree_days"] }).REQUIRED_FIELDS).toHaveLength(2);
+	});
+
+	test("merges overrides over the defaults", () => {
+		const config = resolveConfig({ STEP_SIZE: 7 });
+		expect(config.STEP_SIZE).toBe(7);
+		expect(config.SCORING_FUNCTIONS.default.type).toBe("logistic");
+	});
+
+	test.each([
+		["SCORING_FUNCTIONS", null, /Invalid SCORING_FUNCTIONS/],
+		["SCORING_FUNCTIONS", "gaussian", /Invalid SCORING_FUNCTIONS/],
+		["SCORING_FUNCTIONS", [{ type: "linear" }], /Invalid SCORING_FUNCTIONS/],
+		["SCORING_FUNCTIONS", { default: { type: "cubic" } }, /Invalid scoring function for 'default'/],
+		["DELTA_MODES", null, /Invalid DELTA_MODES/],
+		["DELTA_MODES", "range", /Invalid DELTA_MODES/],
+		["DELTA_MODES", { default: "sideways" }, /Invalid delta mode for 'default'/],
+		["DELTA_TOLERANCES", null, /Invalid DELTA_TOLERANCES/],
+		["REQUIRED_FIELDS", "temperature_2m_max", /Invalid REQUIRED_FIELDS/],
+		["REQUIRED_FIELDS", [], /Invalid REQUIRED_FIELDS/],
+		["REQUIRED_FIELDS", ["temperature_2m_max", "temp_max"], /unknown: temp_max/],
+		["REQUIRED_FIELDS", ["temperature_2m_max", "et0_hargreaves"], /FORECAST_LATITUDE.*et0_hargreaves/],
+		["REQUIRED_FIELDS", ["temperature_2m_max", "water_balance"], /FORECAST_LATITUDE.*water_balance/],
+		["STEP_SIZE", 0, /Invalid STEP_SIZE/],
+		["STEP_SIZE", 1.5, /Invalid STEP_SIZE/],
+		["STEP_SIZE", "7", /Invalid STEP_SIZE/],
+		["LOG_DETAIL", "verbose", /Invalid LOG_DETAIL/],
+	])("rejects %s = %j", (key, value, message) => {
+		expect(() => resolveConfig({ [key]: value })).toThrow(message);
+	});
+});
+
+describe("runCropMatching", () => {
+	const crops = { Test: calibratedCrop(10, { temperature_2m_max: 20 }) };
+	const forecast = dailySeries(30, { temperature_2m_max: 21 });
+
+	test("rejects a null SCORING_FUNCTIONS instead of returning no results", async () => {
+		await expect(runCropMatching(crops, forecast, { SCORING_FUNCTIONS: null, WORKERS: 1 })).rejects.toThrow(
+			/Invalid SCORING_FUNCTIONS/
+		);
+	});
+
+	test("rejects a fractional STEP_SIZE before indexing the forecast", async () => {
+		await expect(runCropMatching(crops, forecast, { REQUIRED_FIELDS: FIELDS, STEP_SIZE: 1.5, WORKERS: 1 })).rejects.toThrow(
+			/Invalid STEP_SIZE/
+		);
+	});
+
+	test("scores every window of a valid config", async () => {
+		const { results } = await runCropMatching(crops, forecast, { REQUIRED_FIELDS: FIELDS, STEP_SIZE: 5, WORKERS: 1 });
+		expect(results).toHaveLength(1);
+		expect(results[0].windows.map((window) => window.start).sort()).toEqual([
+			"2025-01-01",
+			"2025-01-06",
+			"2025-01-11",
+			"2025-01-16",
+			"2025-01-21",
+		]);
+	});
+
+	test("returns no logs when LOG_DETAIL is none", async () => {
+		const { logs } = await runCropMatching(crops, forecast, { REQUIRED_FIELDS: FIELDS, LOG_DETAIL: "none", WORKERS: 1 });
+		expect(logs).toBeNull();
+	});
+
+	test("records the LOG_DETAIL it ran with", async () => {
+		const { logs } = await runCropMatching(crops, forecast, { REQUIRED_FIELDS: FIELDS, LOG_DETAIL: "summary", WORKERS: 1 });
+		expect(logs.config.log_detail).toBe("summary");
+	});
+});
@@ -0,0 +1,75 @@
+const { matchCropsInProcess, resolveConfig } = require("../app/utils/crop-matching");
+const { dailySeries, calibratedCrop } = require("./helpers");
+
+// A constant profile of 20 with k = 2, so a window's variable score is 2 / (1 + e^(2·√|d|))
+const OPTIMUM = 20;
+const logistic = (d) => 2 / (1 + Math.exp(2 * Math.sqrt(Math.abs(d))));
+
+// Envelope statistics of the same profile across years
+const envelope = { temperature_2m_max: { mean: OPTIMUM, std: 4, p10: 16, p90: 24 } };
+
+/**
+ * Score of a constant forecast against the constant profile
+ * @param {number} value - Forecast value
+ * @param {Object} config - DELTA_MODES and DELTA_TOLERANCES
+ * @param {Object} extra - Other crop fields
+ * @returns {number} - Unrounded variable score
+ */
+function scoreAt(value, config, extra = {}) {
+	const crops = { Test: calibratedCrop(10, { temperature_2m_max: OPTIMUM }, extra) };
+	const CONFIG = resolveConfig({ REQUIRED_FIELDS: ["temperature_2m_max"], STEP_SIZE: 10, ...config });
+	const { results } = matchCropsInProcess(crops, dailySeries(10, { temperature_2m_max: value }), CONFIG);
+	return results[0].windows[0].variable_details.temperature_2m_max.score;
+}
+
+/**
+ * Crop fields giving every profile day the envelope statistics
+ * @returns {Object} - daily_weather with envelopes
+ */
+function withEnvelope() {
+	return { daily_weather: dailySeries(10, { temperature_2m_max: OPTIMUM, envelope }) };
+}
+
+describe("delta modes", () => {
+	test("relative divides by the optimum", () => {
+		expect(scoreAt(22, {})).toBeCloseTo(logistic(0.1), 6);
+	});
+
+	test("absolute divides by the variable's tolerance", () => {
+		const config = { DELTA_MODES: { default: "absolute" }, DELTA_TOLERANCES: { temperature_2m_max: 4 } };
+		expect(scoreAt(22, config)).toBeCloseTo(logistic(0.5), 6);
+		expect(scoreAt(18, config)).toBeCloseTo(logistic(0.5), 6);
+	});
+
+	test("absolute without a tolerance falls back to the profile range", () => {
+		const config = { DELTA_MODES: { temperature_2m_max: "absolute" } };
+		expect(scoreAt(22, config, { ranges: { temperature_2m_max: 8 } })).toBeCloseTo(logistic(0.25), 6);
+	});
+
+	test("range divides by a fraction of the profile range", () => {
+		const config = { DELTA_MODES: { default: "range" }, DELTA_TOLERANCES: { default: 0.5 } };
+		expect(scoreAt(22, config, { ranges: { temperature_2m_max: 8 } })).toBeCloseTo(logistic(0.5), 6);
+	});
+
+	test("keeps the same score for the same absolute miss near a zero optimum", () => {
+		const config = { DELTA_MODES: { default: "absolute" }, DELTA_TOLERANCES: { default: 4 } };
+		const nearZero = { daily_weather: dailySeries(10, { temperature_2m_max: 0.1 }) };
+		expect(scoreAt(2.1, config, nearZero)).toBeCloseTo(scoreAt(OPTIMUM + 2, config), 6);
+	});
+
+	test("envelope takes a z-score against the per-day mean and standard deviation", () => {
+		expect(scoreAt(22, { DELTA_MODES: { default: "envelope" } }, withEnvelope())).toBeCloseTo(logistic(0.5), 6);
+	});
+
+	test("percentile scores 1 inside the p10-p90 band and scales by its width outside", () => {
+		const config = { DELTA_MODES: { default: "percentile" } };
+		expect(scoreAt(23, config, withEnvelope())).toBeCloseTo(1, 6);
+		expect(scoreAt(28, config, withEnvelope())).toBeCloseTo(logistic(0.5), 6);
+		expect(scoreAt(12, config, withEnvelope())).toBeCloseTo(logistic(0.5), 6);
+	});
+
+	test("envelope falls back to the range for profiles without envelope statistics", () => {
+		const config = { DELTA_MODES: { default: "envelope" } };
+		expect(scoreAt(22, config, { ranges: { temperature_2m_max: 8 } })).toBeCloseTo(logistic(0.25), 6);
+	});
+});
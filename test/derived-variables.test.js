@@ -0,0 +1,47 @@
+const { addDerivedVariables, missingDerivedVariables, requiresLatitude } = require("../app/utils/derived-variables");
+const { dailySeries } = require("./helpers");
+
+const days = dailySeries(3, { temperature_2m_max: 30, temperature_2m_min: 14, precipitation_sum: 2, relative_humidity_2m_mean: 100 });
+
+describe("addDerivedVariables", () => {
+	test("computes growing degree days above the base temperature", () => {
+		const [day] = addDerivedVariables(days, ["growing_degree_days"], { gddBaseTemperature: 12 });
+		expect(day.growing_degree_days).toBe(10);
+		expect(addDerivedVariables(days, ["growing_degree_days"], { gddBaseTemperature: 25 })[0].growing_degree_days).toBe(0);
+	});
+
+	test("needs a latitude for ET0 and the water balance", () => {
+		const [day] = addDerivedVariables(days, ["et0_hargreaves", "water_balance"]);
+		expect(day.et0_hargreaves).toBeNull();
+		expect(day.water_balance).toBeNull();
+		expect(requiresLatitude(["growing_degree_days", "et0_hargreaves"])).toBe(true);
+		expect(requiresLatitude(["growing_degree_days"])).toBe(false);
+	});
+
+	test("sums precipitation minus ET0 over the trailing days", () => {
+		const derived = addDerivedVariables(days, ["et0_hargreaves", "water_balance"], { latitude: -1, waterBalanceDays: 2 });
+		const net = derived.map((day) => 2 - day.et0_hargreaves);
+		expect(derived[0].et0_hargreaves).toBeGreaterThan(0);
+		expect(derived[0].water_balance).toBeCloseTo(net[0], 6);
+		expect(derived[2].water_balance).toBeCloseTo(net[1] + net[2], 6);
+	});
+
+	test("has no vapour pressure deficit in saturated air", () => {
+		const saturated = dailySeries(1, { temperature_2m_max: 20, temperature_2m_min: 20, relative_humidity_2m_mean: 100 });
+		expect(addDerivedVariables(saturated, ["vapour_pressure_deficit"])[0].vapour_pressure_deficit).toBeCloseTo(0, 6);
+	});
+
+	test("leaves values it cannot compute null", () => {
+		const [day] = addDerivedVariables(dailySeries(1, { temperature_2m_max: 30 }), ["growing_degree_days"]);
+		expect(day.growing_degree_days).toBeNull();
+	});
+});
+
+describe("missingDerivedVariables", () => {
+	test("lists derived variables the series does not carry yet", () => {
+		const withGdd = addDerivedVariables(days, ["growing_degree_days"]);
+		expect(missingDerivedVariables(withGdd, ["temperature_2m_max", "growing_degree_days", "vapour_pressure_deficit"])).toEqual([
+			"vapour_pressure_deficit",
+		]);
+	});
+});
@@ -0,0 +1,62 @@
+const { alignSeries } = require("../app/utils/dtw-alignment");
+const { runCropMatching } = require("../app/utils/crop-matching");
+const { dailySeries, calibratedCrop } = require("./helpers");
+
+// A warm spell on days 3-5 of the profile, and the same spell two days later in the forecast
+const profile = (i) => (i >= 3 && i <= 5 ? 30 : 20);
+const late = (i) => profile(i - 2);
+
+describe("alignSeries", () => {
+	const lateCost = (i, j) => Math.abs(late(i) - profile(j));
+
+	test("pairs day i with day i when the band is 0", () => {
+		expect(alignSeries(5, 0, lateCost)).toEqual([0, 1, 2, 3, 4].map((i) => [i, i]));
+	});
+
+	test("follows a shifted series without leaving the band", () => {
+		const path = alignSeries(12, 3, lateCost);
+		expect(path[0]).toEqual([0, 0]);
+		expect(path[path.length - 1]).toEqual([11, 11]);
+		expect(path.every(([i, j]) => Math.abs(i - j) <= 3)).toBe(true);
+		expect(path.reduce((total, [i, j]) => total + lateCost(i, j), 0)).toBe(0);
+		expect(path).toContainEqual([5, 3]);
+	});
+
+	test("stays within a band narrower than the shift", () => {
+		expect(alignSeries(12, 1, lateCost).every(([i, j]) => Math.abs(i - j) <= 1)).toBe(true);
+	});
+});
+
+describe("DTW alignment in matching", () => {
+	const CONFIG = { REQUIRED_FIELDS: ["temperature_2m_max"], STEP_SIZE: 12, IMPUTE_GAPS: false, WORKERS: 1 };
+	const crops = { Test: calibratedCrop(12, { temperature_2m_max: profile }) };
+	const forecast = dailySeries(12, { temperature_2m_max: late });
+	const bestWindow = async (config) => (await runCropMatching(crops, forecast, { ...CONFIG, ...config })).results[0].windows[0];
+
+	test("scores a late warm spell higher than strict alignment does", async () => {
+		const strict = await bestWindow({});
+		const dtw = await bestWindow({ ALIGNMENT: "dtw", DTW_BAND_DAYS: 3 });
+		expect(dtw.score).toBeGreaterThan(strict.score);
+		expect(dtw.alignment.max_shift_days).toBe(2);
+		expect(dtw.alignment.path).toBeUndefined();
+	});
+
+	test("matches strict alignment when the band is 0", async () => {
+		const strict = await bestWindow({});
+		const dtw = await bestWindow({ ALIGNMENT: "dtw", DTW_BAND_DAYS: 0 });
+		expect(dtw.score).toBe(strict.score);
+		expect(dtw.alignment).toEqual({ average_shift_days: 0, max_shift_days: 0 });
+	});
+
+	test("returns the path with DTW_INCLUDE_PATH", async () => {
+		const dtw = await bestWindow({ ALIGNMENT: "dtw", DTW_BAND_DAYS: 3, DTW_INCLUDE_PATH: true });
+		expect(dtw.alignment.path.every(([i, j]) => Math.abs(i - j) <= 3)).toBe(true);
+	});
+
+	test.each([
+		[{ ALIGNMENT: "elastic" }, /Invalid ALIGNMENT/],
+		[{ ALIGNMENT: "dtw", DTW_BAND_DAYS: -1 }, /Invalid DTW_BAND_DAYS/],
+	])("rejects %j", async (config, message) => {
+		await expect(runCropMatching(crops, forecast, { ...CONFIG, ...config })).rejects.toThrow(message);
+	});
+});
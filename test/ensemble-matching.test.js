@@ -0,0 +1,53 @@
+const { runEnsembleMatching, resolveEnsembleConfig } = require("../app/utils/ensemble-matching");
+const { dailySeries, calibratedCrop } = require("./helpers");
+
+const CONFIG = { REQUIRED_FIELDS: ["temperature_2m_max"], STEP_SIZE: 10, IMPUTE_GAPS: false, WORKERS: 1 };
+const crops = { Test: calibratedCrop(10, { temperature_2m_max: 20 }) };
+
+// A member matching the profile exactly, and one with no data, so it scores no window
+const perfect = dailySeries(10, { temperature_2m_max: 20 });
+const empty = dailySeries(10, { temperature_2m_max: null });
+
+describe("runEnsembleMatching", () => {
+	test("summarises a window every member scored", async () => {
+		const { results } = await runEnsembleMatching(crops, { a: perfect, b: perfect }, CONFIG);
+		const [window] = results[0].windows;
+		expect(window.mean_score).toBe(1);
+		expect(window.score_std).toBe(0);
+		expect(window.prob_above_threshold).toBe(1);
+		expect(window.member_coverage).toBe(1);
+		expect(window.members_scored).toBe(2);
+	});
+
+	test("counts members that did not score a window as 0 in every statistic", async () => {
+		const { results } = await runEnsembleMatching(crops, { a: perfect, b: empty, c: empty, d: empty }, CONFIG);
+		const [window] = results[0].windows;
+		expect(window.members_scored).toBe(1);
+		expect(window.member_coverage).toBe(0.25);
+		expect(window.mean_score).toBe(0.25);
+		expect(window.score).toBe(0.25);
+		expect(window.score_std).toBeCloseTo(Math.sqrt(3) / 4, 4);
+		expect(window.percentiles.p50).toBe(0);
+		expect(window.percentiles.p90).toBeCloseTo(0.7, 4);
+		expect(window.prob_above_threshold).toBe(0.25);
+		expect(window.median_member).toBe("a");
+	});
+
+	test("ranks by the risk-adjusted score when asked", async () => {
+		const { results } = await runEnsembleMatching(crops, { a: perfect, b: empty }, { ...CONFIG, RANK_BY: "risk_adjusted" });
+		const [window] = results[0].windows;
+		expect(window.score).toBe(window.risk_adjusted_score);
+		// mean 0.5 minus one standard deviation of 0.5
+		expect(window.risk_adjusted_score).toBeCloseTo(0, 4);
+	});
+});
+
+describe("resolveEnsembleConfig", () => {
+	test.each([
+		[{ RANK_BY: "median" }, /Invalid RANK_BY/],
+		[{ ENSEMBLE_THRESHOLD: "high" }, /Invalid ENSEMBLE_THRESHOLD/],
+		[{ RISK_AVERSION: NaN }, /Invalid RISK_AVERSION/],
+	])("rejects %j", (config, message) => {
+		expect(() => resolveEnsembleConfig(config)).toThrow(message);
+	});
+});
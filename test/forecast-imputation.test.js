@@ -0,0 +1,51 @@
+const { imputeSeries, IMPUTE_NONE, IMPUTE_LINEAR, IMPUTE_CLIMATOLOGY } = require("../app/utils/forecast-imputation");
+const { runCropMatching } = require("../app/utils/crop-matching");
+const { dailySeries, calibratedCrop } = require("./helpers");
+
+describe("imputeSeries", () => {
+	test("interpolates short interior gaps linearly", () => {
+		const { values, methods } = imputeSeries(Float64Array.from([10, NaN, NaN, 16]), 3, 10);
+		expect(Array.from(values)).toEqual([10, 12, 14, 16]);
+		expect(Array.from(methods)).toEqual([IMPUTE_NONE, IMPUTE_LINEAR, IMPUTE_LINEAR, IMPUTE_NONE]);
+	});
+
+	test("marks longer gaps and gaps at either end for climatology fill", () => {
+		const { values, methods } = imputeSeries(Float64Array.from([NaN, 1, NaN, NaN, NaN, 5]), 2, 10);
+		expect(Array.from(methods)).toEqual([IMPUTE_CLIMATOLOGY, IMPUTE_NONE, IMPUTE_CLIMATOLOGY, IMPUTE_CLIMATOLOGY, IMPUTE_CLIMATOLOGY, IMPUTE_NONE]);
+		expect(Number.isNaN(values[2])).toBe(true);
+	});
+
+	test("leaves gaps longer than the cap missing", () => {
+		const { methods } = imputeSeries(Float64Array.from([1, NaN, NaN, NaN, 5]), 2, 2);
+		expect(Array.from(methods)).toEqual([IMPUTE_NONE, IMPUTE_NONE, IMPUTE_NONE, IMPUTE_NONE, IMPUTE_NONE]);
+	});
+});
+
+describe("imputation in matching", () => {
+	const CONFIG = { REQUIRED_FIELDS: ["temperature_2m_max"], STEP_SIZE: 10, WORKERS: 1 };
+	const crops = { Test: calibratedCrop(10, { temperature_2m_max: 20 }) };
+	// A two-day gap between two days that match the profile
+	const forecast = dailySeries(10, { temperature_2m_max: (i) => (i === 4 || i === 5 ? null : 20) });
+
+	test("scores a window with a gap once the gap is filled", async () => {
+		const { results, logs } = await runCropMatching(crops, forecast, CONFIG);
+		expect(results[0].windows).toHaveLength(1);
+		expect(results[0].windows[0].score).toBe(1);
+		expect(logs.summary.windows_imputed).toBe(1);
+	});
+
+	test("fills gaps from the crop profile when they are too long to interpolate", async () => {
+		// The profile runs hotter over the gap, so only a climatology fill matches it there
+		const hotMiddle = { Test: calibratedCrop(10, { temperature_2m_max: (i) => (i === 4 || i === 5 ? 30 : 20) }) };
+		const interpolated = (await runCropMatching(hotMiddle, forecast, CONFIG)).results[0].windows[0];
+		const climatology = (await runCropMatching(hotMiddle, forecast, { ...CONFIG, IMPUTE_MAX_INTERPOLATION_DAYS: 1 })).results[0].windows[0];
+		expect(interpolated.score).toBeLessThan(1);
+		expect(climatology.score).toBe(1);
+	});
+
+	test("rejects a window with gaps when IMPUTE_GAPS is off", async () => {
+		const { results, logs } = await runCropMatching(crops, forecast, { ...CONFIG, IMPUTE_GAPS: false });
+		expect(results).toEqual([]);
+		expect(logs.summary.windows_imputed).toBe(0);
+	});
+});
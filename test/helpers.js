@@ -0,0 +1,70 @@
+/**
+ * Test helpers
+ * Builds small daily weather series, so tests state only the values they care about
+ */
+
+/**
+ * Daily weather series starting on a date
+ * @param {number} length - Number of days
+ * @param {Object} values - Value per variable: a number for every day, or a function of the day index
+ * @param {string} start - First date, YYYY-MM-DD
+ * @returns {Array} - Daily weather objects
+ */
+function dailySeries(length, values, start = "2025-01-01") {
+	const first = new Date(`${start}T00:00:00Z`);
+	return Array.from({ length }, (_, i) => {
+		const date = new Date(first);
+		date.setUTCDate(date.getUTCDate() + i);
+		const day = { date: date.toISOString().split("T")[0] };
+		for (const variable in values) {
+			const value = values[variable];
+			day[variable] = typeof value === "function" ? value(i) : value;
+		}
+		return day;
+	});
+}
+
+/**
+ * Calibrated crop with a daily profile and k values
+ * @param {number} length - Profile length in days
+ * @param {Object} values - Profile value per variable, as for dailySeries
+ * @param {Object} extra - Other crop fields
+ * @returns {Object} - Crop
+ */
+function calibratedCrop(length, values, extra = {}) {
+	return {
+		daily_weather: dailySeries(length, values),
+		k_values: Object.fromEntries(Object.keys(values).map((variable) => [variable, 2])),
+		...extra,
+	};
+}
+
+/**
+ * Serve a router on a free port for the duration of a test file
+ * @param {string} mountPath - Path the router is mounted at
+ * @param {Object} router - Express router
+ * @returns {Object} - request(method, url, body) resolving to { status, body }, and close()
+ */
+function serveRouter(mountPath, router) {
+	const express = require("express");
+	const app = express();
+	app.use(express.json({ limit: "50mb" }));
+	app.use(mountPath, router);
+
+	const server = app.listen(0);
+	const base = () => `http://127.0.0.1:${server.address().port}`;
+
+	return {
+		async request(method, url, body) {
+			const response = await fetch(base() + url, {
+				method,
+				headers: { "content-type": "application/json" },
+				body: body === undefined ? undefined : JSON.stringify(body),
+			});
+			return { status: response.status, body: await response.json() };
+		},
+		close: () => new Promise((resolve) => server.close(resolve)),
+	};
+}
+
+module.exports = { dailySeries, calibratedCrop, serveRouter };
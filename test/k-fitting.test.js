@@ -0,0 +1,80 @@
+const { fitCropKValues } = require("../app/utils/k-fitting");
+const { dailySeries, calibratedCrop } = require("./helpers");
+
+const FIELDS = ["temperature_2m_max", "precipitation_sum"];
+const options = { matchingConfig: { REQUIRED_FIELDS: FIELDS, IMPUTE_GAPS: false } };
+const crop = calibratedCrop(10, { temperature_2m_max: 25, precipitation_sum: 5 });
+
+/**
+ * Labelled season with constant weather
+ * @param {number} temperature - Daily maximum temperature
+ * @param {number} precipitation - Daily precipitation
+ * @param {Object} label - { yield } or { success }
+ * @returns {Object} - Season
+ */
+function season(temperature, precipitation, label) {
+	return { daily_weather: dailySeries(10, { temperature_2m_max: temperature, precipitation_sum: precipitation }), ...label };
+}
+
+// Yield falls as temperature misses the profile; rainfall misses it most in the best seasons, so
+// weighting rainfall as heavily as temperature hides the relationship
+const seasons = [
+	season(25, 1, { yield: 5 }),
+	season(26, 2, { yield: 4.5 }),
+	season(28, 3, { yield: 3.5 }),
+	season(30, 4, { yield: 2.5 }),
+	season(33, 5, { yield: 1.5 }),
+	season(36, 5, { yield: 1 }),
+];
+
+describe("fitCropKValues", () => {
+	test("fits k values that track outcomes better than the heuristic", () => {
+		const { k_values, report } = fitCropKValues("Test", crop, seasons, options);
+		expect(report.method).toBe("supervised");
+		expect(report.outcome).toBe("yield");
+		expect(report.labelled_seasons).toBe(6);
+		expect(report.fit.pearson_r).toBeGreaterThan(report.heuristic_fit.pearson_r);
+		expect(k_values.temperature_2m_max / k_values.precipitation_sum).toBeGreaterThan(1);
+	});
+
+	test("keeps k values within kBounds", () => {
+		const { k_values } = fitCropKValues("Test", crop, seasons, { ...options, kBounds: [1, 3] });
+		for (const variable of FIELDS) {
+			expect(k_values[variable]).toBeGreaterThanOrEqual(1);
+			expect(k_values[variable]).toBeLessThanOrEqual(3);
+		}
+	});
+
+	test("falls back to the heuristic with too few labelled seasons", () => {
+		const { k_values, report } = fitCropKValues("Test", crop, seasons.slice(0, 3), options);
+		expect(k_values).toEqual(crop.k_values);
+		expect(report).toMatchObject({ method: "heuristic", labelled_seasons: 3 });
+		expect(report.reason).toMatch(/Too few labelled seasons: 3 usable with a yield label, need 5/);
+	});
+
+	test("falls back when every season has the same outcome", () => {
+		const same = seasons.map((s) => ({ ...s, yield: 3 }));
+		expect(fitCropKValues("Test", crop, same, options).report.reason).toMatch(/same outcome/);
+	});
+
+	test("fits to successes when there are too few yields, ignoring seasons without one", () => {
+		const successes = seasons.map(({ yield: y, ...s }) => ({ ...s, success: y >= 3 }));
+		const { report } = fitCropKValues("Test", crop, [...successes, season(25, 1, { yield: 5 })], options);
+		expect(report.outcome).toBe("success");
+		expect(report.labelled_seasons).toBe(6);
+		expect(report.ignored_seasons).toBe(1);
+	});
+
+	test("ignores seasons shorter than the profile", () => {
+		const short = { daily_weather: dailySeries(5, { temperature_2m_max: 25, precipitation_sum: 1 }), yield: 5 };
+		const { report } = fitCropKValues("Test", crop, [short, ...seasons.slice(0, 4)], options);
+		expect(report.reason).toMatch(/4 usable/);
+	});
+
+	test("falls back when the seasons cannot be scored", () => {
+		const latitude = { matchingConfig: { REQUIRED_FIELDS: ["et0_hargreaves"] } };
+		const { report } = fitCropKValues("Test", crop, seasons, latitude);
+		expect(report.method).toBe("heuristic");
+		expect(report.reason).toMatch(/Cannot score seasons: Invalid FORECAST_LATITUDE/);
+	});
+});
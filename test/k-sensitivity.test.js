@@ -0,0 +1,62 @@
+const actual = jest.requireActual("../app/utils/crop-matching");
+jest.mock("../app/utils/crop-matching", () => {
+	const matching = jest.requireActual("../app/utils/crop-matching");
+	return { ...matching, matchCropsInProcess: jest.fn(matching.matchCropsInProcess) };
+});
+
+const { matchCropsInProcess } = require("../app/utils/crop-matching");
+const { runSensitivityAnalysis, resolveSensitivityConfig } = require("../app/utils/k-sensitivity");
+const { dailySeries, calibratedCrop } = require("./helpers");
+
+const MATCHING = { REQUIRED_FIELDS: ["temperature_2m_max"], STEP_SIZE: 5, IMPUTE_GAPS: false };
+const forecast = dailySeries(30, { temperature_2m_max: (i) => 15 + i / 2 });
+
+afterEach(() => matchCropsInProcess.mockImplementation(actual.matchCropsInProcess));
+
+describe("resolveSensitivityConfig", () => {
+	test.each([
+		["METHOD", "morris", /Invalid METHOD/],
+		["PERTURB", [], /Invalid PERTURB/],
+		["K_PERTURBATION", 1, /Invalid K_PERTURBATION/],
+		["IMPORTANCE_PERTURBATION", { temperature_2m_max: -0.1 }, /Invalid IMPORTANCE_PERTURBATION.temperature_2m_max/],
+		["TOP_WINDOWS", 2.5, /Invalid TOP_WINDOWS/],
+	])("rejects %s = %j", (key, value, message) => {
+		expect(() => resolveSensitivityConfig({ [key]: value })).toThrow(message);
+	});
+});
+
+describe("runSensitivityAnalysis", () => {
+	test("reports no rank changes when no bound moves anything", () => {
+		const crops = { Cool: calibratedCrop(10, { temperature_2m_max: 16 }), Warm: calibratedCrop(10, { temperature_2m_max: 26 }) };
+		const report = runSensitivityAnalysis(crops, forecast, MATCHING, { K_PERTURBATION: 0, IMPORTANCE_PERTURBATION: 0 });
+		// The baseline, two importance runs, and two k runs per crop
+		expect(report.runs).toBe(7);
+		expect(report.fragile_crops).toEqual([]);
+		expect(report.crops.Cool.window_rank_changes).toEqual({});
+		expect(report.crops.Cool.window_removals).toEqual({});
+	});
+
+	test("marks a followed window that a perturbed run drops as removed and counts the run as a rank change", () => {
+		const window = (start, score) => ({ start, score });
+		// The baseline k keeps every window; any perturbed k loses the second best
+		matchCropsInProcess.mockImplementation((catalogue) => ({
+			results: Object.entries(catalogue).map(([name, crop]) => ({
+				name,
+				windows:
+					crop.k_values.temperature_2m_max === 2
+						? [window("2025-01-01", 0.9), window("2025-01-06", 0.8), window("2025-01-11", 0.7)]
+						: [window("2025-01-01", 0.9), window("2025-01-11", 0.7)],
+			})),
+		}));
+
+		const crops = { Test: calibratedCrop(10, { temperature_2m_max: 20 }) };
+		const report = runSensitivityAnalysis(crops, forecast, MATCHING, { PERTURB: ["k_values"] });
+		const crop = report.crops.Test;
+
+		expect(report.runs).toBe(3);
+		expect(crop.runs_rank_changed).toBe(2);
+		expect(crop.window_removals).toEqual({ "2025-01-06": 2 });
+		expect(crop.window_rank_changes).toEqual({ "2025-01-11": 1 });
+		expect(report.fragile_crops).toEqual(["Test"]);
+	});
+});
@@ -0,0 +1,46 @@
+const { resolveMatchRequest } = require("../app/utils/match-request");
+const planRouter = require("../app/routes/plan");
+const { dailySeries, serveRouter } = require("./helpers");
+
+const forecast = dailySeries(5, { temperature_2m_max: 20 });
+
+describe("resolveMatchRequest", () => {
+	test.each([
+		[{}, /No forecast or ensemble provided/],
+		[{ ensemble: { a: "not a forecast" } }, /ensemble must be an object of named forecast arrays/],
+		[{ forecast, config: { STEP_SIZE: 1.5 } }, /Invalid STEP_SIZE/],
+		[{ ensemble: { a: forecast }, config: { RANK_BY: "median" } }, /Invalid RANK_BY/],
+		[{ forecast, units: { temperature_2m_max: "mph" } }, /Incompatible unit/],
+		[{ forecast, catalogue_version: "v999" }, /Unknown catalogue version/],
+	])("rejects %j", (body, message) => {
+		expect(() => resolveMatchRequest(body)).toThrow(message);
+	});
+
+	test("converts declared units and leaves the catalogue to the caller by default", () => {
+		const request = resolveMatchRequest({ forecast, units: { temperature_2m_max: "°F" } });
+		expect(request.forecast[0].temperature_2m_max).toBeCloseTo(((20 - 32) * 5) / 9, 6);
+		expect(request.crops).toBeNull();
+	});
+});
+
+describe("POST /plan-season", () => {
+	let server;
+	beforeAll(() => {
+		server = serveRouter("/plan-season", planRouter);
+	});
+	afterAll(() => server.close());
+
+	test.each([
+		[{ forecast, config: { STEP_SIZE: 1.5 } }, /Invalid STEP_SIZE/],
+		[{ forecast, config: { SCORING_FUNCTIONS: null } }, /Invalid SCORING_FUNCTIONS/],
+		[{ ensemble: { a: forecast }, config: { RISK_AVERSION: "high" } }, /Invalid RISK_AVERSION/],
+		[{ ensemble: [] }, /ensemble must be an object/],
+		[{ forecast, catalogue_version: "v999" }, /Unknown catalogue version/],
+		[{ forecast, plan: { fallow_days: -1 } }, /fallow_days/],
+	])("responds 400 to %j", async (body, message) => {
+		const { status, body: response } = await server.request("POST", "/plan-season", body);
+		expect(status).toBe(400);
+		expect(response.success).toBe(false);
+		expect(response.error).toMatch(message);
+	});
+});
@@ -0,0 +1,100 @@
+const { matchCropsInProcess, resolveConfig } = require("../app/utils/crop-matching");
+const { dailySeries, calibratedCrop } = require("./helpers");
+
+// A constant profile of 20 scored against constant forecasts, so each window has one relative delta,
+// d = (forecast - 20) / 20, and the variable's score is the scoring function at d
+const OPTIMUM = 20;
+
+/**
+ * Score of a constant forecast against the constant profile
+ * @param {number} value - Forecast value
+ * @param {Object} scoring - Scoring function for the variable
+ * @returns {number} - Unrounded variable score
+ */
+function scoreAt(value, scoring = { type: "logistic" }) {
+	const crops = { Test: calibratedCrop(10, { temperature_2m_max: OPTIMUM }) };
+	const config = resolveConfig({
+		REQUIRED_FIELDS: ["temperature_2m_max"],
+		SCORING_FUNCTIONS: { default: scoring },
+		STEP_SIZE: 10,
+	});
+	const { results } = matchCropsInProcess(crops, dailySeries(10, { temperature_2m_max: value }), config);
+	return results[0].windows[0].variable_details.temperature_2m_max.score;
+}
+
+const valueAt = (d) => OPTIMUM * (1 + d);
+
+describe("logistic scoring", () => {
+	test("scores 1 at the optimum", () => {
+		expect(scoreAt(OPTIMUM)).toBeCloseTo(1, 6);
+	});
+
+	test("follows 2 / (1 + e^(k·√d))", () => {
+		for (const d of [0.1, 0.5, 1]) {
+			expect(scoreAt(valueAt(d))).toBeCloseTo(2 / (1 + Math.exp(2 * Math.sqrt(d))), 5);
+		}
+	});
+
+	test("decreases monotonically with distance from the optimum, in both directions", () => {
+		const above = [0, 0.05, 0.1, 0.25, 0.5, 1, 2].map((d) => scoreAt(valueAt(d)));
+		const below = [0, -0.05, -0.1, -0.25, -0.5, -0.9].map((d) => scoreAt(valueAt(d)));
+		for (const scores of [above, below]) {
+			for (let i = 1; i < scores.length; i++) {
+				expect(scores[i]).toBeLessThan(scores[i - 1]);
+			}
+		}
+	});
+
+	test("uses a k override from the scoring function", () => {
+		expect(scoreAt(valueAt(0.25), { type: "logistic", k: 4 })).toBeCloseTo(2 / (1 + Math.exp(4 * 0.5)), 5);
+	});
+});
+
+describe("linear scoring", () => {
+	const linear = { type: "linear", max_delta: 0.5 };
+
+	test("scores 1 at the optimum and falls linearly to 0 at max_delta", () => {
+		expect(scoreAt(OPTIMUM, linear)).toBeCloseTo(1, 6);
+		expect(scoreAt(valueAt(0.25), linear)).toBeCloseTo(0.5, 5);
+		expect(scoreAt(valueAt(-0.25), linear)).toBeCloseTo(0.5, 5);
+		expect(scoreAt(valueAt(0.5), linear)).toBeCloseTo(0, 5);
+	});
+
+	test("never scores below 0", () => {
+		expect(scoreAt(valueAt(2), linear)).toBe(0);
+	});
+});
+
+describe("gaussian scoring", () => {
+	const gaussian = { type: "gaussian", sigma: 0.25 };
+
+	test("scores 1 at the optimum and falls off symmetrically", () => {
+		expect(scoreAt(OPTIMUM, gaussian)).toBeCloseTo(1, 6);
+		expect(scoreAt(valueAt(0.25), gaussian)).toBeCloseTo(Math.exp(-0.5), 5);
+		expect(scoreAt(valueAt(-0.25), gaussian)).toBeCloseTo(scoreAt(valueAt(0.25), gaussian), 5);
+	});
+
+	test("narrows with k when no sigma is given", () => {
+		// sigma defaults to 1 / k, and the test crop's k is 2
+		expect(scoreAt(valueAt(0.5), { type: "gaussian" })).toBeCloseTo(Math.exp(-0.5), 5);
+	});
+});
+
+describe("asymmetric scoring", () => {
+	const asymmetric = { type: "asymmetric", low_penalty: 2, high_penalty: 0.5, tolerance: 0.1 };
+
+	test("scores 1 within the tolerance", () => {
+		expect(scoreAt(OPTIMUM, asymmetric)).toBeCloseTo(1, 6);
+		expect(scoreAt(valueAt(0.05), asymmetric)).toBeCloseTo(1, 5);
+		expect(scoreAt(valueAt(-0.05), asymmetric)).toBeCloseTo(1, 5);
+	});
+
+	test("penalises low and high forecasts at their own rates", () => {
+		expect(scoreAt(valueAt(-0.3), asymmetric)).toBeCloseTo(1 - 2 * 0.2, 5);
+		expect(scoreAt(valueAt(0.3), asymmetric)).toBeCloseTo(1 - 0.5 * 0.2, 5);
+	});
+
+	test("never scores below 0", () => {
+		expect(scoreAt(valueAt(-0.9), asymmetric)).toBe(0);
+	});
+});
@@ -0,0 +1,69 @@
+const { planSeason, resolvePlanOptions } = require("../app/utils/season-planner");
+
+const crop = (name, duration_days, windows) => ({
+	name,
+	duration_days,
+	windows: Object.entries(windows).map(([start, score]) => ({ start, score })),
+});
+
+const planned = ({ plan }) => plan.map((p) => `${p.crop}@${p.start}`);
+
+describe("resolvePlanOptions", () => {
+	test.each([
+		[null, /Invalid plan/],
+		[{ fallow_days: -1 }, /Invalid fallow_days/],
+		[{ min_score: "high" }, /Invalid min_score/],
+		[{ allow_repeat: "no" }, /Invalid allow_repeat/],
+		[{ forbidden_successions: ["Maize"] }, /Invalid forbidden_successions/],
+		[{ forbidden_successions: { Maize: "Sorghum" } }, /Invalid forbidden_successions for 'Maize'/],
+	])("rejects %j", (options, message) => {
+		expect(() => resolvePlanOptions(options)).toThrow(message);
+	});
+});
+
+describe("planSeason", () => {
+	test("prefers two shorter plantings over one better overlapping one", () => {
+		const results = [
+			crop("Maize", 20, { "2025-01-01": 0.9 }),
+			crop("Beans", 10, { "2025-01-01": 0.6, "2025-01-11": 0.6 }),
+		];
+		const result = planSeason(results);
+		expect(planned(result)).toEqual(["Beans@2025-01-01", "Beans@2025-01-11"]);
+		expect(result.total_score).toBe(1.2);
+		expect(result.plan[0].end).toBe("2025-01-10");
+	});
+
+	test("keeps fallow days between harvest and the next planting", () => {
+		const results = [crop("Beans", 10, { "2025-01-01": 0.6, "2025-01-11": 0.6, "2025-01-14": 0.5 })];
+		expect(planned(planSeason(results, { fallow_days: 3 }))).toEqual(["Beans@2025-01-01", "Beans@2025-01-14"]);
+	});
+
+	test("honours succession rules", () => {
+		const results = [
+			crop("Maize", 10, { "2025-01-01": 0.9, "2025-01-11": 0.9 }),
+			crop("Sorghum", 10, { "2025-01-11": 0.8 }),
+			crop("Beans", 10, { "2025-01-11": 0.3 }),
+		];
+		expect(planned(planSeason(results))).toEqual(["Maize@2025-01-01", "Maize@2025-01-11"]);
+		expect(planned(planSeason(results, { allow_repeat: false }))).toEqual(["Maize@2025-01-01", "Sorghum@2025-01-11"]);
+		expect(planned(planSeason(results, { allow_repeat: false, forbidden_successions: { Maize: ["Sorghum"] } }))).toEqual([
+			"Maize@2025-01-01",
+			"Beans@2025-01-11",
+		]);
+	});
+
+	test("uses the season's duration for windows that carry one", () => {
+		const results = [
+			{ name: "Beans", duration_days: 10, windows: [{ start: "2025-01-01", score: 0.6, season: "long", duration_days: 20 }] },
+			crop("Maize", 10, { "2025-01-11": 0.5 }),
+		];
+		const { plan } = planSeason(results);
+		expect(plan).toEqual([{ crop: "Beans", variety: undefined, season: "long", start: "2025-01-01", end: "2025-01-20", score: 0.6 }]);
+	});
+
+	test("plants nothing when every window is below min_score", () => {
+		const result = planSeason([crop("Maize", 10, { "2025-01-01": 0.4 })], { min_score: 0.5 });
+		expect(result.plan).toEqual([]);
+		expect(result.total_score).toBe(0);
+	});
+});
@@ -0,0 +1,2 @@
+// Keep engine logs out of test output; worker threads inherit the environment
+process.env.LOG_LEVEL = "silent";